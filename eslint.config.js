@@ -1,4 +1,5 @@
 import js from "@eslint/js";
+import globals from "globals";
 import reactPlugin from "eslint-plugin-react";
 
 export default [
@@ -13,17 +14,31 @@ export default [
       jsx: true
     }
   },
-  globals: {
-    document: "readonly",
-    window: "readonly"
-  }
+  globals: globals.browser
 },
 
     plugins: {
       react: reactPlugin
     },
     rules: {
-      "react/react-in-jsx-scope": "off"
+      "react/react-in-jsx-scope": "off",
+      // Components used only in JSX count as used
+      "react/jsx-uses-vars": "error"
+    }
+  },
+  {
+    // Unit tests run under Vitest on Node
+    files: ["src/**/*.test.{js,jsx}"],
+    languageOptions: {
+      globals: globals.node
+    }
+  },
+  {
+    // The Express server (and its tests) is CommonJS on Node
+    files: ["server/**/*.js"],
+    languageOptions: {
+      sourceType: "commonjs",
+      globals: globals.node
     }
   }
 ];
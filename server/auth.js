@@ -0,0 +1,144 @@
+// Firebase ID-token authentication.
+// Every route except the health check requires `Authorization: Bearer <token>`
+// and gets the caller's uid from the verified token as req.uid — never from
+// the request body or query.
+//
+// AUTH_VERIFIER picks how tokens are checked:
+//   firebase (default) — RS256 signature against Google's published keys,
+//                        plus aud/iss for FIREBASE_PROJECT_ID
+//   local              — claims only, no signature; accepts Firebase Auth
+//                        emulator tokens for offline dev. Refused in production.
+// Tests can pass their own verifier to createAuthMiddleware().
+
+const crypto = require("crypto");
+const { sendError } = require("./errors");
+
+const GOOGLE_CERTS_URL =
+  "https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com";
+const PROJECT_ID = process.env.FIREBASE_PROJECT_ID;
+
+// Allowance for clock drift between us and Google when checking iat/exp
+const CLOCK_SKEW_SECONDS = 60;
+
+/* ─── Tokens ────────────────────────────────────────────────────────────── */
+
+function decodeJwt(token) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) return null;
+
+  try {
+    const [header, payload] = parts.slice(0, 2).map((part) =>
+      JSON.parse(Buffer.from(part, "base64url").toString("utf8"))
+    );
+    return { header, payload, signedPart: `${parts[0]}.${parts[1]}`, signature: parts[2] };
+  } catch {
+    return null;
+  }
+}
+
+// Throws unless the token is current and names a user
+function checkClaims(payload, { audience } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.sub !== "string" || !payload.sub || payload.sub.length > 128) {
+    throw new Error("token has no valid subject");
+  }
+  if (!(payload.exp > now - CLOCK_SKEW_SECONDS)) throw new Error("token has expired");
+  if (!(payload.iat <= now + CLOCK_SKEW_SECONDS)) throw new Error("token is issued in the future");
+
+  if (audience) {
+    if (payload.aud !== audience) throw new Error("token is for a different project");
+    if (payload.iss !== `https://securetoken.google.com/${audience}`) {
+      throw new Error("token has the wrong issuer");
+    }
+  }
+}
+
+/* ─── Verifiers ─────────────────────────────────────────────────────────── */
+
+// Google's signing certificates, cached for as long as their max-age allows
+let certCache = { certs: null, expiresAt: 0 };
+
+async function googleCerts() {
+  if (certCache.certs && Date.now() < certCache.expiresAt) return certCache.certs;
+
+  const res = await fetch(GOOGLE_CERTS_URL);
+  if (!res.ok) throw new Error(`could not fetch signing keys (${res.status})`);
+
+  const maxAge = Number(/max-age=(\d+)/.exec(res.headers.get("cache-control") ?? "")?.[1] ?? 3600);
+  certCache = { certs: await res.json(), expiresAt: Date.now() + maxAge * 1000 };
+  return certCache.certs;
+}
+
+async function verifyFirebaseToken(token) {
+  if (!PROJECT_ID) throw new Error("FIREBASE_PROJECT_ID is not set");
+
+  const jwt = decodeJwt(token);
+  if (!jwt) throw new Error("token is malformed");
+  if (jwt.header.alg !== "RS256") throw new Error("token has the wrong algorithm");
+
+  const cert = (await googleCerts())[jwt.header.kid];
+  if (!cert) throw new Error("token is signed by an unknown key");
+
+  const valid = crypto
+    .createVerify("RSA-SHA256")
+    .update(jwt.signedPart)
+    .verify(cert, Buffer.from(jwt.signature, "base64url"));
+  if (!valid) throw new Error("token signature is invalid");
+
+  checkClaims(jwt.payload, { audience: PROJECT_ID });
+  return { uid: jwt.payload.sub };
+}
+
+async function verifyLocalToken(token) {
+  const jwt = decodeJwt(token);
+  if (!jwt) throw new Error("token is malformed");
+
+  checkClaims(jwt.payload);
+  return { uid: jwt.payload.sub };
+}
+
+const VERIFIERS = {
+  firebase: verifyFirebaseToken,
+  local:    verifyLocalToken,
+};
+
+function defaultVerifier() {
+  const name = process.env.AUTH_VERIFIER || "firebase";
+  const verifier = VERIFIERS[name];
+
+  if (!verifier) throw new Error(`Unknown AUTH_VERIFIER "${name}"`);
+  if (name === "local" && process.env.NODE_ENV === "production") {
+    throw new Error("AUTH_VERIFIER=local does not check signatures and cannot run in production");
+  }
+  if (name === "firebase" && !PROJECT_ID) {
+    console.warn("[server] FIREBASE_PROJECT_ID not set — every ID token will be rejected");
+  }
+  return verifier;
+}
+
+/* ─── Middleware ────────────────────────────────────────────────────────── */
+
+// verify(token) resolves to { uid } or throws
+function createAuthMiddleware(verify = defaultVerifier()) {
+  return async (req, res, next) => {
+    const [scheme, token] = (req.get("authorization") ?? "").split(" ");
+    if (scheme !== "Bearer" || !token) {
+      return sendError(res, 401, "unauthenticated", "Missing bearer token");
+    }
+
+    try {
+      req.uid = (await verify(token)).uid;
+    } catch (err) {
+      return sendError(res, 401, "unauthenticated", `Invalid ID token: ${err.message}`);
+    }
+    next();
+  };
+}
+
+// True when the request names a uid other than the authenticated one
+function uidMismatch(req, claimed) {
+  return claimed !== undefined && claimed !== null && claimed !== "" && String(claimed) !== req.uid;
+}
+
+module.exports = { createAuthMiddleware, uidMismatch, verifyFirebaseToken, verifyLocalToken };
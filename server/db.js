@@ -0,0 +1,12 @@
+// Shared Postgres pool for the routes (index.js) and migrations (migrate.js).
+
+const { Pool } = require("pg");
+require("dotenv").config();
+
+// Neon needs SSL; set DATABASE_SSL=false for a local Postgres without it
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: process.env.DATABASE_SSL === "false" ? false : { rejectUnauthorized: false },
+});
+
+module.exports = { pool };
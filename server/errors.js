@@ -0,0 +1,41 @@
+// One error envelope for every route, so clients can branch on `code`
+// instead of parsing messages:
+//
+//   { error: { code, message, ...extra } }
+//
+//   validation_failed  400  details: [{ location, field, message }]
+//   unauthenticated    401  missing or invalid ID token
+//   invalid_signature  401  ticket or result not signed by this server
+//   forbidden          403  request names someone else's uid / ticket
+//   stale_ticket       409  a later ticket has replaced this one
+//   puzzle_solved      409  the ticket's session is already solved
+//   score_rejected     422  reasons: scoreRules.js codes
+//   rate_limited       429  retryAfter: seconds (also the Retry-After header)
+//   database_error     500
+//   internal_error     500
+//   unavailable        503  the route needs a service this server lacks
+
+function sendError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ error: { code, message, ...extra } });
+}
+
+function sendValidationError(res, details) {
+  return sendError(res, 400, "validation_failed", "Request failed validation", { details });
+}
+
+// Last middleware: unparseable JSON bodies and anything a route let escape
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  if (err.type === "entity.parse.failed") {
+    return sendValidationError(res, [{ location: "body", field: null, message: "must be valid JSON" }]);
+  }
+  if (err.type === "entity.too.large") {
+    return sendValidationError(res, [{ location: "body", field: null, message: "is too large" }]);
+  }
+
+  console.error(err);
+  sendError(res, 500, "internal_error", "Unexpected server error");
+}
+
+module.exports = { sendError, sendValidationError, errorHandler };
@@ -0,0 +1,93 @@
+// Firestore leaderboard writes, through the Admin SDK. firestore.rules only
+// let clients read leaderboard/ and leaderboards/, so every entry there is
+// written here, after index.js has verified the result's signature.
+//
+// Credentials, first match wins:
+//   FIREBASE_SERVICE_ACCOUNT        a service-account key, as JSON
+//   GOOGLE_APPLICATION_CREDENTIALS  path to one (Application Default Credentials)
+//   FIRESTORE_EMULATOR_HOST         the local emulator; needs none
+// With none of them set the Firestore boards are not written and
+// POST /leaderboard/firestore answers 503.
+
+const { initializeApp, cert, applicationDefault } = require("firebase-admin/app");
+const { getFirestore, FieldValue } = require("firebase-admin/firestore");
+const { loadScoreRules, loadLeaderboardPeriods } = require("./shared");
+
+function credentialOptions() {
+  if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+    return { credential: cert(JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT)) };
+  }
+  if (process.env.GOOGLE_APPLICATION_CREDENTIALS) return { credential: applicationDefault() };
+  if (process.env.FIRESTORE_EMULATOR_HOST) return {};
+  return null;
+}
+
+const options = credentialOptions();
+
+if (!options) {
+  console.warn("[server] No Firebase Admin credentials — Firestore leaderboards will not be written");
+}
+
+// null when not configured
+const firestore = options
+  ? getFirestore(initializeApp({ projectId: process.env.FIREBASE_PROJECT_ID, ...options }))
+  : null;
+
+// Adds a verified result to leaderboard/{uid} and every period board its
+// date falls in, overall and for its difficulty bracket. Refused (nothing
+// written) when it fails scoreRules.js or its date is not after the last
+// one ranked: a repeat is duplicate_submission, an older date
+// stale_submission. Entries from before lastDate was recorded have no date
+// to compare, so their next result is accepted.
+//
+// Resolves to the refusal reasons; [] once written.
+async function writeLeaderboard(db, { uid, name, result, signature }) {
+  const { checkScoreSubmission, computeRating } = await loadScoreRules();
+  const { PERIODS, boardKey } = await loadLeaderboardPeriods();
+  const { score, date, difficulty, type } = result;
+  const displayName = name || "Anonymous";
+  const entry = db.collection("leaderboard").doc(uid);
+
+  return db.runTransaction(async (tx) => {
+    const snap     = await tx.get(entry);
+    const existing = snap.exists ? snap.data() : null;
+    const lastDate = existing?.lastDate ?? null;
+
+    const reasons = checkScoreSubmission(result);
+    if (lastDate === date) reasons.push("duplicate_submission");
+    else if (lastDate !== null && lastDate > date) reasons.push("stale_submission");
+    if (reasons.length) return reasons;
+
+    // Only replace the best score on a new high, but always note the date
+    // and result so a second submission for it is refused
+    const isHighScore = !existing || score > (existing.score ?? 0);
+    tx.set(entry, {
+      uid,
+      name: displayName,
+      ...(isHighScore && { score, result, signature }),
+      lastDate:      date,
+      lastResult:    result,
+      lastSignature: signature,
+      updatedAt:     FieldValue.serverTimestamp(),
+    }, { merge: true });
+
+    const rating = computeRating(score, difficulty);
+    const boards = PERIODS.flatMap((period) => [boardKey(period, date), boardKey(period, date, difficulty)]);
+    boards.forEach((key) => {
+      tx.set(db.collection("leaderboards").doc(key).collection("entries").doc(uid), {
+        uid,
+        name:       displayName,
+        score:      FieldValue.increment(score),
+        rating:     FieldValue.increment(rating),
+        solves:     FieldValue.increment(1),
+        difficulty,
+        puzzleType: type,
+        updatedAt:  FieldValue.serverTimestamp(),
+      }, { merge: true });
+    });
+
+    return [];
+  });
+}
+
+module.exports = { firestore, writeLeaderboard };
@@ -1,68 +1,532 @@
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
 require("dotenv").config();
+const { pool } = require("./db");
+const { checkSchema } = require("./migrate");
+const { createAuthMiddleware, uidMismatch } = require("./auth");
+const { sign, verify, encodeTicket, decodeTicket } = require("./signing");
+const {
+  PUZZLE_TYPES,
+  DIFFICULTIES,
+  resolveGeneratorVersion,
+  buildPuzzle,
+  stripPuzzle,
+  checkAnswer,
+  checkBlanks,
+  countGapMisses,
+} = require("./puzzles");
+const { loadScoreRules, loadLeaderboardPeriods, loadHintText } = require("./shared");
+const { firestore, writeLeaderboard } = require("./firestore");
+const { sendError, sendValidationError, errorHandler } = require("./errors");
+const { validate } = require("./validate");
+const { limitByIp, limitByUid } = require("./rateLimit");
 
 const app = express();
+// Behind a proxy (Vercel, Render…) req.ip must come from X-Forwarded-For
+if (process.env.TRUST_PROXY === "true") app.set("trust proxy", 1);
 app.use(cors());
-app.use(express.json());
-
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: { rejectUnauthorized: false },
-});
+app.use(limitByIp);
+app.use(express.json({ limit: "16kb" }));
 
 app.get("/", (req, res) => {
   res.send("Server running");
 });
-app.post("/save-score", async (req, res) => {
-  const { uid, name, score } = req.body;
+
+// Everything below needs a Firebase ID token; handlers use req.uid
+app.use(createAuthMiddleware());
+app.use(limitByUid);
+
+function forbidUidMismatch(res) {
+  return sendError(res, 403, "forbidden", "uid does not match the signed-in user");
+}
+
+/* ─── Schemas ───────────────────────────────────────────────────────────── */
+
+const DATE_PARAM = { date: { type: "date" } };
+const UID_FIELD  = { type: "string", maxLength: 128, optional: true };
+
+const PUZZLE_QUERY = {
+  type:       { type: "enum", values: PUZZLE_TYPES },
+  difficulty: { type: "enum", values: DIFFICULTIES },
+  version:    { type: "integer", min: 0, optional: true },
+  uid:        UID_FIELD,
+};
+
+const SUBMIT_BODY = {
+  ticket:     { type: "string", maxLength: 2048 },
+  submission: { type: "object" },
+};
+
+const HINT_BODY = {
+  ticket:     { type: "string", maxLength: 2048 },
+  level:      { type: "integer", min: 1, max: 4 },
+  submission: { type: "object", optional: true },
+};
+
+// The signed result's own fields are checked by verify() and scoreRules.js
+const SCORE_BODY = {
+  uid:       UID_FIELD,
+  name:      { type: "string", maxLength: 100, optional: true },
+  result:    { type: "object" },
+  signature: { type: "string", maxLength: 128 },
+};
+
+// period is checked in the route against leaderboardPeriods.js
+const LEADERBOARD_QUERY = {
+  period:     { type: "string", maxLength: 16, optional: true },
+  date:       { type: "date", optional: true },
+  difficulty: { type: "enum", values: DIFFICULTIES, optional: true },
+  limit:      { type: "integer", min: 1, max: 100, optional: true },
+  uid:        UID_FIELD,
+};
+
+const ACTIVITY_BODY = {
+  uid:        UID_FIELD,
+  name:       { type: "string", maxLength: 100, optional: true },
+  date:       { type: "date" },
+  score:      { type: "integer", min: 0, max: 100, optional: true },
+  timeTaken:  { type: "integer", min: 0, optional: true },
+  difficulty: { type: "enum", values: DIFFICULTIES, optional: true },
+  solved:     { type: "boolean", optional: true },
+  attempts:   { type: "integer", min: 1, optional: true },
+  createdAt:  { type: "integer", min: 0, optional: true },
+};
+
+/* ─── Live-daily sessions ───────────────────────────────────────────────── */
+
+const SESSION_COLUMNS = `uid, date::text AS date, type, difficulty, generator_version,
+  started_at, attempts, misses, finished_at`;
+
+// The first load of a date opens the session; later loads get it back as
+// it stands, whatever they ask for, so the first pick and start time hold
+const OPEN_SESSION = `
+  INSERT INTO puzzle_sessions (uid, date, type, difficulty, generator_version)
+  VALUES ($1, $2, $3, $4, $5)
+  ON CONFLICT (uid, date) DO UPDATE SET uid = EXCLUDED.uid
+  RETURNING ${SESSION_COLUMNS}`;
+
+const SELECT_SESSION = `SELECT ${SESSION_COLUMNS} FROM puzzle_sessions WHERE uid = $1 AND date = $2`;
+
+// Counts an answer, only if nothing else has since the ticket was issued.
+// $3 is the ticket's attempt count, $4 the blanks missed, $5 whether solved.
+const ADVANCE_SESSION = `
+  UPDATE puzzle_sessions SET
+    attempts    = attempts + 1,
+    misses      = misses + $4,
+    finished_at = CASE WHEN $5::boolean THEN now() END
+  WHERE uid = $1 AND date = $2 AND attempts = $3 AND finished_at IS NULL
+  RETURNING ${SESSION_COLUMNS}`;
+
+// Ticket payload for a puzzle_sessions row
+function toTicket(row) {
+  return {
+    uid:              row.uid,
+    date:             row.date,
+    type:             row.type,
+    difficulty:       row.difficulty,
+    generatorVersion: row.generator_version,
+    startedAt:        row.started_at.getTime(),
+    attempts:         row.attempts,
+    misses:           row.misses,
+  };
+}
+
+function sameTicket(a, b) {
+  return Object.keys(a).every((key) => a[key] === b[key]);
+}
+
+function refuseStaleTicket(res) {
+  return sendError(res, 409, "stale_ticket", "Ticket has been replaced by a later one; reload the puzzle");
+}
+
+/* ─── Routes ────────────────────────────────────────────────────────────── */
+
+// Issues the answer-free puzzle plus a signed ticket holding the start time.
+// The client picks type/difficulty (adaptive difficulty lives on-device) and
+// renders the live daily from this copy; answers only leave the server once
+// the puzzle is solved. Reloading returns the session opened by the first
+// load, so the clock, attempts and misses carry on where they were.
+app.get("/puzzle/:date", validate({ params: DATE_PARAM, query: PUZZLE_QUERY }), async (req, res) => {
+  const { date } = req.valid.params;
+  const { type, difficulty, uid, version } = req.valid.query;
+
+  if (uidMismatch(req, uid)) return forbidUidMismatch(res);
 
   try {
-    const result = await pool.query(
-      "INSERT INTO scores (uid, name, score) VALUES ($1, $2, $3) RETURNING *",
-      [uid, name, score]
-    );
+    const generatorVersion = await resolveGeneratorVersion(version);
+    if (generatorVersion === null) {
+      return sendValidationError(res, [{ location: "query", field: "version", message: "is not a known generator version" }]);
+    }
 
-    res.json(result.rows[0]);
+    const { rows: [row] } = await pool.query(OPEN_SESSION, [req.uid, date, type, difficulty, generatorVersion]);
+    const session = toTicket(row);
+    const puzzle  = await buildPuzzle(session);
+
+    res.json({ puzzle: stripPuzzle(puzzle), ticket: encodeTicket(session) });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Database error" });
+    sendError(res, 500, "internal_error", "Puzzle generation failed");
   }
 });
 
-app.get("/leaderboard", async (req, res) => {
+// The ticket's session, or null once an error response has been sent.
+// Only the latest ticket is good: one the stored session has moved past
+// (an answer counted since, or the puzzle solved) is refused.
+async function openTicket(req, res) {
+  const session = decodeTicket(req.valid.body.ticket);
+
+  if (!session) {
+    sendError(res, 401, "invalid_signature", "Ticket is not signed by the server");
+    return null;
+  }
+  if (session.uid !== req.uid) {
+    sendError(res, 403, "forbidden", "Ticket belongs to a different user");
+    return null;
+  }
+  if (session.date !== req.valid.params.date) {
+    sendValidationError(res, [{ location: "params", field: "date", message: "does not match the ticket" }]);
+    return null;
+  }
+
+  const { rows: [row] } = await pool.query(SELECT_SESSION, [session.uid, session.date]);
+  if (row?.finished_at) {
+    sendError(res, 409, "puzzle_solved", "This puzzle has already been solved");
+    return null;
+  }
+  if (!row || !sameTicket(toTicket(row), session)) {
+    refuseStaleTicket(res);
+    return null;
+  }
+  return session;
+}
+
+// Checks an answer against the server-built puzzle. Wrong answers get a
+// fresh ticket with the attempt (and any missed blanks) counted, plus
+// per-blank results on missing-terms puzzles; a correct one gets a signed
+// result timed from the session's start to now and the full puzzle.
+app.post("/puzzle/:date/submit", validate({ params: DATE_PARAM, body: SUBMIT_BODY }), async (req, res) => {
+  const { submission } = req.valid.body;
+
   try {
-    const result = await pool.query(
-      "SELECT * FROM scores ORDER BY score DESC"
-    );
+    const session = await openTicket(req, res);
+    if (!session) return;
+
+    const puzzle = await buildPuzzle(session);
+    if (!puzzle) return sendError(res, 500, "internal_error", "Ticket names an unknown generator version");
+
+    const correct = checkAnswer(puzzle, submission);
+    const missed  = correct ? 0 : countGapMisses(puzzle, submission);
 
-    res.json(result.rows);
+    // No row: another submit with the same ticket got there first
+    const { rows: [row] } = await pool.query(ADVANCE_SESSION, [session.uid, session.date, session.attempts, missed, correct]);
+    if (!row) return refuseStaleTicket(res);
+    const next = toTicket(row);
+
+    if (!correct) {
+      return res.json({ correct: false, ticket: encodeTicket(next), blanks: checkBlanks(puzzle, submission) });
+    }
+
+    const { computeScore } = await loadScoreRules();
+    const finishedAt = Date.now();
+    const timeTaken  = Math.floor((finishedAt - next.startedAt) / 1000);
+    const result = {
+      uid:              next.uid,
+      date:             next.date,
+      type:             next.type,
+      difficulty:       next.difficulty,
+      generatorVersion: next.generatorVersion,
+      score:            computeScore(timeTaken, next.misses),
+      timeTaken,
+      misses:           next.misses,
+      attempts:         next.attempts,
+      finishedAt,
+    };
+
+    res.json({ correct: true, result, signature: sign(result), puzzle });
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: "Database error" });
+    sendError(res, 500, "internal_error", "Answer check failed");
   }
 });
 
-app.post("/sync-activity", async (req, res) => {
-  const { uid, name, date, score, timeTaken, difficulty, solved } = req.body;
+// Live-daily hints need the answer, so the server builds them from its own
+// copy of the puzzle and the player's current entries (hintText.js).
+app.post("/puzzle/:date/hint", validate({ params: DATE_PARAM, body: HINT_BODY }), async (req, res) => {
+  const { level, submission } = req.valid.body;
 
+  try {
+    const session = await openTicket(req, res);
+    if (!session) return;
+
+    const puzzle = await buildPuzzle(session);
+    if (!puzzle) return sendError(res, 500, "internal_error", "Ticket names an unknown generator version");
+
+    const { puzzleHint } = await loadHintText();
+    res.json({ hint: puzzleHint(puzzle, level, submission ?? {}) });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "internal_error", "Hint generation failed");
+  }
+});
+
+// Every refused submission is kept for review of flagged accounts
+async function recordRejection(source, uid, payload, reasons) {
   try {
     await pool.query(
-      `INSERT INTO activity (uid, name, date, score, time_taken, difficulty, solved)
-       VALUES ($1,$2,$3,$4,$5,$6,$7)`,
-      [uid, name, date, score, timeTaken, difficulty, solved]
+      `INSERT INTO score_rejections (source, uid, date, score, time_taken, difficulty, reasons, payload)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8)`,
+      [
+        source,
+        uid ?? null,
+        payload?.date ?? null,
+        Number.isInteger(payload?.score) ? payload.score : null,
+        Number.isInteger(payload?.timeTaken) ? payload.timeTaken : null,
+        payload?.difficulty ?? null,
+        reasons,
+        JSON.stringify(payload ?? null),
+      ]
     );
+  } catch (err) {
+    console.error("Failed to record score rejection:", err);
+  }
+}
 
+// The body's result if this server signed it for the caller, or null once
+// a refusal has been sent (and recorded under `source`)
+async function openSignedResult(req, res, source) {
+  const { uid: claimedUid, result: signed, signature } = req.valid.body;
+  const uid = req.uid;
+
+  if (uidMismatch(req, claimedUid)) {
+    await recordRejection(source, uid, signed, ["uid_mismatch"]);
+    forbidUidMismatch(res);
+    return null;
+  }
+
+  if (!verify(signed, signature)) {
+    await recordRejection(source, uid, signed, ["invalid_signature"]);
+    sendError(res, 401, "invalid_signature", "Score is not signed by the server");
+    return null;
+  }
+  if (signed.uid !== uid) {
+    await recordRejection(source, uid, signed, ["uid_mismatch"]);
+    sendError(res, 403, "forbidden", "Score belongs to a different user");
+    return null;
+  }
+  return signed;
+}
+
+// Only results signed by /puzzle/:date/submit are accepted, and only if
+// they pass scoreRules.js plus one submission per uid and puzzle date,
+// never for a date before the player's latest ranked one.
+// POST /leaderboard/scores is what Neonsync.js calls; /save-score is kept
+// for older clients.
+async function saveScore(req, res) {
+  const { name } = req.valid.body;
+  const uid = req.uid;
+
+  const signed = await openSignedResult(req, res, "save-score");
+  if (!signed) return;
+
+  try {
+    const { checkScoreSubmission, computeRating } = await loadScoreRules();
+    const reasons = checkScoreSubmission(signed);
+
+    // Same date rules as the Firestore boards (firestore.js)
+    const { rows: [ranked] } = await pool.query(
+      "SELECT bool_or(date = $2) AS duplicate, MAX(date)::text AS last FROM scores WHERE uid = $1",
+      [uid, signed.date]
+    );
+    if (ranked.duplicate) reasons.push("duplicate_submission");
+    else if (ranked.last > signed.date) reasons.push("stale_submission");
+
+    if (reasons.length) {
+      await recordRejection("save-score", uid, signed, reasons);
+      return sendError(res, 422, "score_rejected", "Score rejected", { reasons });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO scores (uid, name, score, date, time_taken, difficulty, puzzle_type, rating)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [
+        uid,
+        name ?? null,
+        signed.score,
+        signed.date,
+        signed.timeTaken,
+        signed.difficulty,
+        signed.type,
+        computeRating(signed.score, signed.difficulty),
+      ]
+    );
+
+    res.json(result.rows[0]);
+  } catch (err) {
+    // Lost a race with a concurrent submission for the same day
+    if (err.code === "23505") {
+      await recordRejection("save-score", uid, signed, ["duplicate_submission"]);
+      return sendError(res, 422, "score_rejected", "Score rejected", { reasons: ["duplicate_submission"] });
+    }
+    console.error(err);
+    sendError(res, 500, "database_error", "Database error");
+  }
+}
+
+app.post("/leaderboard/scores", validate({ body: SCORE_BODY }), saveScore);
+app.post("/save-score", validate({ body: SCORE_BODY }), saveScore);
+
+// The Firestore boards take the same signed results, written with the
+// Admin SDK since firestore.rules refuse client writes. A separate route
+// from /leaderboard/scores, so a retry for one store never trips the other's
+// duplicate check. firestoreSync.updateLeaderboard() calls it.
+app.post("/leaderboard/firestore", validate({ body: SCORE_BODY }), async (req, res) => {
+  const { name, signature } = req.valid.body;
+  const uid = req.uid;
+
+  const signed = await openSignedResult(req, res, "firestore");
+  if (!signed) return;
+  if (!firestore) return sendError(res, 503, "unavailable", "Firestore leaderboards are not configured on this server");
+
+  try {
+    const reasons = await writeLeaderboard(firestore, { uid, name, result: signed, signature });
+    if (reasons.length) {
+      await recordRejection("firestore", uid, signed, reasons);
+      return sendError(res, 422, "score_rejected", "Score rejected", { reasons });
+    }
     res.json({ success: true });
   } catch (err) {
-    console.log(err);
-    res.status(500).send("Error saving activity");
+    console.error(err);
+    sendError(res, 500, "database_error", "Database error");
+  }
+});
+
+// Per-player totals over a period's puzzle dates, ranked by summed rating
+// with ties sharing a rank. $1/$2 bound the range and $3 narrows to one
+// difficulty bracket (null = open); $4 is the limit or the uid.
+// difficulty/puzzleType are those of the player's latest puzzle in range.
+const RANKED_BOARD = `
+  WITH board AS (
+    SELECT uid,
+           MAX(name) AS name,
+           SUM(score)::int AS score,
+           SUM(rating)::int AS rating,
+           COUNT(*)::int AS solves,
+           (ARRAY_AGG(difficulty ORDER BY date DESC))[1] AS difficulty,
+           (ARRAY_AGG(puzzle_type ORDER BY date DESC))[1] AS "puzzleType"
+    FROM scores
+    WHERE ($1::date IS NULL OR date >= $1::date)
+      AND ($2::date IS NULL OR date <= $2::date)
+      AND ($3::text IS NULL OR difficulty = $3::text)
+    GROUP BY uid
+  )
+  SELECT *, RANK() OVER (ORDER BY rating DESC)::int AS rank FROM board`;
+
+// GET /leaderboard?period=day|week|month|all&date=YYYY-MM-DD&difficulty=&limit=
+// `you` is the caller's own row, even when it falls outside the top `limit`.
+app.get("/leaderboard", validate({ query: LEADERBOARD_QUERY }), async (req, res) => {
+  if (uidMismatch(req, req.valid.query.uid)) return forbidUidMismatch(res);
+
+  const { PERIODS, periodRange } = await loadLeaderboardPeriods();
+  const period     = req.valid.query.period ?? "all";
+  const date       = req.valid.query.date ?? new Date().toISOString().slice(0, 10);
+  const difficulty = req.valid.query.difficulty ?? null;
+  const limit      = req.valid.query.limit ?? 10;
+
+  if (!PERIODS.includes(period)) {
+    return sendValidationError(res, [{ location: "query", field: "period", message: `must be one of ${PERIODS.join(", ")}` }]);
+  }
+
+  const { from, to } = periodRange(period, date);
+
+  try {
+    const top = await pool.query(
+      `SELECT * FROM (${RANKED_BOARD}) ranked ORDER BY rank, name LIMIT $4`,
+      [from, to, difficulty, limit]
+    );
+    const you = await pool.query(
+      `SELECT * FROM (${RANKED_BOARD}) ranked WHERE uid = $4`,
+      [from, to, difficulty, req.uid]
+    );
+
+    res.json({ period, difficulty, from, to, entries: top.rows, you: you.rows[0] ?? null });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "database_error", "Database error");
   }
 });
 
+// Upserts on (uid, date) so client retries are idempotent. Changes only
+// move forward, like saveDailyActivity() in src/db.js: created_at is kept,
+// solved never reverts, attempts never decrease, and a solved result is
+// final. Responds with the merged record for the client to reconcile with.
+const UPSERT_ACTIVITY = `
+  INSERT INTO activity (uid, name, date, score, time_taken, difficulty, solved, attempts, created_at)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE(to_timestamp($9::bigint / 1000.0), now()))
+  ON CONFLICT (uid, date) DO UPDATE SET
+    name       = COALESCE(EXCLUDED.name, activity.name),
+    score      = CASE WHEN activity.solved THEN activity.score      ELSE COALESCE(EXCLUDED.score, activity.score)           END,
+    time_taken = CASE WHEN activity.solved THEN activity.time_taken ELSE COALESCE(EXCLUDED.time_taken, activity.time_taken) END,
+    difficulty = CASE WHEN activity.solved THEN activity.difficulty ELSE COALESCE(EXCLUDED.difficulty, activity.difficulty) END,
+    solved     = activity.solved OR EXCLUDED.solved,
+    attempts   = GREATEST(activity.attempts, EXCLUDED.attempts),
+    updated_at = now()
+  RETURNING uid, name, date::text AS date, score, time_taken, difficulty, solved, attempts, created_at`;
+
+// Same field names as the Dexie activity record
+function toActivity(row) {
+  return {
+    uid:        row.uid,
+    name:       row.name,
+    date:       row.date,
+    score:      row.score,
+    timeTaken:  row.time_taken,
+    difficulty: row.difficulty,
+    solved:     row.solved,
+    attempts:   row.attempts,
+    createdAt:  row.created_at.getTime(),
+  };
+}
+
+app.post("/sync-activity", validate({ body: ACTIVITY_BODY }), async (req, res) => {
+  const { name, date, score, timeTaken, difficulty, solved, attempts, createdAt } = req.valid.body;
+  const uid = req.uid;
+
+  if (uidMismatch(req, req.valid.body.uid)) return forbidUidMismatch(res);
+
+  try {
+    const result = await pool.query(UPSERT_ACTIVITY, [
+      uid,
+      name ?? null,
+      date,
+      score ?? null,
+      timeTaken ?? null,
+      difficulty ?? null,
+      solved ?? false,
+      attempts ?? 1,
+      createdAt ?? null,
+    ]);
 
-app.listen(5000, () => {
-  console.log("Server started on port 5000");
+    res.json({ success: true, activity: toActivity(result.rows[0]) });
+  } catch (err) {
+    console.error(err);
+    sendError(res, 500, "database_error", "Error saving activity");
+  }
 });
- 
\ No newline at end of file
+
+app.use(errorHandler);
+
+module.exports = { app };
+
+// Refuse to serve against a database the migrations don't match
+if (require.main === module) {
+  checkSchema()
+    .then(() => {
+      app.listen(5000, () => {
+        console.log("Server started on port 5000");
+      });
+    })
+    .catch((err) => {
+      console.error(`[server] ${err.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,205 @@
+// Versioned schema migrations.
+//
+// migrations/NNN_name.up.sql applies a change and NNN_name.down.sql undoes
+// it. Applied versions are recorded in schema_migrations with a checksum of
+// their up SQL, so an edited or missing migration shows up as a mismatch
+// and index.js refuses to boot (checkSchema) until it is resolved.
+//
+// 001 is idempotent, so `up` also adopts a database whose tables were
+// created by hand before migrations existed.
+//
+//   node migrate.js up [version]   apply pending migrations (up to version)
+//   node migrate.js down [steps]   roll back the latest migration(s), default 1
+//   node migrate.js status         list migrations and whether each is applied
+//   node migrate.js seed           load seeds/*.sql (local development only)
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { pool } = require("./db");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const SEEDS_DIR = path.join(__dirname, "seeds");
+const FILE_RE = /^(\d{3})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version     INTEGER PRIMARY KEY,
+    name        TEXT NOT NULL,
+    checksum    TEXT NOT NULL,
+    applied_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+  )`;
+
+/* ─── Files ─────────────────────────────────────────────────────────────── */
+
+function label({ version, name }) {
+  return `${String(version).padStart(3, "0")}_${name}`;
+}
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql).digest("hex");
+}
+
+// [{ version, name, up, down, checksum }] in version order
+function listMigrations() {
+  const byVersion = {};
+
+  fs.readdirSync(MIGRATIONS_DIR).forEach((file) => {
+    const match = FILE_RE.exec(file);
+    if (!match) return;
+
+    const [, version, name, direction] = match;
+    byVersion[version] ??= { version: Number(version), name };
+    byVersion[version][direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), "utf8");
+  });
+
+  return Object.values(byVersion)
+    .sort((a, b) => a.version - b.version)
+    .map((m) => {
+      if (!m.up || !m.down) {
+        throw new Error(`Migration ${label(m)} needs both an up and a down file`);
+      }
+      return { ...m, checksum: checksum(m.up) };
+    });
+}
+
+async function appliedMigrations(client) {
+  await client.query(CREATE_MIGRATIONS_TABLE);
+  const { rows } = await client.query("SELECT version, name, checksum FROM schema_migrations ORDER BY version");
+  return rows;
+}
+
+// Each migration runs in its own transaction, recorded alongside its SQL
+async function runInTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+/* ─── Commands ──────────────────────────────────────────────────────────── */
+
+async function migrateUp(target = Infinity) {
+  const client = await pool.connect();
+  try {
+    const applied = new Set((await appliedMigrations(client)).map((m) => m.version));
+    const pending = listMigrations().filter((m) => !applied.has(m.version) && m.version <= target);
+
+    for (const m of pending) {
+      await runInTransaction(client, async () => {
+        await client.query(m.up);
+        await client.query(
+          "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)",
+          [m.version, m.name, m.checksum]
+        );
+      });
+      console.log(`[migrate] applied ${label(m)}`);
+    }
+    if (!pending.length) console.log("[migrate] nothing to apply");
+  } finally {
+    client.release();
+  }
+}
+
+async function migrateDown(steps = 1) {
+  const client = await pool.connect();
+  try {
+    const files = Object.fromEntries(listMigrations().map((m) => [m.version, m]));
+    const latest = (await appliedMigrations(client)).reverse().slice(0, steps);
+
+    for (const { version, name } of latest) {
+      const m = files[version];
+      if (!m) throw new Error(`Cannot roll back ${label({ version, name })}: its files are missing`);
+
+      await runInTransaction(client, async () => {
+        await client.query(m.down);
+        await client.query("DELETE FROM schema_migrations WHERE version = $1", [version]);
+      });
+      console.log(`[migrate] rolled back ${label({ version, name })}`);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function status() {
+  const client = await pool.connect();
+  try {
+    const applied = Object.fromEntries((await appliedMigrations(client)).map((m) => [m.version, m]));
+    listMigrations().forEach((m) => {
+      const state = !applied[m.version] ? "pending"
+        : applied[m.version].checksum !== m.checksum ? "applied (modified since)"
+        : "applied";
+      console.log(`${label(m)}  ${state}`);
+    });
+  } finally {
+    client.release();
+  }
+}
+
+async function seed() {
+  const files = fs.readdirSync(SEEDS_DIR).filter((f) => f.endsWith(".sql")).sort();
+  for (const file of files) {
+    await pool.query(fs.readFileSync(path.join(SEEDS_DIR, file), "utf8"));
+    console.log(`[migrate] seeded ${file}`);
+  }
+}
+
+/* ─── Startup check ─────────────────────────────────────────────────────── */
+
+// Throws unless the database is at exactly the version the code expects:
+// every migration applied, none unknown, none edited after it ran.
+async function checkSchema() {
+  const expected = listMigrations();
+  const { rows: [{ exists }] } = await pool.query("SELECT to_regclass('schema_migrations') IS NOT NULL AS exists");
+  const applied = exists
+    ? (await pool.query("SELECT version, name, checksum FROM schema_migrations ORDER BY version")).rows
+    : [];
+
+  const problems = [];
+  const appliedByVersion = Object.fromEntries(applied.map((m) => [m.version, m]));
+  const known = new Set(expected.map((m) => m.version));
+
+  expected.forEach((m) => {
+    const row = appliedByVersion[m.version];
+    if (!row) problems.push(`${label(m)} is not applied`);
+    else if (row.checksum !== m.checksum) problems.push(`${label(m)} was modified after it was applied`);
+  });
+  applied
+    .filter((m) => !known.has(m.version))
+    .forEach((m) => problems.push(`${label(m)} is applied but has no migration file`));
+
+  if (problems.length) {
+    throw new Error(`Database schema does not match migrations:\n  ${problems.join("\n  ")}\nRun: npm run migrate`);
+  }
+}
+
+module.exports = { listMigrations, migrateUp, migrateDown, status, seed, checkSchema };
+
+/* ─── CLI ───────────────────────────────────────────────────────────────── */
+
+if (require.main === module) {
+  const [command = "up", arg] = process.argv.slice(2);
+  const commands = {
+    up:     () => migrateUp(arg === undefined ? Infinity : Number(arg)),
+    down:   () => migrateDown(arg === undefined ? 1 : Number(arg)),
+    status: () => status(),
+    seed:   () => seed(),
+  };
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use: up [version] | down [steps] | status | seed`);
+    process.exit(1);
+  }
+
+  commands[command]()
+    .catch((err) => {
+      console.error(`[migrate] ${command} failed:`, err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
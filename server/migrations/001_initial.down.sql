@@ -0,0 +1,7 @@
+-- 001 — drops everything 001_initial.up.sql creates, including scores it
+-- set aside from a pre-migration database.
+
+DROP TABLE score_rejections;
+DROP TABLE activity;
+DROP TABLE legacy_scores;
+DROP TABLE scores;
@@ -0,0 +1,104 @@
+-- 001 — initial schema: the tables server/index.js reads and writes.
+-- Applied by migrate.js; never edit once released, add a new migration.
+--
+-- Databases deployed before migrations existed already have hand-made
+-- scores (uid, name, score) and activity tables, so every statement here is
+-- idempotent: missing tables are created, missing columns added, and the
+-- old tables end up with the same shape a fresh database gets.
+
+CREATE TABLE IF NOT EXISTS scores (
+  id          SERIAL PRIMARY KEY,
+  uid         TEXT NOT NULL,
+  name        TEXT,
+  score       INTEGER NOT NULL,
+  date        DATE NOT NULL,
+  time_taken  INTEGER NOT NULL,
+  difficulty  TEXT NOT NULL,
+  puzzle_type TEXT NOT NULL,
+  -- score × difficulty weight (scoreRules.js computeRating)
+  rating      INTEGER NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  -- One leaderboard submission per player per puzzle date
+  UNIQUE (uid, date)
+);
+
+ALTER TABLE scores
+  ADD COLUMN IF NOT EXISTS id          SERIAL,
+  ADD COLUMN IF NOT EXISTS date        DATE,
+  ADD COLUMN IF NOT EXISTS time_taken  INTEGER,
+  ADD COLUMN IF NOT EXISTS difficulty  TEXT,
+  ADD COLUMN IF NOT EXISTS puzzle_type TEXT,
+  ADD COLUMN IF NOT EXISTS rating      INTEGER,
+  ADD COLUMN IF NOT EXISTS created_at  TIMESTAMPTZ NOT NULL DEFAULT now();
+
+-- Scores saved before ranking have no puzzle date, time or difficulty, so
+-- no board can place them. Keep them in legacy_scores rather than drop them.
+CREATE TABLE IF NOT EXISTS legacy_scores AS SELECT * FROM scores WITH NO DATA;
+
+INSERT INTO legacy_scores
+SELECT * FROM scores
+WHERE date IS NULL OR time_taken IS NULL OR difficulty IS NULL
+   OR puzzle_type IS NULL OR rating IS NULL;
+
+DELETE FROM scores
+WHERE date IS NULL OR time_taken IS NULL OR difficulty IS NULL
+   OR puzzle_type IS NULL OR rating IS NULL;
+
+ALTER TABLE scores
+  ALTER COLUMN uid         SET NOT NULL,
+  ALTER COLUMN score       SET NOT NULL,
+  ALTER COLUMN date        SET NOT NULL,
+  ALTER COLUMN time_taken  SET NOT NULL,
+  ALTER COLUMN difficulty  SET NOT NULL,
+  ALTER COLUMN puzzle_type SET NOT NULL,
+  ALTER COLUMN rating      SET NOT NULL;
+
+-- Same name as the constraint UNIQUE (uid, date) creates on a fresh table
+CREATE UNIQUE INDEX IF NOT EXISTS scores_uid_date_key ON scores (uid, date);
+
+-- Period leaderboards (GET /leaderboard) filter on the puzzle date
+CREATE INDEX IF NOT EXISTS scores_date_idx ON scores (date);
+
+CREATE TABLE IF NOT EXISTS activity (
+  id          SERIAL PRIMARY KEY,
+  uid         TEXT NOT NULL,
+  name        TEXT,
+  date        DATE NOT NULL,
+  score       INTEGER,
+  time_taken  INTEGER,
+  difficulty  TEXT,
+  solved      BOOLEAN
+);
+
+ALTER TABLE activity
+  ADD COLUMN IF NOT EXISTS id          SERIAL,
+  ADD COLUMN IF NOT EXISTS name        TEXT,
+  ADD COLUMN IF NOT EXISTS score       INTEGER,
+  ADD COLUMN IF NOT EXISTS time_taken  INTEGER,
+  ADD COLUMN IF NOT EXISTS difficulty  TEXT,
+  ADD COLUMN IF NOT EXISTS solved      BOOLEAN;
+
+-- A row without a player or a date can't be synced back to anyone
+DELETE FROM activity WHERE uid IS NULL OR date IS NULL;
+
+ALTER TABLE activity
+  ALTER COLUMN uid  SET NOT NULL,
+  ALTER COLUMN date SET NOT NULL;
+
+-- Submissions refused by /save-score, kept for reviewing flagged accounts.
+-- reasons holds scoreRules.js codes plus invalid_signature, uid_mismatch
+-- and duplicate_submission.
+CREATE TABLE IF NOT EXISTS score_rejections (
+  id          SERIAL PRIMARY KEY,
+  source      TEXT NOT NULL,
+  uid         TEXT,
+  date        TEXT,
+  score       INTEGER,
+  time_taken  INTEGER,
+  difficulty  TEXT,
+  reasons     TEXT[] NOT NULL,
+  payload     JSONB,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS score_rejections_uid_idx ON score_rejections (uid, created_at DESC);
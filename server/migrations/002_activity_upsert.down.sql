@@ -0,0 +1,9 @@
+-- 002 — undoes 002_activity_upsert.up.sql. Duplicate rows it collapsed
+-- are not restored.
+
+ALTER TABLE activity DROP CONSTRAINT activity_uid_date_key;
+
+ALTER TABLE activity
+  DROP COLUMN updated_at,
+  DROP COLUMN created_at,
+  DROP COLUMN attempts;
@@ -0,0 +1,22 @@
+-- 002 — one activity row per player per puzzle date, so /sync-activity can
+-- upsert instead of piling up a row per client retry.
+
+ALTER TABLE activity
+  ADD COLUMN attempts   INTEGER NOT NULL DEFAULT 1,
+  ADD COLUMN created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT now();
+
+-- Collapse existing duplicates, keeping a solved row over an unsolved one
+-- and otherwise the earliest
+DELETE FROM activity
+WHERE id IN (
+  SELECT id FROM (
+    SELECT id, ROW_NUMBER() OVER (
+      PARTITION BY uid, date ORDER BY solved DESC NULLS LAST, id
+    ) AS n
+    FROM activity
+  ) ranked
+  WHERE n > 1
+);
+
+ALTER TABLE activity ADD CONSTRAINT activity_uid_date_key UNIQUE (uid, date);
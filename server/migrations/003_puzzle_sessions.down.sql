@@ -0,0 +1,3 @@
+-- 003 — undoes 003_puzzle_sessions.up.sql. Open sessions are lost.
+
+DROP TABLE puzzle_sessions;
@@ -0,0 +1,18 @@
+-- 003 — one live-daily session per player per puzzle date. GET /puzzle/:date
+-- opens it on the first load and serves the same one afterwards, so a
+-- reload can't restart the ranked clock. Tickets carry a copy of the row
+-- and are refused once it has moved on (index.js openTicket).
+
+CREATE TABLE puzzle_sessions (
+  uid               TEXT NOT NULL,
+  date              DATE NOT NULL,
+  type              TEXT NOT NULL,
+  difficulty        TEXT NOT NULL,
+  generator_version INTEGER NOT NULL,
+  started_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  attempts          INTEGER NOT NULL DEFAULT 0,
+  misses            INTEGER NOT NULL DEFAULT 0,
+  -- Set by the correct submit; the session takes no answers after it
+  finished_at       TIMESTAMPTZ,
+  PRIMARY KEY (uid, date)
+);
@@ -0,0 +1,103 @@
+// Server-side puzzle generation and answer checking.
+// Uses the client's own generator registry (src/utils/generatorRegistry.js)
+// so both sides always build the identical puzzle for a date.
+
+const { loadRegistry } = require("./shared");
+
+const PUZZLE_TYPES = ["sequence", "matrix", "latin", "kenken", "nonogram"];
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Fields that would give the answer away
+const SECRET_FIELDS = ["answer", "answers", "solution", "hint"];
+
+// The generator version a request names, or the current one; null if unknown
+async function resolveGeneratorVersion(version) {
+  const { getGenerator, CURRENT_GENERATOR_VERSION } = await loadRegistry();
+  const resolved = version ?? CURRENT_GENERATOR_VERSION;
+  return getGenerator(resolved) ? resolved : null;
+}
+
+// Built puzzles by date, type, difficulty and generator version, least
+// recently used first. Generation is pure, so entries never go stale, and
+// every submit and hint on a ticket reuses the puzzle its load built.
+// Callers share the cached object, so treat it as read-only.
+// PUZZLE_CACHE_SIZE overrides the default size.
+const PUZZLE_CACHE_SIZE = Number(process.env.PUZZLE_CACHE_SIZE) || 500;
+const puzzleCache = new Map();
+
+async function buildPuzzle({ date, type, difficulty, generatorVersion }) {
+  const { getGenerator, CURRENT_GENERATOR_VERSION } = await loadRegistry();
+  const version   = generatorVersion ?? CURRENT_GENERATOR_VERSION;
+  const generator = getGenerator(version);
+  if (!generator) return null;
+
+  const key = [date, type, difficulty, version].join("|");
+  let puzzle = puzzleCache.get(key);
+  if (puzzle) {
+    puzzleCache.delete(key);
+  } else {
+    puzzle = generator.generatePuzzle(date, type, difficulty);
+    if (puzzleCache.size >= PUZZLE_CACHE_SIZE) puzzleCache.delete(puzzleCache.keys().next().value);
+  }
+  puzzleCache.set(key, puzzle);
+  return puzzle;
+}
+
+function stripPuzzle(puzzle) {
+  const publicPuzzle = { ...puzzle };
+  SECRET_FIELDS.forEach((field) => delete publicPuzzle[field]);
+  return publicPuzzle;
+}
+
+function sameNumbers(given, expected) {
+  return Array.isArray(given)
+    && given.length === expected.length
+    && expected.every((value, i) => Number(given[i]) === value);
+}
+
+// Missing-terms puzzles are marked blank by blank, so the player can keep
+// the right entries; null for every other puzzle
+function checkBlanks(puzzle, submission = {}) {
+  if (puzzle.variant !== "gaps") return null;
+  const given = Array.isArray(submission.answers) ? submission.answers : [];
+  return puzzle.answers.map((value, i) => given[i] !== null && given[i] !== undefined && Number(given[i]) === value);
+}
+
+// Wrong, non-empty entries in a missing-terms submission; each one costs
+// GAP_MISS_PENALTY (scoreRules.js) once the puzzle is solved
+function countGapMisses(puzzle, submission = {}) {
+  if (puzzle.variant !== "gaps" || !Array.isArray(submission.answers)) return 0;
+  return puzzle.answers.filter((value, i) => {
+    const given = submission.answers[i];
+    return given !== null && given !== undefined && given !== "" && Number(given) !== value;
+  }).length;
+}
+
+// submission: { answer } | { answers } | { grid } depending on the puzzle
+function checkAnswer(puzzle, submission = {}) {
+  if (puzzle.type === "sequence") {
+    return puzzle.variant === "gaps"
+      ? sameNumbers(submission.answers, puzzle.answers)
+      : Number(submission.answer) === puzzle.answer;
+  }
+
+  if (puzzle.type === "nonogram") {
+    const shaded = Array.isArray(submission.grid)
+      ? submission.grid.map((v) => (v === 1 || v === "1" ? 1 : 0))
+      : null;
+    return sameNumbers(shaded, puzzle.solution);
+  }
+
+  return sameNumbers(submission.grid, puzzle.solution);
+}
+
+module.exports = {
+  PUZZLE_TYPES,
+  DIFFICULTIES,
+  resolveGeneratorVersion,
+  buildPuzzle,
+  stripPuzzle,
+  checkAnswer,
+  checkBlanks,
+  countGapMisses,
+};
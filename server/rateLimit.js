@@ -0,0 +1,56 @@
+// In-memory fixed-window rate limits: one per client IP in front of
+// authentication, one per uid behind it. Counters live in this process, so
+// each server instance enforces its own limits.
+//
+// RATE_LIMIT_IP_PER_MINUTE / RATE_LIMIT_UID_PER_MINUTE override the defaults.
+
+const { sendError } = require("./errors");
+
+const WINDOW_MS = 60 * 1000;
+
+const DEFAULT_LIMITS = {
+  ip:  Number(process.env.RATE_LIMIT_IP_PER_MINUTE)  || 120,
+  uid: Number(process.env.RATE_LIMIT_UID_PER_MINUTE) || 60,
+};
+
+// key(req) picks the bucket; requests without a key are not limited
+function createRateLimiter({ name, max, key, windowMs = WINDOW_MS }) {
+  const buckets = new Map();
+
+  // Drop finished windows so idle clients don't accumulate
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, k) => {
+      if (bucket.resetAt <= now) buckets.delete(k);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return (req, res, next) => {
+    const k = key(req);
+    if (!k) return next();
+
+    const now = Date.now();
+    let bucket = buckets.get(k);
+    if (!bucket || bucket.resetAt <= now) {
+      bucket = { count: 0, resetAt: now + windowMs };
+      buckets.set(k, bucket);
+    }
+    bucket.count += 1;
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - bucket.count, 0)));
+
+    if (bucket.count > max) {
+      const retryAfter = Math.ceil((bucket.resetAt - now) / 1000);
+      res.set("Retry-After", String(retryAfter));
+      return sendError(res, 429, "rate_limited", `Too many requests (per ${name})`, { retryAfter });
+    }
+    next();
+  };
+}
+
+const limitByIp  = createRateLimiter({ name: "ip",  max: DEFAULT_LIMITS.ip,  key: (req) => req.ip });
+const limitByUid = createRateLimiter({ name: "uid", max: DEFAULT_LIMITS.uid, key: (req) => req.uid });
+
+module.exports = { createRateLimiter, limitByIp, limitByUid };
@@ -0,0 +1,20 @@
+-- Local development data: a few players with scores over the last week so
+-- every leaderboard period and bracket has something to show.
+-- Load with: npm run db:seed. Safe to re-run; never load into production.
+
+INSERT INTO scores (uid, name, score, date, time_taken, difficulty, puzzle_type, rating)
+VALUES
+  ('dev-ada',    'Ada',    92, CURRENT_DATE,     8,  'hard',   'kenken',   276),
+  ('dev-grace',  'Grace',  88, CURRENT_DATE,     12, 'medium', 'sequence', 176),
+  ('dev-alan',   'Alan',   95, CURRENT_DATE,     5,  'easy',   'latin',    95),
+  ('dev-ada',    'Ada',    70, CURRENT_DATE - 1, 30, 'medium', 'matrix',   140),
+  ('dev-grace',  'Grace',  81, CURRENT_DATE - 1, 19, 'hard',   'nonogram', 243),
+  ('dev-alan',   'Alan',   64, CURRENT_DATE - 3, 36, 'medium', 'sequence', 128),
+  ('dev-edsger', 'Edsger', 90, CURRENT_DATE - 5, 10, 'hard',   'latin',    270)
+ON CONFLICT (uid, date) DO NOTHING;
+
+INSERT INTO activity (uid, name, date, score, time_taken, difficulty, solved)
+SELECT uid, name, date, score, time_taken, difficulty, TRUE
+FROM scores
+WHERE uid LIKE 'dev-%'
+ON CONFLICT (uid, date) DO NOTHING;
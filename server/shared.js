@@ -0,0 +1,22 @@
+// Loads the client's pure ESM utilities (src/utils) so the server builds
+// puzzles, scores and leaderboard periods with exactly the same code.
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const SHARED_DIR = path.join(__dirname, "..", "src", "utils");
+
+const cache = {};
+
+// The shared modules are ESM, so they load through a cached dynamic import
+function loadShared(file) {
+  if (!cache[file]) cache[file] = import(pathToFileURL(path.join(SHARED_DIR, file)).href);
+  return cache[file];
+}
+
+module.exports = {
+  loadRegistry:           () => loadShared("generatorRegistry.js"),
+  loadScoreRules:         () => loadShared("scoreRules.js"),
+  loadLeaderboardPeriods: () => loadShared("leaderboardPeriods.js"),
+  loadHintText:           () => loadShared("hintText.js"),
+};
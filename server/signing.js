@@ -0,0 +1,48 @@
+// HMAC signing for puzzle tickets and verified results.
+// Set RESULT_SECRET in .env — without it a random per-process secret is
+// used, so anything signed before a restart stops verifying.
+
+const crypto = require("crypto");
+
+const SECRET = process.env.RESULT_SECRET || crypto.randomBytes(32).toString("hex");
+
+if (!process.env.RESULT_SECRET) {
+  console.warn("[server] RESULT_SECRET not set — using a temporary signing secret");
+}
+
+// Key order is fixed so the same payload always signs the same way
+function canonical(payload) {
+  return JSON.stringify(payload, Object.keys(payload).sort());
+}
+
+function sign(payload) {
+  return crypto.createHmac("sha256", SECRET).update(canonical(payload)).digest("hex");
+}
+
+function verify(payload, signature) {
+  if (!payload || typeof payload !== "object" || typeof signature !== "string") return false;
+
+  const expected = Buffer.from(sign(payload), "hex");
+  const given    = Buffer.from(signature, "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Tickets travel as base64url(JSON).signature so clients can hold them opaquely
+function encodeTicket(payload) {
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(payload)}`;
+}
+
+function decodeTicket(ticket) {
+  if (typeof ticket !== "string" || !ticket.includes(".")) return null;
+
+  const [body, signature] = ticket.split(".");
+  try {
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+    return verify(payload, signature) ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { sign, verify, encodeTicket, decodeTicket };
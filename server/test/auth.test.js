@@ -0,0 +1,54 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockExchange, localToken } = require("./helpers");
+const { createAuthMiddleware, uidMismatch, verifyLocalToken } = require("../auth");
+
+async function authenticate(verify, authorization) {
+  const exchange = mockExchange({ headers: authorization ? { authorization } : {} });
+  await createAuthMiddleware(verify)(exchange.req, exchange.res, exchange.next);
+  return exchange;
+}
+
+describe("auth", () => {
+  const accept = async (token) => ({ uid: `uid-of-${token}` });
+
+  it("sets req.uid from the verified token", async () => {
+    const { req, res } = await authenticate(accept, "Bearer abc");
+    assert.equal(res.passed, true);
+    assert.equal(req.uid, "uid-of-abc");
+  });
+
+  it("answers 401 without a bearer token", async () => {
+    for (const header of [undefined, "abc", "Basic abc", "Bearer "]) {
+      const { res } = await authenticate(accept, header);
+      assert.equal(res.statusCode, 401, String(header));
+      assert.equal(res.body.error.code, "unauthenticated");
+    }
+  });
+
+  it("answers 401 when the verifier rejects the token", async () => {
+    const reject = async () => { throw new Error("token has expired"); };
+    const { res } = await authenticate(reject, "Bearer abc");
+
+    assert.equal(res.passed, false);
+    assert.equal(res.statusCode, 401);
+    assert.match(res.body.error.message, /token has expired/);
+  });
+
+  it("checks local tokens' claims", async () => {
+    assert.deepEqual(await verifyLocalToken(localToken("ada")), { uid: "ada" });
+
+    const hourAgo = Math.floor(Date.now() / 1000) - 3600;
+    await assert.rejects(verifyLocalToken(localToken("ada", { exp: hourAgo })), /expired/);
+    await assert.rejects(verifyLocalToken(localToken("")), /subject/);
+    await assert.rejects(verifyLocalToken("not-a-token"), /malformed/);
+  });
+
+  it("flags a claimed uid that differs from the token's", () => {
+    const req = { uid: "ada" };
+    assert.equal(uidMismatch(req, "grace"), true);
+    assert.equal(uidMismatch(req, "ada"), false);
+    assert.equal(uidMismatch(req, undefined), false);
+    assert.equal(uidMismatch(req, ""), false);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers");
+const { FieldValue } = require("firebase-admin/firestore");
+const { writeLeaderboard } = require("../firestore");
+
+const TODAY     = new Date().toISOString().slice(0, 10);
+const YESTERDAY = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+function result(date, score = 90) {
+  return {
+    uid: "ada", date, type: "sequence", difficulty: "hard", generatorVersion: 3,
+    score, timeTaken: 100 - score, misses: 0, attempts: 1, finishedAt: Date.now(),
+  };
+}
+
+// Just enough of the Admin SDK's Firestore for writeLeaderboard: documents
+// by path, with set({ merge: true }) merging top-level fields
+function fakeFirestore(docs = {}) {
+  const ref = (path) => ({
+    path,
+    collection: (name) => ({ doc: (id) => ref(`${path}/${name}/${id}`) }),
+  });
+  return {
+    docs,
+    collection: (name) => ({ doc: (id) => ref(`${name}/${id}`) }),
+    runTransaction: (fn) => fn({
+      get: async ({ path }) => ({ exists: path in docs, data: () => docs[path] }),
+      set: ({ path }, data, { merge } = {}) => {
+        docs[path] = merge ? { ...docs[path], ...data } : data;
+      },
+    }),
+  };
+}
+
+describe("writeLeaderboard", () => {
+  it("accepts the next result for an entry written before lastDate existed", async () => {
+    // The shape leaderboard/{uid} had before results were signed
+    const db = fakeFirestore({ "leaderboard/ada": { uid: "ada", name: "Ada", score: 95, updatedAt: 1 } });
+
+    const reasons = await writeLeaderboard(db, { uid: "ada", name: "Ada", result: result(TODAY), signature: "sig" });
+
+    assert.deepEqual(reasons, []);
+    const entry = db.docs["leaderboard/ada"];
+    assert.equal(entry.lastDate, TODAY);
+    assert.equal(entry.lastSignature, "sig");
+    assert.equal(entry.score, 95, "not a new high score");
+
+    const board = db.docs[`leaderboards/day-${TODAY}/entries/ada`];
+    assert.ok(board.rating.isEqual(FieldValue.increment(270)));
+    assert.ok(db.docs[`leaderboards/day-${TODAY}_hard/entries/ada`]);
+  });
+
+  it("refuses a repeat of the last date and anything older, writing nothing", async () => {
+    const db = fakeFirestore();
+    await writeLeaderboard(db, { uid: "ada", name: "Ada", result: result(TODAY), signature: "sig" });
+    const before = Object.keys(db.docs);
+
+    assert.deepEqual(
+      await writeLeaderboard(db, { uid: "ada", result: result(TODAY, 80), signature: "sig" }),
+      ["duplicate_submission"]
+    );
+    assert.deepEqual(
+      await writeLeaderboard(db, { uid: "ada", result: result(YESTERDAY, 80), signature: "sig" }),
+      ["stale_submission"]
+    );
+    assert.deepEqual(Object.keys(db.docs), before);
+    assert.equal(db.docs["leaderboard/ada"].score, 90);
+  });
+
+  it("refuses results that fail scoreRules.js", async () => {
+    const db = fakeFirestore();
+    const reasons = await writeLeaderboard(db, { uid: "ada", result: { ...result(TODAY), score: 99 }, signature: "sig" });
+
+    assert.deepEqual(reasons, ["score_mismatch"]);
+    assert.deepEqual(db.docs, {});
+  });
+});
@@ -0,0 +1,62 @@
+// Shared setup for the server tests.
+//
+// Tests that need Postgres run only when TEST_DATABASE_URL names a
+// disposable local database, e.g.
+//   TEST_DATABASE_URL=postgres://postgres@localhost:5432/logic_looper_test npm test
+// Each of them drops and recreates its public schema, so never point it at
+// a database you care about. Require this file before anything that loads
+// db.js, so the pool picks up the test database.
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+if (TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = TEST_DATABASE_URL;
+  process.env.DATABASE_SSL = process.env.DATABASE_SSL ?? "false";
+}
+process.env.RESULT_SECRET = process.env.RESULT_SECRET || "test-secret";
+process.env.AUTH_VERIFIER = "local";
+
+// Pass as describe(name, { skip: needsDatabase }, ...)
+const needsDatabase = TEST_DATABASE_URL ? false : "TEST_DATABASE_URL is not set";
+
+async function resetDatabase(pool) {
+  await pool.query("DROP SCHEMA public CASCADE");
+  await pool.query("CREATE SCHEMA public");
+}
+
+// Unsigned token with Firebase-style claims, accepted by AUTH_VERIFIER=local
+function localToken(uid, claims = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const part = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  return [part({ alg: "none" }), part({ sub: uid, iat: now, exp: now + 3600, ...claims }), "sig"].join(".");
+}
+
+// Start `app` on a free port; resolves to { url, close }
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, () => {
+      resolve({
+        url:   `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+// Minimal Express response for calling middleware directly. `next` records
+// whether the middleware passed the request on.
+function mockExchange(req = {}) {
+  const res = {
+    statusCode: 200,
+    headers:    {},
+    body:       null,
+    passed:     false,
+    status(code) { this.statusCode = code; return this; },
+    json(body)   { this.body = body; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+  };
+  const next = () => { res.passed = true; };
+  return { req: { get: (name) => req.headers?.[name.toLowerCase()], ...req }, res, next };
+}
+
+module.exports = { needsDatabase, resetDatabase, localToken, listen, mockExchange };
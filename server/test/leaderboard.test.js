@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { needsDatabase, resetDatabase, localToken, listen } = require("./helpers");
+const { app } = require("../index");
+const { pool } = require("../db");
+const { migrateUp } = require("../migrate");
+const { sign } = require("../signing");
+
+const TODAY     = new Date().toISOString().slice(0, 10);
+const YESTERDAY = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+function signedResult(uid, { score, timeTaken, difficulty, date = TODAY }) {
+  const result = {
+    uid, date, type: "sequence", difficulty, generatorVersion: 2,
+    score, timeTaken, misses: 0, attempts: 1, finishedAt: Date.now(),
+  };
+  return { result, signature: sign(result) };
+}
+
+describe("leaderboard routes", () => {
+  let server;
+  const call = (path, { uid, body } = {}) =>
+    fetch(`${server.url}${path}`, {
+      method:  body ? "POST" : "GET",
+      headers: {
+        "Content-Type": "application/json",
+        ...(uid && { Authorization: `Bearer ${localToken(uid)}` }),
+      },
+      body: body && JSON.stringify(body),
+    });
+
+  before(async () => {
+    server = await listen(app);
+  });
+  after(async () => {
+    await server.close();
+    await pool.end();
+  });
+
+  it("refuses requests without an ID token", async () => {
+    const board = await call("/leaderboard");
+    assert.equal(board.status, 401);
+    assert.equal((await board.json()).error.code, "unauthenticated");
+
+    const save = await call("/leaderboard/scores", { body: signedResult("ada", { score: 90, timeTaken: 10, difficulty: "hard" }) });
+    assert.equal(save.status, 401);
+  });
+
+  it("refuses a uid other than the token's", async () => {
+    const res = await call("/leaderboard?uid=grace", { uid: "ada" });
+    assert.equal(res.status, 403);
+    assert.equal((await res.json()).error.code, "forbidden");
+  });
+
+  it("answers 503 from the Firestore route without Admin credentials", async () => {
+    const res = await call("/leaderboard/firestore", { uid: "ada", body: signedResult("ada", { score: 90, timeTaken: 10, difficulty: "hard" }) });
+    assert.equal(res.status, 503);
+    assert.equal((await res.json()).error.code, "unavailable");
+  });
+
+  describe("against Postgres", { skip: needsDatabase }, () => {
+    before(async () => {
+      await resetDatabase(pool);
+      await migrateUp();
+    });
+
+    it("ranks signed scores by rating and returns the caller's row", async () => {
+      const ada   = signedResult("ada",   { score: 90, timeTaken: 10, difficulty: "hard" });
+      const grace = signedResult("grace", { score: 95, timeTaken: 5,  difficulty: "easy" });
+
+      assert.equal((await call("/leaderboard/scores", { uid: "ada",   body: { name: "Ada",   ...ada } })).status, 200);
+      assert.equal((await call("/leaderboard/scores", { uid: "grace", body: { name: "Grace", ...grace } })).status, 200);
+
+      const res  = await call(`/leaderboard?period=day&date=${TODAY}`, { uid: "grace" });
+      const body = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.deepEqual(body.entries.map((e) => [e.uid, e.rating, e.rank]), [["ada", 270, 1], ["grace", 95, 2]]);
+      assert.equal(body.you.uid, "grace");
+      assert.equal(body.you.rank, 2);
+    });
+
+    it("refuses a second score for the same date", async () => {
+      const again = signedResult("ada", { score: 88, timeTaken: 12, difficulty: "hard" });
+      const res   = await call("/leaderboard/scores", { uid: "ada", body: again });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual((await res.json()).error.reasons, ["duplicate_submission"]);
+    });
+
+    it("refuses a score for a date before the last one ranked", async () => {
+      const older = signedResult("ada", { score: 88, timeTaken: 12, difficulty: "hard", date: YESTERDAY });
+      const res   = await call("/leaderboard/scores", { uid: "ada", body: older });
+
+      assert.equal(res.status, 422);
+      assert.deepEqual((await res.json()).error.reasons, ["stale_submission"]);
+    });
+
+    it("refuses a result the server did not sign", async () => {
+      const forged = signedResult("alan", { score: 95, timeTaken: 5, difficulty: "easy" });
+      const res    = await call("/leaderboard/scores", { uid: "alan", body: { ...forged, signature: "0".repeat(64) } });
+
+      assert.equal(res.status, 401);
+      const { rows } = await pool.query("SELECT reasons FROM score_rejections WHERE uid = 'alan'");
+      assert.deepEqual(rows.map((r) => r.reasons), [["invalid_signature"]]);
+    });
+  });
+});
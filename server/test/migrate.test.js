@@ -0,0 +1,89 @@
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { needsDatabase, resetDatabase } = require("./helpers");
+const { pool } = require("../db");
+const { migrateUp, migrateDown, checkSchema } = require("../migrate");
+
+// The tables as they were created by hand before migrations existed
+const PRE_MIGRATION_SCHEMA = `
+  CREATE TABLE scores (
+    id    SERIAL PRIMARY KEY,
+    uid   TEXT,
+    name  TEXT,
+    score INTEGER
+  );
+  CREATE TABLE activity (
+    id         SERIAL PRIMARY KEY,
+    uid        TEXT,
+    name       TEXT,
+    date       DATE,
+    score      INTEGER,
+    time_taken INTEGER,
+    difficulty TEXT,
+    solved     BOOLEAN
+  );
+  INSERT INTO scores (uid, name, score) VALUES ('ada', 'Ada', 90);
+  INSERT INTO activity (uid, name, date, score, time_taken, difficulty, solved)
+  VALUES ('ada', 'Ada', '2025-01-01', 90, 10, 'hard', TRUE),
+         ('ada', 'Ada', '2025-01-01', 0, 0, 'hard', FALSE);
+`;
+
+async function columns(table) {
+  const { rows } = await pool.query(
+    `SELECT column_name, data_type, is_nullable FROM information_schema.columns
+     WHERE table_schema = 'public' AND table_name = $1 ORDER BY column_name`,
+    [table]
+  );
+  return rows;
+}
+
+describe("migrations", { skip: needsDatabase }, () => {
+  beforeEach(() => resetDatabase(pool));
+  after(() => pool.end());
+
+  it("builds a fresh database that passes the startup check", async () => {
+    await migrateUp();
+    await checkSchema();
+
+    const { rows } = await pool.query("SELECT version FROM schema_migrations ORDER BY version");
+    assert.deepEqual(rows.map((r) => r.version), [1, 2, 3]);
+  });
+
+  it("refuses to boot until pending migrations are applied", async () => {
+    await migrateUp(1);
+    await assert.rejects(checkSchema(), /002_activity_upsert is not applied/);
+  });
+
+  it("baselines a pre-migration database without losing rows", async () => {
+    await pool.query(PRE_MIGRATION_SCHEMA);
+
+    await migrateUp();
+    await checkSchema();
+
+    // Unrankable old scores are set aside, not dropped
+    assert.equal((await pool.query("SELECT * FROM scores")).rowCount, 0);
+    const { rows: legacy } = await pool.query("SELECT uid, name, score FROM legacy_scores");
+    assert.deepEqual(legacy, [{ uid: "ada", name: "Ada", score: 90 }]);
+
+    // 002 collapsed the duplicate day, keeping the solved row
+    const { rows: activity } = await pool.query("SELECT uid, solved, attempts FROM activity");
+    assert.deepEqual(activity, [{ uid: "ada", solved: true, attempts: 1 }]);
+
+    // Same columns as a fresh database
+    const baselined = { scores: await columns("scores"), activity: await columns("activity") };
+    await resetDatabase(pool);
+    await migrateUp();
+    assert.deepEqual(baselined, { scores: await columns("scores"), activity: await columns("activity") });
+  });
+
+  it("rolls every migration back and forward again", async () => {
+    await migrateUp();
+    await migrateDown(3);
+
+    const { rows } = await pool.query("SELECT to_regclass('scores') AS scores, to_regclass('activity') AS activity");
+    assert.deepEqual(rows, [{ scores: null, activity: null }]);
+
+    await migrateUp();
+    await checkSchema();
+  });
+});
@@ -0,0 +1,124 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { needsDatabase, resetDatabase, localToken, listen } = require("./helpers");
+const { app } = require("../index");
+const { pool } = require("../db");
+const { migrateUp } = require("../migrate");
+const { decodeTicket } = require("../signing");
+const { buildPuzzle, stripPuzzle, checkAnswer, checkBlanks, countGapMisses } = require("../puzzles");
+
+// 2025-01-22 on hard is a missing-terms interleaved sequence with one blank
+const GAPS = { date: "2025-01-22", type: "sequence", difficulty: "hard" };
+
+describe("puzzles", () => {
+  it("builds each puzzle once and serves repeats from the cache", async () => {
+    const pick   = { date: "2025-03-21", type: "kenken", difficulty: "hard" };
+    const puzzle = await buildPuzzle(pick);
+
+    assert.equal(await buildPuzzle(pick), puzzle);
+    assert.notEqual(await buildPuzzle({ ...pick, generatorVersion: 2 }), puzzle);
+  });
+
+  it("strips every field that gives the answer away", async () => {
+    const puzzle = await buildPuzzle({ date: "2025-03-01", type: "latin", difficulty: "medium" });
+    const stripped = stripPuzzle(puzzle);
+
+    for (const field of ["answer", "answers", "solution", "hint"]) {
+      assert.equal(field in stripped, false, field);
+    }
+    assert.deepEqual(stripped.grid, puzzle.grid);
+  });
+
+  it("checks a missing-terms submission blank by blank", async () => {
+    const puzzle = await buildPuzzle(GAPS);
+    assert.equal(puzzle.variant, "gaps");
+
+    assert.equal(checkAnswer(puzzle, { answers: puzzle.answers }), true);
+    assert.equal(checkAnswer(puzzle, { answers: puzzle.answers.map((v) => v + 1) }), false);
+  });
+
+  it("marks each blank of a missing-terms submission", async () => {
+    const puzzle = await buildPuzzle(GAPS);
+    const wrong  = puzzle.answers.map((v) => v + 1);
+
+    assert.deepEqual(checkBlanks(puzzle, { answers: puzzle.answers }), puzzle.answers.map(() => true));
+    assert.deepEqual(checkBlanks(puzzle, { answers: wrong }), puzzle.answers.map(() => false));
+    assert.equal(checkBlanks(await buildPuzzle({ ...GAPS, date: "2025-01-01" }), { answer: 1 }), null);
+  });
+
+  it("counts wrong, non-empty blank entries as misses", async () => {
+    const puzzle = await buildPuzzle(GAPS);
+    const wrong  = puzzle.answers.map((v) => v + 1);
+
+    assert.equal(countGapMisses(puzzle, { answers: wrong }), puzzle.answers.length);
+    assert.equal(countGapMisses(puzzle, { answers: puzzle.answers.map(() => null) }), 0);
+    assert.equal(countGapMisses(puzzle, { answers: puzzle.answers }), 0);
+  });
+
+  it("never counts misses on next-term puzzles", async () => {
+    const puzzle = await buildPuzzle({ date: "2025-01-01", type: "sequence", difficulty: "hard" });
+    assert.equal(countGapMisses(puzzle, { answer: puzzle.answer + 1 }), 0);
+  });
+});
+
+describe("live-daily sessions", { skip: needsDatabase }, () => {
+  let server;
+  const call = (path, body) =>
+    fetch(`${server.url}${path}`, {
+      method:  body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${localToken("ada")}` },
+      body:    body && JSON.stringify(body),
+    });
+  const load = (pick = GAPS) =>
+    call(`/puzzle/${GAPS.date}?type=${pick.type}&difficulty=${pick.difficulty}`).then((res) => res.json());
+  const submit = (ticket, submission) => call(`/puzzle/${GAPS.date}/submit`, { ticket, submission });
+
+  before(async () => {
+    await resetDatabase(pool);
+    await migrateUp();
+    server = await listen(app);
+  });
+  after(async () => {
+    await server.close();
+    await pool.end();
+  });
+
+  it("serves the first session again on reload, whatever is asked for", async () => {
+    const first  = await load();
+    const reload = await load({ type: "latin", difficulty: "easy" });
+
+    assert.equal(reload.ticket, first.ticket);
+    assert.equal(reload.puzzle.type, "sequence");
+    assert.equal(decodeTicket(first.ticket).attempts, 0);
+  });
+
+  it("refuses a ticket once a wrong answer has replaced it", async () => {
+    const { ticket } = await load();
+    const { answers } = await buildPuzzle(GAPS);
+
+    const wrong = await (await submit(ticket, { answers: answers.map((v) => v + 1) })).json();
+    assert.equal(wrong.correct, false);
+    assert.deepEqual(decodeTicket(wrong.ticket), { ...decodeTicket(ticket), attempts: 1, misses: answers.length });
+
+    // Replaying the first ticket would reset the attempts and misses
+    const replay = await submit(ticket, { answers });
+    assert.equal(replay.status, 409);
+    assert.equal((await replay.json()).error.code, "stale_ticket");
+
+    // A reload carries on from the counted attempt
+    assert.equal((await load()).ticket, wrong.ticket);
+
+    const solved = await (await submit(wrong.ticket, { answers })).json();
+    assert.equal(solved.correct, true);
+    assert.equal(solved.result.attempts, 2);
+    assert.equal(solved.result.misses, answers.length);
+  });
+
+  it("takes no answers once solved", async () => {
+    const { ticket } = await load();
+    const res = await submit(ticket, { answers: [] });
+
+    assert.equal(res.status, 409);
+    assert.equal((await res.json()).error.code, "puzzle_solved");
+  });
+});
@@ -0,0 +1,51 @@
+const { describe, it, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockExchange } = require("./helpers");
+const { createRateLimiter } = require("../rateLimit");
+
+function hit(limiter, req) {
+  const { res, next, req: request } = mockExchange(req);
+  limiter(request, res, next);
+  return res;
+}
+
+describe("rateLimit", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("allows max requests per window, then answers 429 with Retry-After", () => {
+    const limiter = createRateLimiter({ name: "ip", max: 2, key: (req) => req.ip, windowMs: 60000 });
+
+    assert.equal(hit(limiter, { ip: "1.1.1.1" }).passed, true);
+    const second = hit(limiter, { ip: "1.1.1.1" });
+    assert.equal(second.passed, true);
+    assert.equal(second.headers["RateLimit-Remaining"], "0");
+
+    const third = hit(limiter, { ip: "1.1.1.1" });
+    assert.equal(third.passed, false);
+    assert.equal(third.statusCode, 429);
+    assert.equal(third.body.error.code, "rate_limited");
+    assert.equal(third.headers["Retry-After"], "60");
+  });
+
+  it("counts each key separately and skips requests without one", () => {
+    const limiter = createRateLimiter({ name: "uid", max: 1, key: (req) => req.uid });
+
+    assert.equal(hit(limiter, { uid: "ada" }).passed, true);
+    assert.equal(hit(limiter, { uid: "grace" }).passed, true);
+    assert.equal(hit(limiter, { uid: "ada" }).statusCode, 429);
+    assert.equal(hit(limiter, {}).passed, true);
+    assert.equal(hit(limiter, {}).passed, true);
+  });
+
+  it("starts a fresh window once the old one has ended", () => {
+    let now = 1000000;
+    mock.method(Date, "now", () => now);
+    const limiter = createRateLimiter({ name: "ip", max: 1, key: (req) => req.ip, windowMs: 1000 });
+
+    hit(limiter, { ip: "1.1.1.1" });
+    assert.equal(hit(limiter, { ip: "1.1.1.1" }).statusCode, 429);
+
+    now += 1000;
+    assert.equal(hit(limiter, { ip: "1.1.1.1" }).passed, true);
+  });
+});
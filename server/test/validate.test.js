@@ -0,0 +1,51 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { mockExchange } = require("./helpers");
+const { validate } = require("../validate");
+
+function run(schemas, req) {
+  const { res, next, req: request } = mockExchange(req);
+  validate(schemas)(request, res, next);
+  return { req: request, res };
+}
+
+describe("validate", () => {
+  it("passes typed values on in req.valid", () => {
+    const { req, res } = run(
+      { params: { date: { type: "date" } }, query: { limit: { type: "integer", min: 1 }, all: { type: "boolean" } } },
+      { params: { date: "2024-02-29" }, query: { limit: "10", all: "true" } }
+    );
+
+    assert.equal(res.passed, true);
+    assert.deepEqual(req.valid, { params: { date: "2024-02-29" }, query: { limit: 10, all: true } });
+  });
+
+  it("lists every bad field in one validation_failed error", () => {
+    const { res } = run(
+      { body: { name: { type: "string", maxLength: 3 }, level: { type: "integer", max: 4 }, kind: { type: "enum", values: ["a"] } } },
+      { body: { name: "toolong", level: 5 } }
+    );
+
+    assert.equal(res.passed, false);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error.code, "validation_failed");
+    assert.deepEqual(res.body.error.details.map((d) => d.field), ["name", "level", "kind"]);
+  });
+
+  it("rejects impossible dates instead of throwing", () => {
+    for (const date of ["2024-13-01", "2023-02-29", "2024-00-10", "2024-1-01"]) {
+      const { res } = run({ params: { date: { type: "date" } } }, { params: { date } });
+      assert.equal(res.statusCode, 400, date);
+    }
+  });
+
+  it("only parses numbers and booleans outside the body", () => {
+    const { res } = run({ body: { limit: { type: "integer" }, all: { type: "boolean" } } }, { body: { limit: "10", all: "true" } });
+    assert.deepEqual(res.body.error.details.map((d) => d.field), ["limit", "all"]);
+  });
+
+  it("lets optional fields be missing or null", () => {
+    const { res } = run({ body: { uid: { type: "string", optional: true } } }, { body: { uid: null } });
+    assert.equal(res.passed, true);
+  });
+});
@@ -0,0 +1,106 @@
+// Request validation. Each route declares a schema per location
+// (params / query / body); failures become one 400 validation_failed
+// listing every bad field (see errors.js).
+//
+// Field rules:
+//   { type: "string", maxLength }     { type: "integer", min, max }
+//   { type: "boolean" }               { type: "enum", values }
+//   { type: "date" }  — "YYYY-MM-DD"  { type: "object" }
+//   optional: true — may be missing or null
+//
+// Params and query arrive as strings, so there integers and booleans are
+// parsed. Handlers read the typed values from req.valid.{params,query,body}.
+
+const { sendValidationError } = require("./errors");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const INT_RE  = /^-?\d+$/;
+
+/* ─── Rules ─────────────────────────────────────────────────────────────── */
+
+// Returns [value, problem] — problem is null when the value passes
+function checkField(rule, raw, fromString) {
+  let value = raw;
+  if (fromString && rule.type === "integer" && typeof raw === "string" && INT_RE.test(raw)) {
+    value = Number(raw);
+  }
+  if (fromString && rule.type === "boolean" && (raw === "true" || raw === "false")) {
+    value = raw === "true";
+  }
+
+  switch (rule.type) {
+    case "string":
+      if (typeof value !== "string") return [value, "must be a string"];
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return [value, `must be at most ${rule.maxLength} characters`];
+      }
+      return [value, null];
+
+    case "integer":
+      if (!Number.isInteger(value)) return [value, "must be an integer"];
+      if (rule.min !== undefined && value < rule.min) return [value, `must be at least ${rule.min}`];
+      if (rule.max !== undefined && value > rule.max) return [value, `must be at most ${rule.max}`];
+      return [value, null];
+
+    case "boolean":
+      return [value, typeof value === "boolean" ? null : "must be true or false"];
+
+    case "enum":
+      return [value, rule.values.includes(value) ? null : `must be one of ${rule.values.join(", ")}`];
+
+    case "date": {
+      if (typeof value !== "string" || !DATE_RE.test(value)) return [value, "must be a YYYY-MM-DD date"];
+      // "2024-13-01" is an Invalid Date, and toISOString() would throw on it
+      const parsed = new Date(`${value}T00:00:00Z`);
+      const real = !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === value;
+      return [value, real ? null : "must be a real calendar date"];
+    }
+
+    case "object":
+      return [value, value && typeof value === "object" && !Array.isArray(value) ? null : "must be an object"];
+
+    default:
+      throw new Error(`Unknown validation rule type "${rule.type}"`);
+  }
+}
+
+function checkLocation(location, schema, input = {}) {
+  const problems = [];
+  const values = { ...input };
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input[field];
+    if (raw === undefined || raw === null) {
+      if (!rule.optional) problems.push({ location, field, message: "is required" });
+      return;
+    }
+
+    const [value, problem] = checkField(rule, raw, location !== "body");
+    if (problem) problems.push({ location, field, message: problem });
+    else values[field] = value;
+  });
+
+  return { problems, values };
+}
+
+/* ─── Middleware ────────────────────────────────────────────────────────── */
+
+// validate({ params, query, body }) — any location may be omitted
+function validate(schemas) {
+  return (req, res, next) => {
+    const problems = [];
+
+    ["params", "query", "body"].forEach((location) => {
+      if (!schemas[location]) return;
+      const checked = checkLocation(location, schemas[location], req[location] ?? {});
+      problems.push(...checked.problems);
+      // Express 5 makes req.query a getter, so typed values can't replace it
+      req.valid = { ...req.valid, [location]: checked.values };
+    });
+
+    if (problems.length) return sendValidationError(res, problems);
+    next();
+  };
+}
+
+module.exports = { validate };
@@ -5,23 +5,35 @@
  * Tabs: Today | Activity | Insights | Achievements
  *
  * All brand tokens from constants/brand.js
- * Sync: Firebase + Neon (parallel, non-blocking)
- * dataKey: incremented on solve → Heatmap + InsightsDashboard reload
+ * Sync: Firebase + Neon via the Express server, queued in the Dexie outbox
+ *       (retried with backoff; status shown in OnlineBanner)
+ * dataKey: incremented on solve, cloud pull or backup import → Heatmap +
+ *          InsightsDashboard reload
+ * archiveDate: set from a Heatmap cell → Today tab plays that past puzzle
+ * challengeCode: read from /?p=<code> → Today tab plays that shared puzzle
  */
 
 import { useEffect, useState, useCallback } from "react";
+import dayjs                                from "dayjs";
 import { signInWithRedirect, getRedirectResult, signOut } from "firebase/auth";
 import { auth, provider }                   from "./firebase";
 import DailyPuzzle                          from "./components/DailyPuzzle";
 import Heatmap                              from "./components/Heatmap";
 import InsightsDashboard                    from "./components/insightsdashboard";
 import OnlineBanner                         from "./components/OnlineBanner";
-import { updateLeaderboard,
-         fetchLeaderboard }                 from "./utils/firestoresync";
-import { updateNeonLeaderboard,
-         fetchNeonLeaderboard }             from "./utils/Neonsync";
+import LocalBackup                          from "./components/LocalBackup";
+import { fetchLeaderboard }                 from "./utils/firestoresync";
+import { fetchNeonLeaderboard }             from "./utils/Neonsync";
 import { syncActivities }                   from "./utils/sync";
-import { getAllActivities }                  from "./db";
+import { enqueueOutbox,
+         flushOutbox,
+         retryFailedOutbox,
+         subscribeOutbox }                  from "./utils/outbox";
+import { getAllActivities,
+         getAchievementUnlocks,
+         recordAchievementUnlocks }         from "./db";
+import { encodePuzzleCode,
+         buildChallengeUrl }                from "./utils/shareCode";
 import { BS, font, radius, shadow }         from "./constants/Brand";
 
 /* ─── Tabs ───────────────────────────────────────────────────────────────── */
@@ -47,7 +59,9 @@ const ACHIEVEMENT_DEFS = [
 ];
 
 /* ─── Achievements panel ────────────────────────────────────────────────── */
-function AchievementsPanel({ stats }) {
+// unlocks: { [id]: unlockedAt } — kept even if the stat later drops (a broken
+// streak) and pulled from the cloud on a new device
+function AchievementsPanel({ stats, unlocks = {} }) {
   const S = {
     panel: {
       background: BS.card, border: `1px solid ${BS.border}`,
@@ -89,7 +103,8 @@ function AchievementsPanel({ stats }) {
     },
   };
 
-  const unlocked = ACHIEVEMENT_DEFS.filter((a) => a.check(stats));
+  const isUnlocked = (a) => Boolean(unlocks[a.id]) || a.check(stats);
+  const unlocked   = ACHIEVEMENT_DEFS.filter(isUnlocked);
   const total    = ACHIEVEMENT_DEFS.length;
 
   return (
@@ -112,14 +127,14 @@ function AchievementsPanel({ stats }) {
 
       <div style={S.grid}>
         {ACHIEVEMENT_DEFS.map((a) => {
-          const isUnlocked = a.check(stats);
+          const done = isUnlocked(a);
           return (
-            <div key={a.id} style={S.card(isUnlocked)} className="fade-in">
-              <div style={S.icon(isUnlocked)}>{a.icon}</div>
+            <div key={a.id} style={S.card(done)} className="fade-in">
+              <div style={S.icon(done)}>{a.icon}</div>
               <div>
                 <div style={{
                   fontSize: "13px", fontWeight: 600,
-                  color: isUnlocked ? BS.text : BS.textSubtle,
+                  color: done ? BS.text : BS.textSubtle,
                   fontFamily: font.base,
                 }}>
                   {a.title}
@@ -127,7 +142,11 @@ function AchievementsPanel({ stats }) {
                 <div style={{ fontSize: "11px", color: BS.textMuted, lineHeight: 1.4 }}>
                   {a.desc}
                 </div>
-                {isUnlocked && <span style={S.badge}>Unlocked ✓</span>}
+                {done && (
+                  <span style={S.badge}>
+                    Unlocked{unlocks[a.id] ? ` ${dayjs(unlocks[a.id]).format("MMM D, YYYY")}` : ""} ✓
+                  </span>
+                )}
               </div>
             </div>
           );
@@ -195,14 +214,156 @@ function StreakModal({ streak, onClose }) {
   );
 }
 
+/* ─── Leaderboard panel ──────────────────────────────────────────────────── */
+const LEADERBOARD_PERIODS = [
+  { id: "day",   label: "Today"    },
+  { id: "week",  label: "Week"     },
+  { id: "month", label: "Month"    },
+  { id: "all",   label: "All time" },
+];
+
+// Boards rank by rating (score × difficulty weight); a bracket narrows
+// the board to players' solves at one difficulty
+const LEADERBOARD_BRACKETS = [
+  { id: null,     label: "All"    },
+  { id: "easy",   label: "Easy"   },
+  { id: "medium", label: "Medium" },
+  { id: "hard",   label: "Hard"   },
+];
+
+function SwitcherRow({ options, value, onChange, disabled }) {
+  return (
+    <div style={{ display: "flex", justifyContent: "center", gap: "6px", marginBottom: "10px" }}>
+      {options.map(({ id, label }) => (
+        <button
+          key={label}
+          onClick={() => onChange(id)}
+          disabled={disabled}
+          style={{
+            background: value === id ? BS.primary : BS.surface,
+            color: value === id ? "#fff" : BS.textMuted,
+            border: `1px solid ${value === id ? BS.primary : BS.borderMuted}`,
+            borderRadius: radius.sm,
+            padding: "4px 10px", fontSize: "11px", fontWeight: 600,
+            fontFamily: font.base, cursor: disabled ? "not-allowed" : "pointer",
+          }}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+function LeaderboardRow({ entry, isYou, isLast }) {
+  const { rank } = entry;
+  return (
+    <div style={{
+      display: "flex", justifyContent: "space-between",
+      alignItems: "center", padding: "8px 0",
+      borderBottom: isLast ? "none" : `1px solid ${BS.primaryLight}`,
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
+        <span style={{
+          width: "20px", textAlign: "center",
+          fontSize: "12px", fontWeight: 700,
+          color: rank === 1 ? "#F59E0B" : rank === 2 ? "#9CA3AF" : rank === 3 ? "#B45309" : BS.rankNum,
+        }}>
+          {rank === 1 ? "🥇" : rank === 2 ? "🥈" : rank === 3 ? "🥉" : `${rank}.`}
+        </span>
+        <div style={{ display: "flex", flexDirection: "column" }}>
+          <span style={{
+            fontSize: "13px",
+            color: isYou ? BS.primary : BS.text,
+            fontWeight: isYou ? 700 : 400,
+          }}>
+            {entry.name || "Anonymous"}
+            {isYou && <span style={{ fontSize: "10px", color: BS.violet, marginLeft: "4px" }}>you</span>}
+          </span>
+          <span style={{ fontSize: "10px", color: BS.textSubtle }}>
+            {entry.score} pts · {entry.difficulty}{entry.puzzleType ? ` · ${entry.puzzleType}` : ""}
+          </span>
+        </div>
+      </div>
+      <span style={{
+        fontSize: "13px", fontWeight: 700,
+        color: rank === 1 ? "#F59E0B" : BS.text,
+      }}>
+        {entry.rating}
+      </span>
+    </div>
+  );
+}
+
+function LeaderboardPanel({ board, period, bracket, onChange, uid, loading }) {
+  const { entries, you } = board;
+  // The caller's own row is appended when they are outside the top N
+  const youOutside = you && !entries.some((e) => e.uid === you.uid);
+
+  return (
+    <div style={{
+      background: BS.card, border: `1px solid ${BS.border}`,
+      borderRadius: radius.xl, boxShadow: shadow.card,
+      padding: "20px", width: "100%", maxWidth: "440px",
+    }}>
+      <h3 style={{
+        textAlign: "center", fontSize: "13px", fontWeight: 700,
+        color: BS.text, margin: "0 0 12px",
+      }}>
+        🏆 Top Players
+      </h3>
+
+      {/* Period + difficulty bracket switchers */}
+      <SwitcherRow
+        options={LEADERBOARD_PERIODS}
+        value={period}
+        onChange={(p) => onChange(p, bracket)}
+        disabled={loading}
+      />
+      <SwitcherRow
+        options={LEADERBOARD_BRACKETS}
+        value={bracket}
+        onChange={(b) => onChange(period, b)}
+        disabled={loading}
+      />
+
+      {entries.length === 0 && (
+        <p style={{ textAlign: "center", fontSize: "12px", color: BS.textSubtle, margin: "8px 0" }}>
+          No scores for this period yet.
+        </p>
+      )}
+
+      {entries.map((s, i) => (
+        <LeaderboardRow
+          key={s.uid || i}
+          entry={s}
+          isYou={s.uid === uid}
+          isLast={i === entries.length - 1 && !youOutside}
+        />
+      ))}
+
+      {youOutside && (
+        <>
+          <div style={{ textAlign: "center", fontSize: "12px", color: BS.textSubtle, padding: "2px 0" }}>
+            ⋯
+          </div>
+          <LeaderboardRow entry={you} isYou isLast />
+        </>
+      )}
+    </div>
+  );
+}
+
 /* ─── Share puzzle button ────────────────────────────────────────────────── */
-function ShareButton({ score, streak }) {
+function ShareButton({ score, streak, shareCode }) {
   const [copied, setCopied] = useState(false);
 
   const handleShare = async () => {
-    const text = `🧩 Logic Looper — Daily Puzzle\n📅 ${new Date().toLocaleDateString()}\n🏆 Score: ${score ?? "–"} | 🔥 Streak: ${streak ?? 0} days\n\nPlay at: ${window.location.href}`;
+    // With a code, friends open this exact puzzle instead of their own daily
+    const url  = shareCode ? buildChallengeUrl(shareCode) : window.location.href;
+    const text = `🧩 Logic Looper — Daily Puzzle\n📅 ${new Date().toLocaleDateString()}\n🏆 Score: ${score ?? "–"} | 🔥 Streak: ${streak ?? 0} days\n\n${shareCode ? "Play my puzzle" : "Play at"}: ${url}`;
     if (navigator.share) {
-      try { await navigator.share({ text, url: window.location.href }); }
+      try { await navigator.share({ text, url }); }
       catch (_) {}
     } else {
       await navigator.clipboard.writeText(text);
@@ -236,11 +397,20 @@ export default function App() {
   const [user,          setUser]          = useState(null);
   const [authReady,     setAuthReady]     = useState(false);
   const [activeTab,     setActiveTab]     = useState("puzzle");
-  const [scores,        setScores]        = useState([]);
+  const [board,         setBoard]         = useState(null);
+  const [boardPeriod,   setBoardPeriod]   = useState("day");
+  const [boardBracket,  setBoardBracket]  = useState(null);
   const [loadingScores, setLoadingScores] = useState(false);
   const [dataKey,       setDataKey]       = useState(0);
+  const [outbox,        setOutbox]        = useState(null);
   const [lastScore,     setLastScore]     = useState(null);
   const [streakModal,   setStreakModal]   = useState(null);
+  const [archiveDate,   setArchiveDate]   = useState(null);
+  const [challengeCode, setChallengeCode] = useState(
+    () => new URLSearchParams(window.location.search).get("p")
+  );
+  const [shareCode,     setShareCode]     = useState(null);
+  const [unlocks,       setUnlocks]       = useState({});
   const [achievStats,   setAchievStats]   = useState({
     totalSolved: 0, currentStreak: 0, bestScore: 0,
     fastestTime: Infinity, cleanSolves: 0, hardSolved: 0,
@@ -280,17 +450,34 @@ export default function App() {
         else run = 0;
       }
 
-      setAchievStats({ totalSolved, currentStreak, bestScore, fastestTime, cleanSolves, hardSolved, noHintStreak });
+      const stats = { totalSolved, currentStreak, bestScore, fastestTime, cleanSolves, hardSolved, noHintStreak };
+      setAchievStats(stats);
+
+      // First time each achievement's check passes, record when — and sync it
+      const newlyUnlocked = await recordAchievementUnlocks(
+        ACHIEVEMENT_DEFS.filter((a) => a.check(stats)).map((a) => a.id)
+      );
+      if (newlyUnlocked.length && auth.currentUser) {
+        await Promise.all(newlyUnlocked.map((id) => enqueueOutbox("achievement", id)));
+        flushOutbox();
+      }
+      setUnlocks(await getAchievementUnlocks());
     } catch (_) {}
   }, []);
 
   /* ── Auth + sync ─────────────────────────────────────────────────────── */
+  // Cloud history pulled onto this device → reload Heatmap, Insights, stats
+  const runSync = useCallback(async () => {
+    const { pulled } = await syncActivities();
+    if (pulled > 0) setDataKey((k) => k + 1);
+  }, []);
+
   useEffect(() => {
     // Handle redirect result first (fires after Google redirects back to app)
     getRedirectResult(auth)
       .then((result) => {
         // result is null if no redirect just happened — that is fine
-        if (result?.user && navigator.onLine) syncActivities();
+        if (result?.user && navigator.onLine) runSync();
       })
       .catch((err) => {
         // Ignore cancelled-popup / COOP errors — user just closed the tab
@@ -304,15 +491,17 @@ export default function App() {
     const unsub = auth.onAuthStateChanged((u) => {
       setUser(u);
       setAuthReady(true);
-      if (u && navigator.onLine) syncActivities();
+      if (u && navigator.onLine) runSync();
     });
     return () => unsub();
-  }, []);
+  }, [runSync]);
 
   useEffect(() => { loadAchievStats(); }, [dataKey, loadAchievStats]);
 
+  useEffect(() => subscribeOutbox(setOutbox), []);
+
   const handleReconnect = () => {
-    if (auth.currentUser) syncActivities();
+    if (auth.currentUser) runSync();
   };
 
   /* ── Handlers ────────────────────────────────────────────────────────── */
@@ -325,29 +514,72 @@ export default function App() {
 
   const handleLogout = async () => {
     await signOut(auth);
-    setScores([]);
+    setBoard(null);
     setActiveTab("puzzle");
   };
 
-  const handlePuzzleComplete = async ({ score }) => {
+  const handlePuzzleComplete = async ({ score, archive, challenge, signed }) => {
+    // Challenges from a share link are never recorded anywhere
+    if (challenge) return;
+
     setDataKey((k) => k + 1);
+    // Archive replays are local-only: no streak milestone, no leaderboard
+    if (archive) return;
+
     setLastScore(score);
     // Show streak modal if milestone
     const s = achievStats.currentStreak + 1;
     if ([3, 7, 14, 30, 50, 100].includes(s)) setStreakModal(s);
 
+    // Leaderboards only accept server-verified results (see puzzleApi.js)
     const u = auth.currentUser;
-    if (!u) return;
-    updateLeaderboard(u.uid, u.displayName, score).catch(() => {});
-    updateNeonLeaderboard(u.uid, u.displayName, score).catch(() => {});
+    if (!u || !signed) return;
+    const entry = { displayName: u.displayName, signed };
+    Promise.all([
+      enqueueOutbox("leaderboard", signed.result.date, entry),
+      enqueueOutbox("neonLeaderboard", signed.result.date, entry),
+    ])
+      .then(() => flushOutbox())
+      .catch((err) => console.error("[App] Could not queue leaderboard score:", err));
+  };
+
+  const handleLeaveChallenge = () => {
+    setChallengeCode(null);
+    // Drop ?p= so a refresh goes back to the player's own daily
+    window.history.replaceState(null, "", window.location.pathname);
+  };
+
+  // Imported records are saved unsynced; push them if signed in
+  const handleBackupImported = () => {
+    setDataKey((k) => k + 1);
+    if (auth.currentUser && navigator.onLine) runSync();
   };
 
-  const handleFetchLeaderboard = async () => {
+  const handleSelectArchiveDate = (date) => {
+    handleLeaveChallenge();
+    setArchiveDate(date);
+    setActiveTab("puzzle");
+  };
+
+  const handlePuzzleLoad = useCallback((puzzle) => {
+    setShareCode(encodePuzzleCode(puzzle));
+  }, []);
+
+  const handleFetchLeaderboard = async (period = boardPeriod, difficulty = boardBracket) => {
+    setBoardPeriod(period);
+    setBoardBracket(difficulty);
     setLoadingScores(true);
     try {
-      let data = await fetchNeonLeaderboard(10);
-      if (!data.length) data = await fetchLeaderboard(10);
-      setScores(data);
+      const options = {
+        period,
+        difficulty,
+        date: dayjs().format("YYYY-MM-DD"),
+        uid:  auth.currentUser?.uid,
+        topN: 10,
+      };
+      let data = await fetchNeonLeaderboard(options);
+      if (!data.entries.length) data = await fetchLeaderboard(options);
+      setBoard(data);
     } catch (err) {
       console.error("[App] Leaderboard fetch failed:", err);
     } finally {
@@ -384,7 +616,7 @@ export default function App() {
   if (!user) {
     return (
       <div style={{ minHeight: "100vh", background: BS.surface, fontFamily: font.base }}>
-        <OnlineBanner onReconnect={handleReconnect} />
+        <OnlineBanner onReconnect={handleReconnect} outbox={outbox} onRetry={retryFailedOutbox} />
 
         <header style={{
           background: BS.card, padding: "14px 20px",
@@ -518,7 +750,7 @@ export default function App() {
       minHeight: "100vh", background: BS.surface, fontFamily: font.base,
       display: "flex", flexDirection: "column",
     }}>
-      <OnlineBanner onReconnect={handleReconnect} />
+      <OnlineBanner onReconnect={handleReconnect} outbox={outbox} onRetry={retryFailedOutbox} />
 
       {/* Streak modal */}
       <StreakModal streak={streakModal} onClose={() => setStreakModal(null)} />
@@ -618,7 +850,7 @@ export default function App() {
 
           {/* Right: share + avatar + sign out */}
           <div style={{ display: "flex", alignItems: "center", gap: "8px", flexShrink: 0 }}>
-            <ShareButton score={lastScore} streak={achievStats.currentStreak} />
+            <ShareButton score={lastScore} streak={achievStats.currentStreak} shareCode={shareCode} />
             <div style={{
               width: "30px", height: "30px", borderRadius: "50%",
               background: `linear-gradient(135deg, ${BS.primary}, ${BS.violet})`,
@@ -657,8 +889,60 @@ export default function App() {
         {activeTab === "puzzle" && (
           <div className="slide-up" style={{ width: "100%", display: "flex", flexDirection: "column", alignItems: "center", gap: "16px" }}>
 
+            {/* Challenge banner */}
+            {challengeCode && (
+              <div style={{
+                width: "100%", maxWidth: "440px",
+                background: BS.primaryLight, border: `1px solid ${BS.border}`,
+                borderRadius: radius.lg, padding: "10px 16px",
+                display: "flex", alignItems: "center", justifyContent: "space-between",
+              }}>
+                <span style={{ fontSize: "12px", fontWeight: 600, color: BS.primary }}>
+                  🤝 Shared challenge · {challengeCode}
+                </span>
+                <button
+                  onClick={handleLeaveChallenge}
+                  style={{
+                    background: BS.card, color: BS.primary,
+                    border: `1px solid ${BS.border}`,
+                    borderRadius: radius.sm,
+                    padding: "5px 11px", fontSize: "11px", fontWeight: 600,
+                    fontFamily: font.base, cursor: "pointer",
+                  }}
+                >
+                  Back to today
+                </button>
+              </div>
+            )}
+
+            {/* Archive banner */}
+            {archiveDate && !challengeCode && (
+              <div style={{
+                width: "100%", maxWidth: "440px",
+                background: BS.primaryLight, border: `1px solid ${BS.border}`,
+                borderRadius: radius.lg, padding: "10px 16px",
+                display: "flex", alignItems: "center", justifyContent: "space-between",
+              }}>
+                <span style={{ fontSize: "12px", fontWeight: 600, color: BS.primary }}>
+                  📅 Archive · {archiveDate}
+                </span>
+                <button
+                  onClick={() => setArchiveDate(null)}
+                  style={{
+                    background: BS.card, color: BS.primary,
+                    border: `1px solid ${BS.border}`,
+                    borderRadius: radius.sm,
+                    padding: "5px 11px", fontSize: "11px", fontWeight: 600,
+                    fontFamily: font.base, cursor: "pointer",
+                  }}
+                >
+                  Back to today
+                </button>
+              </div>
+            )}
+
             {/* Motivational streak card */}
-            {achievStats.currentStreak > 0 && (
+            {!archiveDate && !challengeCode && achievStats.currentStreak > 0 && (
               <div style={{
                 width: "100%", maxWidth: "440px",
                 background: "linear-gradient(135deg, #FFF8F6, #FFF3E0)",
@@ -680,11 +964,17 @@ export default function App() {
               </div>
             )}
 
-            <DailyPuzzle onComplete={handlePuzzleComplete} />
+            <DailyPuzzle
+              key={challengeCode ? `challenge:${challengeCode}` : archiveDate ?? "today"}
+              archiveDate={archiveDate}
+              challengeCode={challengeCode}
+              onComplete={handlePuzzleComplete}
+              onPuzzleLoad={handlePuzzleLoad}
+            />
 
             {/* Leaderboard */}
             <button
-              onClick={handleFetchLeaderboard}
+              onClick={() => handleFetchLeaderboard()}
               disabled={loadingScores}
               style={{
                 display: "flex", alignItems: "center", gap: "6px",
@@ -704,50 +994,15 @@ export default function App() {
               🏆 {loadingScores ? "Loading…" : "Leaderboard"}
             </button>
 
-            {scores.length > 0 && (
-              <div style={{
-                background: BS.card, border: `1px solid ${BS.border}`,
-                borderRadius: radius.xl, boxShadow: shadow.card,
-                padding: "20px", width: "100%", maxWidth: "440px",
-              }}>
-                <h3 style={{
-                  textAlign: "center", fontSize: "13px", fontWeight: 700,
-                  color: BS.text, margin: "0 0 16px",
-                }}>
-                  🏆 Top Players
-                </h3>
-                {scores.map((s, i) => (
-                  <div key={s.uid || i} style={{
-                    display: "flex", justifyContent: "space-between",
-                    alignItems: "center", padding: "8px 0",
-                    borderBottom: i < scores.length - 1 ? `1px solid ${BS.primaryLight}` : "none",
-                  }}>
-                    <div style={{ display: "flex", alignItems: "center", gap: "8px" }}>
-                      <span style={{
-                        width: "20px", textAlign: "center",
-                        fontSize: "12px", fontWeight: 700,
-                        color: i === 0 ? "#F59E0B" : i === 1 ? "#9CA3AF" : i === 2 ? "#B45309" : BS.rankNum,
-                      }}>
-                        {i === 0 ? "🥇" : i === 1 ? "🥈" : i === 2 ? "🥉" : `${i + 1}.`}
-                      </span>
-                      <span style={{
-                        fontSize: "13px",
-                        color: s.uid === user?.uid ? BS.primary : BS.text,
-                        fontWeight: s.uid === user?.uid ? 700 : 400,
-                      }}>
-                        {s.name || "Anonymous"}
-                        {s.uid === user?.uid && <span style={{ fontSize: "10px", color: BS.violet, marginLeft: "4px" }}>you</span>}
-                      </span>
-                    </div>
-                    <span style={{
-                      fontSize: "13px", fontWeight: 700,
-                      color: i === 0 ? "#F59E0B" : BS.text,
-                    }}>
-                      {s.score}
-                    </span>
-                  </div>
-                ))}
-              </div>
+            {board && (
+              <LeaderboardPanel
+                board={board}
+                period={boardPeriod}
+                bracket={boardBracket}
+                onChange={handleFetchLeaderboard}
+                uid={user?.uid}
+                loading={loadingScores}
+              />
             )}
           </div>
         )}
@@ -755,7 +1010,8 @@ export default function App() {
         {/* ── Activity tab ───────────────────────────────────────────── */}
         {activeTab === "activity" && (
           <div className="slide-up" style={{ width: "100%" }}>
-            <Heatmap refreshKey={dataKey} />
+            <Heatmap refreshKey={dataKey} onSelectDate={handleSelectArchiveDate} />
+            <LocalBackup onImported={handleBackupImported} />
           </div>
         )}
 
@@ -769,7 +1025,7 @@ export default function App() {
         {/* ── Achievements tab ───────────────────────────────────────── */}
         {activeTab === "achievements" && (
           <div className="slide-up" style={{ width: "100%" }}>
-            <AchievementsPanel stats={achievStats} />
+            <AchievementsPanel stats={achievStats} unlocks={unlocks} />
           </div>
         )}
       </main>
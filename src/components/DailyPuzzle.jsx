@@ -3,7 +3,8 @@
  *
  * Clean puzzle UI. No internal metadata exposed to the user.
  *
- * What is shown:    sequence numbers / matrix grid, input field, submit,
+ * What is shown:    sequence numbers / matrix grid / Latin square / KenKen cages /
+ *                   nonogram, input field, submit,
  *                   score on solve, hint panel (budget-controlled).
  * What is hidden:   difficulty, type, patternKey, hint string, performanceScore,
  *                   puzzleSeed — all remain internal for the analytics engine.
@@ -14,20 +15,67 @@
  *   inProgress  → timer running
  *   solved      → locked; shows result banner
  *   error       → load failure with retry
+ *
+ * Archive mode (archiveDate prop set):
+ *   Plays a past date's deterministic puzzle. Results go to the separate
+ *   `archive` table — never to `activities` — so streaks, adaptive difficulty
+ *   and Firestore are untouched. Score is scaled by ARCHIVE_SCORE_MULTIPLIER.
+ *
+ * Challenge mode (challengeCode prop set):
+ *   Plays the exact puzzle a share code encodes (see shareCode.js), whatever
+ *   this player's own adaptive difficulty would pick. Attempts and solves are
+ *   never saved, and hints are counted under a separate `challenge:` key.
+ *
+ * Server verification (live daily only, when VITE_API_URL is set):
+ *   The live daily is loaded from GET /puzzle/:date — without answers —
+ *   along with a signed ticket that starts the ranked clock. Every submit
+ *   and hint goes to the server, which alone decides correctness; only the
+ *   signed result of the correct submit is passed on for leaderboards. If
+ *   the server can't be reached the daily is built locally and played
+ *   unranked, like archive and challenge puzzles.
+ *
+ * Missing-terms sequences (puzzle.variant === "gaps"):
+ *   One input per blank, held in userGrid. A submit marks each blank on its
+ *   own — correct ones lock in — and still counts as one attempt. Each wrong
+ *   entry takes GAP_MISS_PENALTY (scoreRules.js) off the final score, the
+ *   same rule the server applies to its signed result.
  */
 
-import { useState, useEffect, useCallback } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import dayjs from "dayjs";
 import { auth } from "../firebase";
 import {
   saveDailyActivity,
   getActivityByDate,
   incrementAttempts,
+  saveArchiveActivity,
+  getArchiveActivityByDate,
+  incrementArchiveAttempts,
 } from "../db";
-import { generateDailyPuzzle, updateUserStats } from "../utils/puzzlegenerator";
-import { syncActivityToFirestore }               from "../utils/firestoresync";
-import { computeHintBudget, getHintText, useHint, getHintsUsedToday } from "../utils/Hintengine";
+import { generateDailyPuzzle, generateArchivePuzzle, updateUserStats } from "../utils/puzzlegenerator";
+import { getAdaptiveDifficulty }                 from "../utils/Difficultyengine";
+import { loadChallengePuzzle }                   from "../utils/shareCode";
+import {
+  CURRENT_GENERATOR_VERSION,
+  generatorVersionOf,
+  regeneratePuzzle,
+} from "../utils/generatorRegistry";
+import {
+  buildSubmission,
+  fetchServerPuzzle,
+  submitServerPuzzle,
+  requestServerHint,
+} from "../utils/puzzleApi";
+import { enqueueOutbox, flushOutbox }            from "../utils/outbox";
+import { computeScore }                          from "../utils/scoreRules";
+import { computeHintBudget, useHint, getHintsUsedToday } from "../utils/Hintengine";
+import { puzzleHint }                            from "../utils/hintText";
 import { bustAnalyticsCache }                    from "../utils/Advancedanalytics";
+import {
+  findLatinConflicts,
+  findCageErrors,
+  validateNonogram,
+} from "../utils/validator";
 import HintPanel                                  from "./Hintpanel";
 import { BS, font, radius, shadow }               from "../constants/Brand";
 
@@ -40,8 +88,395 @@ const STATUS = {
   ERROR:       "error",
 };
 
+// Archive replays are worth half a live daily solve
+const ARCHIVE_SCORE_MULTIPLIER = 0.5;
+
+// Puzzle types that render as an editable grid of cells
+const GRID_TYPES = ["matrix", "latin", "kenken"];
+
+/* ─── Puzzle sources ─────────────────────────────────────────────────────── */
+
+/**
+ * Today's live puzzle as the server serves it: answer-free, with a ticket.
+ * A started record pins type, difficulty and generator version; otherwise
+ * the adaptive engine picks them. When the server can't be reached the full
+ * puzzle is built locally instead and played unranked.
+ *
+ * @param   {string}      date
+ * @param   {object|null} existing — today's activity record, if any
+ * @returns {Promise<{ puzzle: object|null, ticket: string|null }>}
+ */
+async function loadLiveDaily(date, existing) {
+  const pinned = existing?.puzzleType && existing.difficulty
+    ? existing
+    : { ...(await getAdaptiveDifficulty(date)), date, generatorVersion: CURRENT_GENERATOR_VERSION };
+  const pick = {
+    type:       pinned.puzzleType,
+    difficulty: pinned.difficulty,
+    version:    generatorVersionOf(pinned),
+  };
+
+  const served = await fetchServerPuzzle(date, pick);
+  if (served) return served;
+
+  return {
+    puzzle: regeneratePuzzle({ ...pinned, date, generatorVersion: pick.version }),
+    ticket: null,
+  };
+}
+
+// Archive, challenge and offline play hold the full puzzle and check on-device
+function checkLocally(puzzle, input, userGrid) {
+  if (puzzle.variant === "gaps") {
+    const blanks = puzzle.answers.map((ans, k) => parseInt(userGrid[k], 10) === ans);
+    return { correct: blanks.every(Boolean), blanks };
+  }
+  if (puzzle.type === "sequence") {
+    return { correct: parseInt(input, 10) === puzzle.answer };
+  }
+  if (GRID_TYPES.includes(puzzle.type)) {
+    return { correct: userGrid.every((val, i) => parseInt(val, 10) === puzzle.solution[i]) };
+  }
+  if (puzzle.type === "nonogram") {
+    return { correct: validateNonogram(userGrid, puzzle.solution, puzzle.size).isComplete };
+  }
+  return { correct: false };
+}
+
+/* ─── Missing-terms sequence row ─────────────────────────────────────────── */
+function SequenceGapsRow({ puzzle, userGrid, gapLocked, isLocked, onChange, onFocus }) {
+  const tile = {
+    display:        "inline-flex",
+    alignItems:     "center",
+    justifyContent: "center",
+    width:          "48px", height: "48px",
+    borderRadius:   radius.md,
+    fontSize:       "15px",
+    fontFamily:     font.mono,
+  };
+
+  return (
+    <div style={{
+      display: "flex", alignItems: "center", justifyContent: "center",
+      gap: "8px", flexWrap: "wrap", marginBottom: "4px",
+    }}>
+      {puzzle.sequence.map((n, i) => {
+        const k = puzzle.blanks.indexOf(i);
+        if (k === -1) {
+          return (
+            <span key={i} style={{
+              ...tile,
+              background: BS.primaryLight,
+              border:     `1.5px solid ${BS.border}`,
+              fontWeight: 600,
+              color:      BS.primary,
+            }}>
+              {n}
+            </span>
+          );
+        }
+
+        // A blank already answered correctly stays filled in on later attempts
+        if (isLocked || gapLocked[k]) {
+          return (
+            <span key={i} style={{
+              ...tile,
+              background: BS.successLight,
+              border:     `1.5px solid ${BS.success}`,
+              fontWeight: 700,
+              color:      BS.solveText,
+            }}>
+              {puzzle.answers?.[k] ?? userGrid[k]}
+            </span>
+          );
+        }
+
+        return (
+          <input
+            key={i}
+            type="number"
+            value={userGrid[k] ?? ""}
+            onChange={(e) => onChange(k, e.target.value)}
+            onFocus={onFocus}
+            placeholder="?"
+            style={{
+              ...tile,
+              textAlign:  "center",
+              border:     `2px solid ${BS.primary}`,
+              fontWeight: 700,
+              color:      BS.primary,
+              background: BS.card,
+              outline:    "none",
+              WebkitAppearance: "none",
+              MozAppearance: "textfield",
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+/* ─── Latin square grid ──────────────────────────────────────────────────── */
+function LatinGrid({ puzzle, userGrid, isLocked, onChange, onFocus }) {
+  const { size, boxRows, boxCols } = puzzle;
+  const conflicts = isLocked ? new Set() : findLatinConflicts(userGrid, puzzle);
+  const thick     = `2px solid ${BS.primary}`;
+  const thin      = `1px solid ${BS.border}`;
+
+  return (
+    <div style={{
+      display:    "grid",
+      gridTemplateColumns: `repeat(${size}, 40px)`,
+      justifyContent: "center",
+      border:     thick,
+      borderRadius: radius.sm,
+      width:      "max-content",
+      margin:     "0 auto",
+      overflow:   "hidden",
+    }}>
+      {userGrid.map((cell, i) => {
+        const r        = Math.floor(i / size);
+        const c        = i % size;
+        const isGiven  = puzzle.grid[i] !== null;
+        const conflict = conflicts.has(i);
+        return (
+          <input
+            key={i}
+            type="number"
+            min={1}
+            max={size}
+            value={cell}
+            disabled={isGiven || isLocked}
+            onChange={(e) => onChange(i, e.target.value)}
+            onFocus={onFocus}
+            style={{
+              width:       "40px", height: "40px",
+              textAlign:   "center",
+              fontSize:    "15px",
+              fontFamily:  font.mono,
+              fontWeight:  isGiven ? 700 : 600,
+              border:      "none",
+              borderRight:  c === size - 1 ? "none" : (c + 1) % boxCols === 0 ? thick : thin,
+              borderBottom: r === size - 1 ? "none" : (r + 1) % boxRows === 0 ? thick : thin,
+              background:  conflict
+                ? BS.errorLight
+                : isGiven
+                  ? BS.primaryLight
+                  : isLocked
+                    ? BS.successLight
+                    : BS.card,
+              color: conflict ? BS.error : isGiven ? BS.primary : isLocked ? BS.solveText : BS.text,
+              cursor: (isGiven || isLocked) ? "not-allowed" : "text",
+              outline: "none",
+              WebkitAppearance: "none",
+              MozAppearance: "textfield",
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
+
+/* ─── KenKen cage grid ───────────────────────────────────────────────────── */
+function KenkenGrid({ puzzle, userGrid, isLocked, onChange, onFocus }) {
+  const { size, cages } = puzzle;
+
+  const cageOf = [];
+  cages.forEach((cage, k) => cage.cells.forEach((i) => { cageOf[i] = k; }));
+
+  // Rows/columns only — a KenKen "box" is the whole row, so it adds nothing
+  const conflicts = isLocked
+    ? new Set()
+    : new Set([
+        ...findLatinConflicts(userGrid, { size, boxRows: 1, boxCols: size }),
+        ...findCageErrors(userGrid, cages),
+      ]);
+  const thick = `2px solid ${BS.primary}`;
+  const thin  = `1px solid ${BS.border}`;
+
+  return (
+    <div style={{
+      display:    "grid",
+      gridTemplateColumns: `repeat(${size}, 48px)`,
+      border:     thick,
+      borderRadius: radius.sm,
+      width:      "max-content",
+      margin:     "0 auto",
+      overflow:   "hidden",
+    }}>
+      {userGrid.map((cell, i) => {
+        const r        = Math.floor(i / size);
+        const c        = i % size;
+        const cage     = cages[cageOf[i]];
+        const isGiven  = puzzle.grid[i] !== null;
+        const conflict = conflicts.has(i);
+        const label    = cage.cells[0] === i ? `${cage.target}${cage.op}` : null;
+        return (
+          <div key={i} style={{
+            position:     "relative",
+            borderRight:  c === size - 1 ? "none" : cageOf[i + 1] !== cageOf[i] ? thick : thin,
+            borderBottom: r === size - 1 ? "none" : cageOf[i + size] !== cageOf[i] ? thick : thin,
+          }}>
+            {label && (
+              <span style={{
+                position: "absolute", top: "2px", left: "3px",
+                fontSize: "9px", fontWeight: 700, fontFamily: font.mono,
+                color: BS.violet, pointerEvents: "none",
+              }}>
+                {label}
+              </span>
+            )}
+            <input
+              type="number"
+              min={1}
+              max={size}
+              value={cell}
+              disabled={isGiven || isLocked}
+              onChange={(e) => onChange(i, e.target.value)}
+              onFocus={onFocus}
+              style={{
+                width:       "48px", height: "48px",
+                paddingTop:  "10px",
+                textAlign:   "center",
+                fontSize:    "16px",
+                fontFamily:  font.mono,
+                fontWeight:  isGiven ? 700 : 600,
+                border:      "none",
+                background:  conflict
+                  ? BS.errorLight
+                  : isGiven
+                    ? BS.primaryLight
+                    : isLocked
+                      ? BS.successLight
+                      : BS.card,
+                color: conflict ? BS.error : isGiven ? BS.primary : isLocked ? BS.solveText : BS.text,
+                cursor: (isGiven || isLocked) ? "not-allowed" : "text",
+                outline: "none",
+                WebkitAppearance: "none",
+                MozAppearance: "textfield",
+              }}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ─── Nonogram grid ──────────────────────────────────────────────────────── */
+// Hold this long (ms) on a cell to cross it out instead of shading it
+const LONG_PRESS_MS = 450;
+
+function NonogramGrid({ puzzle, userGrid, isLocked, onChange, onFocus }) {
+  const { size, rowClues, colClues } = puzzle;
+  const pressTimer = useRef(null);
+  const longPressed = useRef(false);
+  const cellPx = size > 8 ? 26 : size > 5 ? 30 : 36;
+
+  // Tap: blank ↔ shaded (a crossed cell becomes shaded). Long-press / right-click: toggle ✕.
+  const toggleFill  = (i) => onChange(i, userGrid[i] === "1" ? "" : "1");
+  const toggleCross = (i) => onChange(i, userGrid[i] === "x" ? "" : "x");
+
+  // Primary button / touch only — right-click is handled by onContextMenu
+  const handlePointerDown = (e, i) => {
+    if (e.button !== 0) return;
+    onFocus();
+    longPressed.current = false;
+    pressTimer.current = setTimeout(() => {
+      longPressed.current = true;
+      toggleCross(i);
+    }, LONG_PRESS_MS);
+  };
+
+  const handlePointerUp = (e, i) => {
+    if (e.button !== 0) return;
+    clearTimeout(pressTimer.current);
+    if (!longPressed.current) toggleFill(i);
+  };
+
+  const clueStyle = {
+    fontSize: "10px", fontFamily: font.mono, fontWeight: 600,
+    color: BS.textMuted, lineHeight: 1.2,
+  };
+
+  return (
+    <div style={{
+      display:    "grid",
+      gridTemplateColumns: `auto repeat(${size}, ${cellPx}px)`,
+      width:      "max-content",
+      margin:     "0 auto",
+      gap:        "2px",
+      userSelect: "none",
+    }}>
+      {/* Column clues (stacked vertically) */}
+      <span />
+      {colClues.map((clue, c) => (
+        <div key={`c${c}`} style={{
+          ...clueStyle,
+          display: "flex", flexDirection: "column",
+          justifyContent: "flex-end", alignItems: "center",
+          paddingBottom: "3px",
+        }}>
+          {(clue.length ? clue : [0]).map((n, k) => <span key={k}>{n}</span>)}
+        </div>
+      ))}
+
+      {Array.from({ length: size }, (_, r) => [
+        <div key={`r${r}`} style={{
+          ...clueStyle,
+          display: "flex", alignItems: "center", justifyContent: "flex-end",
+          gap: "4px", paddingRight: "5px",
+        }}>
+          {(rowClues[r].length ? rowClues[r] : [0]).map((n, k) => <span key={k}>{n}</span>)}
+        </div>,
+        ...Array.from({ length: size }, (_, c) => {
+          const i       = r * size + c;
+          const isGiven = puzzle.grid[i] !== null;
+          const value   = userGrid[i];
+          const locked  = isGiven || isLocked;
+          return (
+            <div
+              key={i}
+              onPointerDown={locked ? undefined : (e) => handlePointerDown(e, i)}
+              onPointerUp={locked ? undefined : (e) => handlePointerUp(e, i)}
+              onPointerLeave={() => clearTimeout(pressTimer.current)}
+              onContextMenu={(e) => {
+                e.preventDefault();
+                if (locked) return;
+                clearTimeout(pressTimer.current);
+                longPressed.current = true;
+                toggleCross(i);
+              }}
+              style={{
+                width:  `${cellPx}px`, height: `${cellPx}px`,
+                display: "flex", alignItems: "center", justifyContent: "center",
+                borderRadius: "3px",
+                border: `1px solid ${isGiven ? BS.primary + "66" : BS.border}`,
+                background: value === "1"
+                  ? (isLocked ? BS.success : BS.primary)
+                  : BS.card,
+                color:    BS.textSubtle,
+                fontSize: "13px",
+                cursor:   locked ? "not-allowed" : "pointer",
+                touchAction: "manipulation",
+              }}
+            >
+              {value === "x" ? "✕" : ""}
+            </div>
+          );
+        }),
+      ])}
+    </div>
+  );
+}
+
 /* ─── Component ──────────────────────────────────────────────────────────── */
-export default function DailyPuzzle({ onComplete }) {
+export default function DailyPuzzle({ onComplete, onPuzzleLoad, archiveDate = null, challengeCode = null }) {
+  const isArchive   = Boolean(archiveDate) && !challengeCode;
+  const isChallenge = Boolean(challengeCode);
+
   const [puzzle,     setPuzzle]     = useState(null);
   const [userGrid,   setUserGrid]   = useState([]);
   const [input,      setInput]      = useState("");
@@ -52,13 +487,27 @@ export default function DailyPuzzle({ onComplete }) {
   const [attempts,   setAttempts]   = useState(0);
   const [finalScore, setFinalScore] = useState(null);
   const [finalTime,  setFinalTime]  = useState(null);
+  const [gapLocked,  setGapLocked]  = useState([]);
+  const [gapMisses,  setGapMisses]  = useState(0);
 
   const [hintBudget, setHintBudget] = useState(0);
   const [hintsUsed,  setHintsUsed]  = useState(0);
   const [hintText,   setHintText]   = useState(null);
 
+  // Server ticket for the live daily (see puzzleApi.js); null when the puzzle
+  // is checked on-device. `offline` marks a live daily the server couldn't serve.
+  const ticketRef     = useRef(null);
+  const submittingRef = useRef(false);
+  const [offline, setOffline] = useState(false);
+
   useEffect(() => { loadPuzzle(); }, []);
 
+  // Archive hint usage is tracked apart from the live daily for the same date
+  const hintKey = useCallback(
+    (date) => (isChallenge ? `challenge:${challengeCode}` : isArchive ? `archive:${date}` : date),
+    [isArchive, isChallenge, challengeCode]
+  );
+
   /* ── Load & restore ──────────────────────────────────────────────────── */
   const loadPuzzle = useCallback(async () => {
     setStatus(STATUS.LOADING);
@@ -70,14 +519,43 @@ export default function DailyPuzzle({ onComplete }) {
     setHintText(null);
     setHintsUsed(0);
     setHintBudget(0);
+    setGapLocked([]);
+    setGapMisses(0);
+    setOffline(false);
+    ticketRef.current = null;
 
     try {
-      const p     = await generateDailyPuzzle();
-      const today = dayjs().format("YYYY-MM-DD");
-      if (p.date !== today) p.date = today;
-      setPuzzle(p);
+      const today = isChallenge ? null : archiveDate ?? dayjs().format("YYYY-MM-DD");
+
+      // Challenges are never recorded, so there is nothing to restore
+      const existing = isChallenge
+        ? null
+        : isArchive
+          ? await getArchiveActivityByDate(today)
+          : await getActivityByDate(today);
 
-      const existing = await getActivityByDate(today);
+      let p;
+      if (isChallenge) {
+        p = loadChallengePuzzle(challengeCode);
+      } else if (isArchive) {
+        // Replays use the recorded generator version, type and difficulty, so
+        // an archive date with no replay yet falls back to its live record.
+        // A never-played archive date takes its type and difficulty from the date.
+        p = regeneratePuzzle(existing ?? await getActivityByDate(today)) ?? generateArchivePuzzle(today);
+      } else if (existing?.solved === true) {
+        // Already solved, so showing the answers gives nothing away
+        p = regeneratePuzzle(existing) ?? await generateDailyPuzzle(today);
+      } else {
+        const live = await loadLiveDaily(today, existing);
+        p = live.puzzle;
+        ticketRef.current = live.ticket;
+        setOffline(!live.ticket);
+      }
+      if (!p) throw new Error(`Unknown challenge code "${challengeCode}"`);
+
+      if (today && p.date !== today) p.date = today;
+      setPuzzle(p);
+      onPuzzleLoad?.(p);
 
       if (existing && existing.date === today && existing.solved === true) {
         setFinalScore(existing.score);
@@ -92,13 +570,18 @@ export default function DailyPuzzle({ onComplete }) {
         setAttempts(existing.attempts ?? 0);
       }
 
-      if (p.type === "matrix") {
+      if (p.variant === "gaps") {
+        setUserGrid(p.blanks.map(() => ""));
+        setGapLocked(p.blanks.map(() => false));
+      } else if (GRID_TYPES.includes(p.type)) {
         setUserGrid(p.grid.map((cell) => (cell === null ? "" : String(cell))));
+      } else if (p.type === "nonogram") {
+        setUserGrid(p.grid.map((cell) => (cell === 1 ? "1" : cell === 0 ? "x" : "")));
       }
 
       const [budget, usedToday] = await Promise.all([
         computeHintBudget(p.difficulty),
-        getHintsUsedToday(today),
+        getHintsUsedToday(hintKey(today)),
       ]);
       setHintBudget(budget);
       setHintsUsed(usedToday);
@@ -106,11 +589,16 @@ export default function DailyPuzzle({ onComplete }) {
     } catch (err) {
       console.error("[DailyPuzzle] Load failed:", err);
       setStatus(STATUS.ERROR);
-      setErrorMsg("Could not load today's puzzle. Please refresh.");
+      setErrorMsg(isChallenge
+        ? "This challenge link is invalid or needs a newer version of the game."
+        : isArchive
+          ? "Could not load this archive puzzle. Please refresh."
+          : "Could not load today's puzzle. Please refresh.");
     }
-  }, []);
+  }, [archiveDate, isArchive, isChallenge, challengeCode, hintKey, onPuzzleLoad]);
 
   /* ── Timer ───────────────────────────────────────────────────────────── */
+  // Ranked time comes from the server's ticket, issued when the puzzle loaded
   const handleStart = useCallback(() => {
     if (!startTime) {
       setStartTime(Date.now());
@@ -131,102 +619,155 @@ export default function DailyPuzzle({ onComplete }) {
   const handleUseHint = useCallback(async ({ level }) => {
     if (!puzzle || hintsUsed >= hintBudget) return;
 
-    const userAnswer = puzzle.type === "sequence"
-      ? (input !== "" ? parseInt(input, 10) : null)
-      : null;
-
-    const correctCount = puzzle.type === "matrix"
-      ? userGrid.filter((val, i) =>
-          puzzle.grid[i] === null && parseInt(val, 10) === puzzle.solution[i]
-        ).length
-      : 0;
-
-    const blankCount = puzzle.type === "matrix"
-      ? puzzle.grid.filter((c) => c === null).length
-      : 0;
-
-    const text = getHintText({
-      level,
-      puzzleType: puzzle.type,
-      patternKey: puzzle.patternKey,
-      userAnswer,
-      answer:     puzzle.answer,
-      correctCount,
-      blankCount,
-    });
+    // The live daily has no answers on-device, so its hints come from the server
+    const submission = buildSubmission(puzzle, input, userGrid);
+    const text = ticketRef.current
+      ? await requestServerHint(puzzle.date, ticketRef.current, level, submission)
+      : puzzleHint(puzzle, level, submission);
+    if (!text) {
+      setErrorMsg("Couldn't reach the puzzle server for a hint — try again.");
+      return;
+    }
 
     setHintText(text);
     setHintsUsed(hintsUsed + 1);
-    await useHint(puzzle.date, puzzle.difficulty, hintBudget);
-    bustAnalyticsCache();
+    try {
+      await useHint(hintKey(puzzle.date), puzzle.difficulty, hintBudget, level);
+      bustAnalyticsCache();
 
-    if (!startTime) {
-      setStartTime(Date.now());
-      setStatus(STATUS.IN_PROGRESS);
+      // Only the live daily's hints belong to the player's cloud profile
+      if (!isArchive && !isChallenge && auth.currentUser) {
+        await enqueueOutbox("hintUsage", puzzle.date);
+        flushOutbox();
+      }
+    } catch (err) {
+      console.error("[DailyPuzzle] Saving hint usage failed:", err);
+      setErrorMsg("Hint shown, but it couldn't be saved on this device.");
     }
-  }, [puzzle, hintsUsed, hintBudget, input, userGrid, startTime]);
+
+    handleStart();
+  }, [puzzle, hintsUsed, hintBudget, input, userGrid, hintKey, handleStart, isArchive, isChallenge]);
 
   /* ── Submit ──────────────────────────────────────────────────────────── */
   const handleSubmit = useCallback(async () => {
-    if (!puzzle || status === STATUS.SOLVED || status === STATUS.LOADING) return;
-
-    let isCorrect = false;
-    if (puzzle.type === "sequence") {
-      isCorrect = parseInt(input, 10) === puzzle.answer;
-    } else if (puzzle.type === "matrix") {
-      isCorrect = userGrid.every(
-        (val, i) => parseInt(val, 10) === puzzle.solution[i]
-      );
+    if (!puzzle || status === STATUS.SOLVED || status === STATUS.LOADING || submittingRef.current) return;
+
+    const submission = buildSubmission(puzzle, input, userGrid);
+    const ticket     = ticketRef.current;
+
+    // A ticket means the live daily came from the server, which alone decides
+    // whether it is solved; archive, challenge and offline play check here
+    let check;
+    if (ticket) {
+      submittingRef.current = true;
+      try {
+        check = await submitServerPuzzle(puzzle.date, ticket, submission);
+      } finally {
+        submittingRef.current = false;
+      }
+      if (!check) {
+        setErrorMsg("Couldn't reach the puzzle server — check your connection and try again.");
+        return;
+      }
+    } else {
+      check = checkLocally(puzzle, input, userGrid);
     }
 
-    if (!isCorrect) {
+    if (!check.correct) {
+      if (check.ticket) ticketRef.current = check.ticket;
+
+      let wrongMsg = "Not quite — try again!";
+      if (puzzle.variant === "gaps") {
+        // Each blank is marked on its own: right ones lock in, and every wrong
+        // (non-empty) entry costs GAP_MISS_PENALTY once the puzzle is solved.
+        const results = check.blanks.map((ok, k) => gapLocked[k] || ok);
+        const right   = results.filter(Boolean).length;
+        setGapLocked(results);
+        setGapMisses((m) => m + results.filter((ok, k) => !ok && userGrid[k] !== "").length);
+        wrongMsg = `${right} of ${results.length} missing terms correct — try the rest again!`;
+      }
+
       setAttempts((a) => a + 1);
-      await incrementAttempts(puzzle.date);
-      updateUserStats(false, 0);
-      setErrorMsg("Not quite — try again!");
+      if (!isChallenge) {
+        await (isArchive ? incrementArchiveAttempts : incrementAttempts)(puzzle.date, puzzle);
+        updateUserStats(false, 0);
+      }
+      setErrorMsg(wrongMsg);
       return;
     }
 
     // Correct ─────────────────────────────────────────────────────────────
+    // Server-checked solves keep the server's time, score and attempt count
     setErrorMsg("");
-    const timeTaken     = startTime ? Math.floor((Date.now() - startTime) / 1000) : 0;
-    const score         = Math.max(100 - timeTaken, 10);
-    const totalAttempts = attempts + 1;
+    const verified      = check.result ?? null;
+    const timeTaken     = verified?.timeTaken ?? (startTime ? Math.floor((Date.now() - startTime) / 1000) : 0);
+    const baseScore     = verified?.score ?? computeScore(timeTaken, puzzle.variant === "gaps" ? gapMisses : 0);
+    const score         = isArchive ? Math.round(baseScore * ARCHIVE_SCORE_MULTIPLIER) : baseScore;
+    const totalAttempts = verified?.attempts ?? attempts + 1;
     const user          = auth.currentUser;
 
-    updateUserStats(true, timeTaken);
+    // The server sends the answers once solved, for the solved view
+    if (check.puzzle) setPuzzle({ ...check.puzzle, date: puzzle.date });
+    if (!isArchive && !isChallenge) updateUserStats(true, timeTaken);
     setFinalScore(score);
     setFinalTime(timeTaken);
     setSolvedNow(true);
     setStatus(STATUS.SOLVED);
 
+    // Challenge solves stay on screen only — no Dexie, Firestore or streak
+    if (isChallenge) {
+      onComplete?.({ date: puzzle.date, score, timeTaken, solved: true, challenge: true });
+      return;
+    }
+
+    if (isArchive) {
+      await saveArchiveActivity({
+        date:             puzzle.date,
+        score,
+        timeTaken,
+        difficulty:       puzzle.difficulty,
+        solved:           true,
+        attempts:         totalAttempts,
+        puzzleSeed:       puzzle.date,
+        puzzleType:       puzzle.type,
+        generatorVersion: puzzle.generatorVersion,
+        hintsUsed,
+        createdAt:        Date.now(),
+      });
+      onComplete?.({ date: puzzle.date, score, timeTaken, solved: true, archive: true });
+      return;
+    }
+
     const activity = {
-      date:       puzzle.date,
-      uid:        user?.uid ?? "",
+      date:             puzzle.date,
+      uid:              user?.uid ?? "",
       score,
       timeTaken,
-      difficulty: puzzle.difficulty,
-      solved:     true,
-      attempts:   totalAttempts,
-      puzzleSeed: puzzle.date,
-      synced:     0,
-      createdAt:  Date.now(),
+      difficulty:       puzzle.difficulty,
+      solved:           true,
+      attempts:         totalAttempts,
+      puzzleSeed:       puzzle.date,
+      puzzleType:       puzzle.type,
+      generatorVersion: puzzle.generatorVersion,
+      hintsUsed,
+      synced:           0,
+      createdAt:        Date.now(),
     };
 
     const saved = await saveDailyActivity(activity);
     bustAnalyticsCache();
 
-    if (user && navigator.onLine) {
-      try {
-        await syncActivityToFirestore(user.uid, { ...saved, uid: user.uid });
-        await saveDailyActivity({ ...saved, synced: 1 });
-      } catch (err) {
-        console.warn("[DailyPuzzle] Sync deferred:", err.message);
-      }
+    // Queued even offline; the outbox uploads and marks it synced
+    if (user) {
+      await enqueueOutbox("activity", saved.date);
+      flushOutbox();
     }
 
-    onComplete?.({ date: puzzle.date, score, timeTaken, solved: true });
-  }, [puzzle, input, userGrid, startTime, status, attempts, onComplete]);
+    // Leaderboards only take server-verified results; null when played offline
+    const signed = verified ? { result: verified, signature: check.signature } : null;
+
+    onComplete?.({ date: puzzle.date, score, timeTaken, solved: true, signed });
+  }, [puzzle, input, userGrid, gapLocked, gapMisses, startTime, status, attempts, hintsUsed, onComplete, isArchive, isChallenge]);
 
   /* ── Render: loading ─────────────────────────────────────────────────── */
   if (status === STATUS.LOADING) {
@@ -253,7 +794,7 @@ export default function DailyPuzzle({ onComplete }) {
             <span style={{ fontSize: "18px" }}>🧩</span>
           </div>
           <p style={{ color: BS.textSubtle, fontSize: "13px", margin: 0 }}>
-            Loading today's puzzle…
+            {isChallenge ? "Loading challenge…" : isArchive ? "Loading archive puzzle…" : "Loading today's puzzle…"}
           </p>
         </div>
       </div>
@@ -317,10 +858,13 @@ export default function DailyPuzzle({ onComplete }) {
           color: BS.primary, margin: "0 0 4px",
           fontFamily: font.base,
         }}>
-          Daily Puzzle
+          {isChallenge ? "Challenge Puzzle" : isArchive ? "Archive Puzzle" : "Daily Puzzle"}
         </h2>
         <p style={{ fontSize: "11px", color: BS.textSubtle, margin: 0, letterSpacing: "0.04em" }}>
           {puzzle?.date}
+          {isArchive && ` · archive · ×${ARCHIVE_SCORE_MULTIPLIER} score`}
+          {isChallenge && " · challenge · not recorded"}
+          {offline && " · offline · not ranked"}
         </p>
         {/* Thin accent bar under date */}
         <div style={{
@@ -331,8 +875,25 @@ export default function DailyPuzzle({ onComplete }) {
         }} />
       </div>
 
+      {/* ── Missing-terms sequence ──────────────────────────────────── */}
+      {puzzle?.type === "sequence" && puzzle.variant === "gaps" && (
+        <div style={{ marginBottom: "4px" }}>
+          <p style={{ textAlign: "center", fontSize: "12px", color: BS.textSubtle, marginBottom: "16px" }}>
+            Find the missing {puzzle.blanks.length === 1 ? "term" : "terms"}:
+          </p>
+          <SequenceGapsRow
+            puzzle={puzzle}
+            userGrid={userGrid}
+            gapLocked={gapLocked}
+            isLocked={isLocked}
+            onChange={(k, value) => { handleGridChange(k, value); setErrorMsg(""); }}
+            onFocus={handleStart}
+          />
+        </div>
+      )}
+
       {/* ── Sequence puzzle ─────────────────────────────────────────── */}
-      {puzzle?.type === "sequence" && (
+      {puzzle?.type === "sequence" && puzzle.variant !== "gaps" && (
         <div style={{ marginBottom: "4px" }}>
           <p style={{ textAlign: "center", fontSize: "12px", color: BS.textSubtle, marginBottom: "16px" }}>
             What comes next?
@@ -415,7 +976,7 @@ export default function DailyPuzzle({ onComplete }) {
           </p>
           <div style={{
             display:    "grid",
-            gridTemplateColumns: "repeat(4, 44px)",
+            gridTemplateColumns: `repeat(${puzzle.size ?? 4}, 44px)`,
             gap:        "6px",
             justifyContent: "center",
           }}>
@@ -459,6 +1020,54 @@ export default function DailyPuzzle({ onComplete }) {
         </div>
       )}
 
+      {/* ── Latin square puzzle ──────────────────────────────────────── */}
+      {puzzle?.type === "latin" && (
+        <div style={{ marginBottom: "4px" }}>
+          <p style={{ textAlign: "center", fontSize: "12px", color: BS.textSubtle, marginBottom: "16px" }}>
+            Fill 1–{puzzle.size} so no row, column or box repeats:
+          </p>
+          <LatinGrid
+            puzzle={puzzle}
+            userGrid={userGrid}
+            isLocked={isLocked}
+            onChange={(i, value) => { handleGridChange(i, value); setErrorMsg(""); }}
+            onFocus={handleStart}
+          />
+        </div>
+      )}
+
+      {/* ── KenKen puzzle ────────────────────────────────────────────── */}
+      {puzzle?.type === "kenken" && (
+        <div style={{ marginBottom: "4px" }}>
+          <p style={{ textAlign: "center", fontSize: "12px", color: BS.textSubtle, marginBottom: "16px" }}>
+            Fill 1–{puzzle.size} so no row or column repeats and every cage hits its target:
+          </p>
+          <KenkenGrid
+            puzzle={puzzle}
+            userGrid={userGrid}
+            isLocked={isLocked}
+            onChange={(i, value) => { handleGridChange(i, value); setErrorMsg(""); }}
+            onFocus={handleStart}
+          />
+        </div>
+      )}
+
+      {/* ── Nonogram puzzle ──────────────────────────────────────────── */}
+      {puzzle?.type === "nonogram" && (
+        <div style={{ marginBottom: "4px" }}>
+          <p style={{ textAlign: "center", fontSize: "12px", color: BS.textSubtle, marginBottom: "16px" }}>
+            Tap to shade · long-press or right-click to cross out
+          </p>
+          <NonogramGrid
+            puzzle={puzzle}
+            userGrid={userGrid}
+            isLocked={isLocked}
+            onChange={(i, value) => { handleGridChange(i, value); setErrorMsg(""); }}
+            onFocus={handleStart}
+          />
+        </div>
+      )}
+
       {/* ── Attempt counter ──────────────────────────────────────────── */}
       {attempts > 0 && !isLocked && (
         <p style={{
@@ -585,14 +1194,16 @@ export default function DailyPuzzle({ onComplete }) {
               textAlign:    "center",
             }}>
               <p style={{ fontSize: "13px", fontWeight: 600, color: BS.primary, margin: "0 0 6px" }}>
-                ✅ Already solved today!
+                {isArchive ? "✅ Already solved this archive puzzle!" : "✅ Already solved today!"}
               </p>
               <p style={{ fontSize: "11px", color: BS.textMuted, margin: "0 0 8px" }}>
                 Score: <strong>{finalScore}</strong> · Time: <strong>{finalTime}s</strong> · Attempts: <strong>{attempts}</strong>
               </p>
-              <p style={{ fontSize: "11px", color: BS.violet, margin: 0 }}>
-                Come back tomorrow for a new challenge 🧩
-              </p>
+              {!isArchive && (
+                <p style={{ fontSize: "11px", color: BS.violet, margin: 0 }}>
+                  Come back tomorrow for a new challenge 🧩
+                </p>
+              )}
             </div>
           )}
         </div>
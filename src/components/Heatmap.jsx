@@ -3,6 +3,7 @@
  *
  * All data from Dexie via Retentionengine.js. Offline-first.
  * Reloads via refreshKey prop whenever a puzzle is completed.
+ * Past heatmap cells are clickable → onSelectDate(date) opens the archive.
  *
  * Sections:
  *   1. Summary stats bar
@@ -104,7 +105,7 @@ function StatCard({ label, value, sub, accent }) {
 }
 
 /* ─── Main component ─────────────────────────────────────────────────────── */
-export default function Heatmap({ refreshKey }) {
+export default function Heatmap({ refreshKey, onSelectDate }) {
   const [data,    setData]    = useState(null);
   const [loading, setLoading] = useState(true);
 
@@ -174,20 +175,22 @@ export default function Heatmap({ refreshKey }) {
             width: "max-content",
           }}>
             {days365.map((d, i) => {
-              const dateStr = d.format("YYYY-MM-DD");
-              const entry   = activityMap[dateStr];
-              const level   = computeIntensity(entry);
-              const tooltip = entry?.solved
+              const dateStr    = d.format("YYYY-MM-DD");
+              const entry      = activityMap[dateStr];
+              const level      = computeIntensity(entry);
+              const replayable = Boolean(onSelectDate) && i < days365.length - 1; // today is the live daily
+              const tooltip    = (entry?.solved
                 ? `${dateStr} · Score ${entry.score} · ${entry.timeTaken}s · ${entry.difficulty}`
-                : `${dateStr} · not played`;
+                : `${dateStr} · not played`) + (replayable ? " · click to play from archive" : "");
               return (
                 <div
                   key={i}
                   title={tooltip}
+                  onClick={replayable ? () => onSelectDate(dateStr) : undefined}
                   style={{
                     width: "12px", height: "12px", borderRadius: "3px",
                     background: INTENSITY_COLOR[level],
-                    cursor: "default",
+                    cursor: replayable ? "pointer" : "default",
                     transition: "transform 0.1s",
                   }}
                   onMouseEnter={(e) => (e.target.style.transform = "scale(1.3)")}
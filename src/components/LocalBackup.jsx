@@ -0,0 +1,198 @@
+/**
+ * LocalBackup.jsx
+ * src/components/LocalBackup.jsx
+ *
+ * Backup card on the Activity tab: export all local history (JSON + CSV)
+ * and import an export file. Import always shows a dry-run preview —
+ * new / updated / skipped records — before anything is written.
+ * All logic lives in utils/localBackup.js; this is presentation only.
+ */
+
+import { useRef, useState } from "react";
+import { downloadExport, planImport, applyImport, BACKUP_TABLES } from "../utils/localBackup";
+import { BS, font, radius, shadow } from "../constants/Brand";
+
+const TABLE_LABEL = {
+  activities:   "Daily puzzles",
+  archive:      "Archive replays",
+  hintUsage:    "Hint usage",
+  achievements: "Achievements",
+};
+
+// How many individual changes the preview lists before summarising
+const PREVIEW_LIMIT = 12;
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "—";
+  if (Array.isArray(value)) return String(value.length);
+  return String(value);
+}
+
+function changeLabel(change) {
+  if (change.kind === "add") return "new";
+  return change.fields
+    .map((field) => `${field} ${formatValue(change.before?.[field])} → ${formatValue(change.after[field])}`)
+    .join(", ");
+}
+
+export default function LocalBackup({ onImported }) {
+  const fileInput = useRef(null);
+  const [plan,    setPlan]    = useState(null);
+  const [busy,    setBusy]    = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const S = {
+    panel: {
+      background: BS.card, border: `1px solid ${BS.border}`,
+      borderRadius: radius.xl, boxShadow: shadow.card,
+      padding: "24px", width: "100%", marginTop: "16px",
+      fontFamily: font.base,
+    },
+    title: { fontSize: "14px", fontWeight: 700, color: BS.text, margin: "0 0 4px" },
+    sub:   { fontSize: "11px", color: BS.textSubtle, margin: "0 0 16px" },
+    row:   { display: "flex", gap: "8px", flexWrap: "wrap" },
+    btn: (primary) => ({
+      padding: "8px 14px", fontSize: "12px", fontWeight: 600,
+      fontFamily: font.base, borderRadius: radius.md, cursor: "pointer",
+      background: primary ? BS.primary : BS.surface,
+      color:      primary ? "#fff" : BS.text,
+      border:     `1px solid ${primary ? BS.primary : BS.border}`,
+      opacity:    busy ? 0.6 : 1,
+    }),
+    preview: {
+      marginTop: "16px", padding: "12px 14px",
+      background: BS.surface, border: `1px solid ${BS.border}`,
+      borderRadius: radius.md, fontSize: "12px", color: BS.text,
+    },
+    line:    { margin: "0 0 6px" },
+    muted:   { color: BS.textMuted },
+    list:    { margin: "8px 0 12px", paddingLeft: "18px", color: BS.textMuted, lineHeight: 1.6 },
+    warning: { margin: "0 0 6px", color: "#991B1B" },
+    message: { marginTop: "12px", fontSize: "12px", color: BS.textMuted },
+  };
+
+  const handleExport = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const counts = await downloadExport();
+      setMessage(`Exported ${counts.activities} puzzles and ${counts.achievements} achievements.`);
+    } catch (err) {
+      console.warn("[LocalBackup] Export failed:", err.message);
+      setMessage("Export failed — please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      setPlan(await planImport(await file.text()));
+    } catch (err) {
+      setPlan(null);
+      setMessage(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleApply = async () => {
+    setBusy(true);
+    try {
+      const written = await applyImport(plan.bundle);
+      setPlan(null);
+      setMessage(`Imported ${written} ${written === 1 ? "record" : "records"}.`);
+      onImported?.();
+    } catch (err) {
+      console.warn("[LocalBackup] Import failed:", err.message);
+      setMessage("Import failed — nothing was changed.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const listed = plan
+    ? BACKUP_TABLES.flatMap((table) => plan.changes[table].map((change) => ({ table, ...change })))
+    : [];
+
+  return (
+    <div style={S.panel}>
+      <h3 style={S.title}>Backup</h3>
+      <p style={S.sub}>
+        Your history is stored on this device. Export it to keep a copy or move it to another browser — no account needed.
+      </p>
+
+      <div style={S.row}>
+        <button style={S.btn(true)} onClick={handleExport} disabled={busy}>
+          Export (JSON + CSV)
+        </button>
+        <button style={S.btn(false)} onClick={() => fileInput.current?.click()} disabled={busy}>
+          Import…
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleFile}
+          style={{ display: "none" }}
+        />
+      </div>
+
+      {plan && (
+        <div style={S.preview}>
+          {BACKUP_TABLES.map((table) => {
+            const changes = plan.changes[table];
+            const added   = changes.filter((c) => c.kind === "add").length;
+            const updated = changes.length - added;
+            if (!changes.length && !plan.unchanged[table]) return null;
+            return (
+              <p key={table} style={S.line}>
+                <strong>{TABLE_LABEL[table]}:</strong>{" "}
+                {added} new, {updated} updated
+                <span style={S.muted}>, {plan.unchanged[table]} already up to date</span>
+              </p>
+            );
+          })}
+
+          {plan.rejected.length > 0 && (
+            <p style={S.warning}>
+              {plan.rejected.length} invalid {plan.rejected.length === 1 ? "record" : "records"} will be skipped
+              ({plan.rejected.slice(0, 3).map((r) => `${r.key ?? "?"}: ${r.fields.join(", ")}`).join("; ")}
+              {plan.rejected.length > 3 ? "; …" : ""}).
+            </p>
+          )}
+
+          {listed.length > 0 && (
+            <ul style={S.list}>
+              {listed.slice(0, PREVIEW_LIMIT).map((change) => (
+                <li key={`${change.table}:${change.key}`}>
+                  {change.key} — {changeLabel(change)}
+                </li>
+              ))}
+              {listed.length > PREVIEW_LIMIT && <li>…and {listed.length - PREVIEW_LIMIT} more</li>}
+            </ul>
+          )}
+
+          <div style={S.row}>
+            {plan.total > 0 && (
+              <button style={S.btn(true)} onClick={handleApply} disabled={busy}>
+                Import {plan.total} {plan.total === 1 ? "change" : "changes"}
+              </button>
+            )}
+            <button style={S.btn(false)} onClick={() => setPlan(null)} disabled={busy}>
+              {plan.total > 0 ? "Cancel" : "Close — nothing to import"}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {message && <p style={S.message}>{message}</p>}
+    </div>
+  );
+}
@@ -2,8 +2,10 @@
  * OnlineBanner.jsx
  * src/components/OnlineBanner.jsx
  *
- * Slim status strip: offline warning | reconnecting flash | nothing when online.
- * Uses navigator.onLine + window events — no Dexie, no Firebase.
+ * Slim status strip: offline warning | reconnecting flash | sync failures |
+ * writes waiting to sync | nothing when online and caught up.
+ * Uses navigator.onLine + window events — no Dexie, no Firebase. Outbox
+ * status (utils/outbox.js) is passed in by App.
  */
 
 import { useEffect, useState } from "react";
@@ -21,7 +23,11 @@ function useOnlineStatus() {
   return online;
 }
 
-export default function OnlineBanner({ onReconnect }) {
+function pendingLabel(n) {
+  return `${n} ${n === 1 ? "result" : "results"}`;
+}
+
+export default function OnlineBanner({ onReconnect, outbox, onRetry }) {
   const isOnline = useOnlineStatus();
   const [showSync,   setShowSync]   = useState(false);
   const [prevOnline, setPrevOnline] = useState(isOnline);
@@ -48,6 +54,7 @@ export default function OnlineBanner({ onReconnect }) {
     <div style={{ ...base, background: "#FFF8E7", color: "#92400E", borderBottom: "1px solid #FCD34D" }}>
       <span style={{ width: "7px", height: "7px", borderRadius: "50%", background: BS.accent, flexShrink: 0 }} />
       Offline — progress saved locally, will sync when reconnected
+      {outbox?.pending > 0 && ` (${pendingLabel(outbox.pending)} waiting)`}
     </div>
   );
 
@@ -58,5 +65,29 @@ export default function OnlineBanner({ onReconnect }) {
     </div>
   );
 
+  if (outbox?.failed > 0) return (
+    <div title={outbox.lastError?.message} style={{ ...base, background: "#FEF2F2", color: "#991B1B", borderBottom: "1px solid #FECACA" }}>
+      <span style={{ width: "7px", height: "7px", borderRadius: "50%", background: "#EF4444", flexShrink: 0 }} />
+      {pendingLabel(outbox.failed)} couldn't sync
+      <button
+        onClick={onRetry}
+        style={{
+          background: "none", border: "none", padding: 0,
+          color: "inherit", fontSize: "12px", fontWeight: 700,
+          fontFamily: font.base, textDecoration: "underline", cursor: "pointer",
+        }}
+      >
+        Retry
+      </button>
+    </div>
+  );
+
+  if (outbox?.pending > 0) return (
+    <div title={outbox.lastError?.message} style={{ ...base, background: BS.surface, color: BS.textMuted, borderBottom: `1px solid ${BS.borderMuted}` }}>
+      <span style={{ width: "7px", height: "7px", borderRadius: "50%", background: BS.primary, flexShrink: 0, animation: outbox.flushing ? "pulse 1s infinite" : "none" }} />
+      {pendingLabel(outbox.pending)} waiting to sync
+    </div>
+  );
+
   return null;
 }
\ No newline at end of file
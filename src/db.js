@@ -1,4 +1,6 @@
 import Dexie from "dexie";
+import { mergeActivity, sameActivity, mergeAchievement } from "./utils/activityMerge";
+import { BACKUP_TABLE, migrateInPlace, resumeMigrations, modifyAll } from "./utils/dbMigrations";
 
 /**
  * LOCAL DATABASE — Dexie (IndexedDB)
@@ -13,6 +15,10 @@ import Dexie from "dexie";
  *   solved:      boolean
  *   attempts:    number  — total submit attempts (including failures)
  *   puzzleSeed:  string  — seed used to generate puzzle (date-based)
+ *   puzzleType:  string  — "sequence" | "matrix" | "latin" | "kenken" | "nonogram"
+ *   generatorVersion: number — puzzle generator version that built it
+ *                          (see utils/generatorRegistry.js; null = baseline v0)
+ *   hintsUsed:   number  — hints taken before solving (from `hintUsage`)
  *   synced:      number  — 0 = not synced to Firestore, 1 = synced
  *                          (integer — Dexie cannot reliably index booleans)
  *   createdAt:   number  — Unix ms timestamp of first save
@@ -21,22 +27,67 @@ import Dexie from "dexie";
  * VERSION HISTORY:
  *   v1/v2 — original schema (synced stored as boolean, no uid/attempts)
  *   v3    — standardized schema (synced as 0/1, added uid/attempts/etc.)
- *   v4    — ONE-TIME MIGRATION: clears all stale records saved with old
- *            boolean `synced` values that break IDBKeyRange queries.
+ *   v4    — ONE-TIME MIGRATION: rewrites records saved with old boolean
+ *            `synced` values (which break IDBKeyRange queries) as 0/1 and
+ *            fills in uid/attempts/createdAt. Also adds `migrationBackups`
+ *            (utils/dbMigrations.js), declared by every later version.
+ *   v5    — added `archive` table for replays of past dates. Kept apart
+ *            from `activities` so archive solves never touch streaks,
+ *            adaptive difficulty or cloud sync.
+ *   v6    — added `outbox` table: durable queue of pending cloud writes
+ *            (see utils/outbox.js), retried with backoff across reloads.
+ *   v7    — added `achievements` table: { id, unlockedAt, synced }, so
+ *            unlocks keep their first-unlock time and follow the player
+ *            across devices.
+ *   v8    — added `hintUsage` table (Hintengine.js), keyed by hint key —
+ *            the date for the live daily, "archive:<date>" or
+ *            "challenge:<code>" otherwise:
+ *              { date, difficulty, hintsUsed, budget,
+ *                levels: [{ level, usedAt }] — one per hint taken }
+ *            Activities gain `hintsUsed`; older records are backfilled
+ *            with 0, since no hint usage was ever stored for them.
+ *   v9    — no new tables; bumps the version so databases that passed v4
+ *            before it declared `migrationBackups` get the table created.
  *
- * WHY THE CLEAR IS NECESSARY:
+ * WHY v4 REWRITES `synced`:
  *   Old records had `synced: false` (boolean). Dexie's IndexedDB layer uses
  *   IDBKeyRange under the hood. IDBKeyRange.only(0) does NOT match boolean
- *   false — they are different types in IndexedDB. This caused:
- *     - getUnsyncedActivities() to always return [] (missed unsynced records)
- *     - Old stale solved=true records persisting and triggering the
- *       "already solved" false-positive bug on fresh logins.
- *   The migration clears the table once. Users re-sync from Firestore
- *   on next login if they have cloud data.
+ *   false — they are different types in IndexedDB, so
+ *   getUnsyncedActivities() always returned [] and unsynced records were
+ *   never pushed. v4 originally cleared the table; it now converts each
+ *   record in place so players without cloud data keep their history.
+ *
+ * MIGRATIONS:
+ *   Upgrades that touch existing records are declared in MIGRATIONS and go
+ *   through migrateInPlace(), which snapshots the tables first and restores
+ *   them if the transform throws; every open retries a rolled-back one.
+ *   Never clear() a table to fix its shape — transform the records instead.
  */
 
 export const localDB = new Dexie("DailyPuzzleDB");
 
+// Record transforms, keyed by the version whose upgrade runs them. Each may
+// run again on a later open if it failed (utils/dbMigrations.js), so keep
+// them idempotent.
+const MIGRATIONS = {
+  // Records from v1/v2 may carry boolean synced and lack v3 fields
+  4: {
+    tables: ["activities"],
+    transform: (tx) => modifyAll(tx, "activities", (activity) => {
+      activity.synced      = activity.synced ? 1 : 0;
+      activity.uid       ??= "";
+      activity.attempts  ??= 1;
+      activity.createdAt ??= Date.now();
+    }),
+  },
+  8: {
+    tables: ["activities"],
+    transform: (tx) => modifyAll(tx, "activities", (activity) => {
+      activity.hintsUsed ??= 0;
+    }),
+  },
+};
+
 // All prior versions must be declared so Dexie can walk the upgrade path.
 localDB.version(1).stores({
   activities: "date, score, timeTaken, difficulty, solved, synced",
@@ -49,15 +100,49 @@ localDB.version(3).stores({
 });
 localDB.version(4)
   .stores({
-    activities: "date, uid, synced",
+    activities:     "date, uid, synced",
+    [BACKUP_TABLE]: "id",
   })
-  .upgrade((tx) => {
-    // Wipe all records that may have corrupt field types from v1/v2.
-    // This is a one-time cost. Fresh records written after this point
-    // will always use the correct integer synced value.
-    console.log("[DB v4] Clearing stale activity records from old schema.");
-    return tx.table("activities").clear();
-  });
+  .upgrade(migrateInPlace(4, MIGRATIONS[4]));
+localDB.version(5).stores({
+  activities:     "date, uid, synced",
+  archive:        "date",
+  [BACKUP_TABLE]: "id",
+});
+localDB.version(6).stores({
+  activities:     "date, uid, synced",
+  archive:        "date",
+  outbox:         "++id, [kind+key], uid",
+  [BACKUP_TABLE]: "id",
+});
+localDB.version(7).stores({
+  activities:     "date, uid, synced",
+  archive:        "date",
+  outbox:         "++id, [kind+key], uid",
+  achievements:   "id, synced",
+  [BACKUP_TABLE]: "id",
+});
+localDB.version(8)
+  .stores({
+    activities:     "date, uid, synced",
+    archive:        "date",
+    outbox:         "++id, [kind+key], uid",
+    achievements:   "id, synced",
+    hintUsage:      "date",
+    [BACKUP_TABLE]: "id",
+  })
+  .upgrade(migrateInPlace(8, MIGRATIONS[8]));
+localDB.version(9).stores({
+  activities:     "date, uid, synced",
+  archive:        "date",
+  outbox:         "++id, [kind+key], uid",
+  achievements:   "id, synced",
+  hintUsage:      "date",
+  [BACKUP_TABLE]: "id",
+});
+
+// A failed retry must not stop the app opening; its error stays on the backup
+localDB.on("ready", () => resumeMigrations(localDB, MIGRATIONS).catch(() => {}));
 
 /* ─────────────────────────────────────────────────────────────────────────── */
 /*  WRITE                                                                      */
@@ -81,22 +166,125 @@ export const saveDailyActivity = async (activity) => {
   const existing = await localDB.activities.get(activity.date);
 
   const record = {
-    date:       String(activity.date),
-    uid:        activity.uid        ?? existing?.uid        ?? "",
-    score:      activity.score      ?? existing?.score      ?? 0,
-    timeTaken:  activity.timeTaken  ?? existing?.timeTaken  ?? 0,
-    difficulty: activity.difficulty ?? existing?.difficulty ?? "easy",
-    solved:     activity.solved     ?? existing?.solved     ?? false,
-    attempts:   activity.attempts   ?? existing?.attempts   ?? 1,
-    puzzleSeed: activity.puzzleSeed ?? existing?.puzzleSeed ?? "",
-    synced:     ((activity.synced ?? existing?.synced ?? 0) ? 1 : 0),
-    createdAt:  existing?.createdAt ?? activity.createdAt ?? Date.now(),
+    date:             String(activity.date),
+    uid:              activity.uid        ?? existing?.uid        ?? "",
+    score:            activity.score      ?? existing?.score      ?? 0,
+    timeTaken:        activity.timeTaken  ?? existing?.timeTaken  ?? 0,
+    difficulty:       activity.difficulty ?? existing?.difficulty ?? "easy",
+    solved:           activity.solved     ?? existing?.solved     ?? false,
+    attempts:         activity.attempts   ?? existing?.attempts   ?? 1,
+    puzzleSeed:       activity.puzzleSeed ?? existing?.puzzleSeed ?? "",
+    puzzleType:       activity.puzzleType ?? existing?.puzzleType ?? null,
+    generatorVersion: activity.generatorVersion ?? existing?.generatorVersion ?? null,
+    hintsUsed:        activity.hintsUsed  ?? existing?.hintsUsed  ?? 0,
+    synced:           ((activity.synced ?? existing?.synced ?? 0) ? 1 : 0),
+    createdAt:        existing?.createdAt ?? activity.createdAt ?? Date.now(),
   };
 
   await localDB.activities.put(record);
   return record;
 };
 
+/**
+ * Merge cloud copies of activities into Dexie using the conflict rules in
+ * utils/activityMerge.js. Runs in one transaction so a half-pulled history
+ * never shows up in streaks or the heatmap.
+ *
+ * A merged record that matches its cloud copy is marked synced; one that
+ * still holds something the cloud lacks stays unsynced so the next push
+ * uploads it.
+ *
+ * @param   {object[]} remotes — records from getAllActivitiesFromFirestore()
+ * @returns {number}   how many local records were added or changed
+ */
+export const mergeRemoteActivities = async (remotes) => {
+  let changed = 0;
+
+  await localDB.transaction("rw", localDB.activities, async () => {
+    for (const remote of remotes) {
+      if (!remote?.date) continue;
+
+      const local  = await localDB.activities.get(String(remote.date));
+      const merged = mergeActivity(local, remote);
+
+      if (local && sameActivity(local, merged)) {
+        // Local already has everything; push again if the cloud is behind
+        if (local.synced && !sameActivity(merged, remote)) {
+          await localDB.activities.update(local.date, { synced: 0 });
+        }
+        continue;
+      }
+
+      await localDB.activities.put({
+        ...local,
+        ...merged,
+        score:      merged.score      ?? 0,
+        timeTaken:  merged.timeTaken  ?? 0,
+        difficulty: merged.difficulty ?? "easy",
+        puzzleSeed: merged.puzzleSeed ?? "",
+        hintsUsed:  merged.hintsUsed  ?? 0,
+        createdAt:  merged.createdAt  ?? Date.now(),
+        synced:     sameActivity(merged, remote) ? 1 : 0,
+      });
+      changed += 1;
+    }
+  });
+
+  return changed;
+};
+
+/**
+ * Record achievements as unlocked now. Already-unlocked ones keep their
+ * original unlockedAt.
+ *
+ * @param   {string[]} ids
+ * @returns {string[]} the ids that were newly unlocked
+ */
+export const recordAchievementUnlocks = async (ids) => {
+  const newlyUnlocked = [];
+
+  await localDB.transaction("rw", localDB.achievements, async () => {
+    for (const id of ids) {
+      if (await localDB.achievements.get(id)) continue;
+      await localDB.achievements.put({ id, unlockedAt: Date.now(), synced: 0 });
+      newlyUnlocked.push(id);
+    }
+  });
+
+  return newlyUnlocked;
+};
+
+/**
+ * Merge cloud copies of unlocked achievements (earliest unlockedAt wins).
+ *
+ * @param   {object[]} remotes — from getAllAchievementsFromFirestore()
+ * @returns {number}   how many local records were added or changed
+ */
+export const mergeRemoteAchievements = async (remotes) => {
+  let changed = 0;
+
+  await localDB.transaction("rw", localDB.achievements, async () => {
+    for (const remote of remotes) {
+      if (!remote?.id) continue;
+
+      const local  = await localDB.achievements.get(remote.id);
+      const merged = mergeAchievement(local, remote);
+      if (local?.unlockedAt === merged.unlockedAt) {
+        // Unlocked here first; push again if the cloud has a later time
+        if (local.synced && remote.unlockedAt !== merged.unlockedAt) {
+          await localDB.achievements.update(local.id, { synced: 0 });
+        }
+        continue;
+      }
+
+      await localDB.achievements.put({ ...merged, synced: 1 });
+      changed += 1;
+    }
+  });
+
+  return changed;
+};
+
 /**
  * Apply a partial update to an existing activity.
  * Safer than saveDailyActivity when you only need to change one or two fields.
@@ -136,6 +324,44 @@ export const getAllActivities = async () => {
   return all.sort((a, b) => (b.date > a.date ? 1 : -1));
 };
 
+/**
+ * Every unlocked achievement as { [id]: unlockedAt }.
+ *
+ * @returns {Object<string, number>}
+ */
+export const getAchievementUnlocks = async () => {
+  const all = await localDB.achievements.toArray();
+  return Object.fromEntries(all.map((a) => [a.id, a.unlockedAt]));
+};
+
+/**
+ * Return a single unlocked achievement, or null.
+ *
+ * @param   {string} id
+ * @returns {object|null}
+ */
+export const getAchievement = async (id) => {
+  return (await localDB.achievements.get(String(id))) ?? null;
+};
+
+/**
+ * Return unlocked achievements not yet uploaded (synced === 0).
+ *
+ * @returns {object[]}
+ */
+export const getUnsyncedAchievements = async () => {
+  return await localDB.achievements.where("synced").equals(0).toArray();
+};
+
+/**
+ * Mark the given achievements as synced.
+ *
+ * @param {string[]} ids
+ */
+export const markAchievementsSynced = async (ids) => {
+  await Promise.all(ids.map((id) => localDB.achievements.update(String(id), { synced: 1 })));
+};
+
 /**
  * Return only activities not yet uploaded to Firestore (synced === 0).
  * Relies on integer index — records must use 0/1, not true/false.
@@ -182,4 +408,88 @@ export const incrementAttempts = async (date) => {
 export const getRecentSolvedActivities = async (n = 7) => {
   const all = await getAllActivities();
   return all.filter((a) => a.solved).slice(0, n);
-};
\ No newline at end of file
+};
+
+/* ─────────────────────────────────────────────────────────────────────────── */
+/*  ARCHIVE                                                                    */
+/* ─────────────────────────────────────────────────────────────────────────── */
+
+/**
+ * Save (insert or overwrite) an archive replay record.
+ * Same shape as an activity minus uid/synced — archive solves stay local.
+ * createdAt is NEVER overwritten once set.
+ *
+ * @param   {object} activity
+ * @returns {object} The normalized record that was actually written
+ */
+export const saveArchiveActivity = async (activity) => {
+  if (!activity.date || typeof activity.date !== "string") {
+    throw new Error("[DB] saveArchiveActivity: `date` must be a non-empty string.");
+  }
+
+  const existing = await localDB.archive.get(activity.date);
+
+  const record = {
+    date:             String(activity.date),
+    score:            activity.score      ?? existing?.score      ?? 0,
+    timeTaken:        activity.timeTaken  ?? existing?.timeTaken  ?? 0,
+    difficulty:       activity.difficulty ?? existing?.difficulty ?? "easy",
+    solved:           activity.solved     ?? existing?.solved     ?? false,
+    attempts:         activity.attempts   ?? existing?.attempts   ?? 1,
+    puzzleSeed:       activity.puzzleSeed ?? existing?.puzzleSeed ?? "",
+    puzzleType:       activity.puzzleType ?? existing?.puzzleType ?? null,
+    generatorVersion: activity.generatorVersion ?? existing?.generatorVersion ?? null,
+    hintsUsed:        activity.hintsUsed  ?? existing?.hintsUsed  ?? 0,
+    createdAt:        existing?.createdAt ?? activity.createdAt ?? Date.now(),
+  };
+
+  await localDB.archive.put(record);
+  return record;
+};
+
+/**
+ * Look up an archive replay by puzzle date.
+ *
+ * @param   {string}        date — "YYYY-MM-DD"
+ * @returns {object|null}
+ */
+export const getArchiveActivityByDate = async (date) => {
+  if (!date || typeof date !== "string") return null;
+  return (await localDB.archive.get(String(date))) ?? null;
+};
+
+/**
+ * Return all archive replays, sorted newest-first by puzzle date.
+ *
+ * @returns {object[]}
+ */
+export const getAllArchiveActivities = async () => {
+  const all = await localDB.archive.toArray();
+  return all.sort((a, b) => (b.date > a.date ? 1 : -1));
+};
+
+/**
+ * Count a failed archive attempt. The first one creates an unsolved record
+ * from `puzzle` (type, difficulty, generator version), so attempts made
+ * before the first solve are kept and the replay reopens the same puzzle.
+ *
+ * @param {string} date
+ * @param {object} [puzzle] — the puzzle being attempted
+ */
+export const incrementArchiveAttempts = async (date, puzzle = {}) => {
+  if (!date) return;
+  const existing = await getArchiveActivityByDate(date);
+  if (existing) {
+    await localDB.archive.update(String(date), { attempts: (existing.attempts ?? 0) + 1 });
+    return;
+  }
+  await saveArchiveActivity({
+    date:             String(date),
+    difficulty:       puzzle.difficulty,
+    solved:           false,
+    attempts:         1,
+    puzzleSeed:       String(date),
+    puzzleType:       puzzle.type,
+    generatorVersion: puzzle.generatorVersion,
+  });
+};
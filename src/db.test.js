@@ -0,0 +1,42 @@
+import "fake-indexeddb/auto";
+import { describe, it, expect, beforeEach } from "vitest";
+import {
+  localDB,
+  incrementArchiveAttempts,
+  getArchiveActivityByDate,
+  saveArchiveActivity,
+} from "./db.js";
+
+const PUZZLE = { date: "2024-03-09", type: "kenken", difficulty: "hard", generatorVersion: 2 };
+
+beforeEach(async () => {
+  await localDB.archive.clear();
+});
+
+describe("incrementArchiveAttempts", () => {
+  it("creates an unsolved record on the first failed attempt", async () => {
+    await incrementArchiveAttempts(PUZZLE.date, PUZZLE);
+
+    expect(await getArchiveActivityByDate(PUZZLE.date)).toMatchObject({
+      date:             PUZZLE.date,
+      solved:           false,
+      attempts:         1,
+      puzzleType:       "kenken",
+      difficulty:       "hard",
+      generatorVersion: 2,
+    });
+  });
+
+  it("keeps counting until the solve, which keeps the total", async () => {
+    await incrementArchiveAttempts(PUZZLE.date, PUZZLE);
+    await incrementArchiveAttempts(PUZZLE.date, PUZZLE);
+    expect((await getArchiveActivityByDate(PUZZLE.date)).attempts).toBe(2);
+
+    await saveArchiveActivity({ date: PUZZLE.date, solved: true, attempts: 3, score: 60 });
+    expect(await getArchiveActivityByDate(PUZZLE.date)).toMatchObject({
+      solved:     true,
+      attempts:   3,
+      puzzleType: "kenken",
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { readFileSync } from "node:fs";
+import { describe, it, beforeAll, afterAll, beforeEach } from "vitest";
+import {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} from "@firebase/rules-unit-testing";
+import { doc, getDoc, setDoc, deleteDoc } from "firebase/firestore";
+
+// firestore.rules against the Firestore emulator. Skipped unless one is
+// running, e.g.
+//   npx firebase-tools emulators:exec --only firestore "npx vitest run src/firestoreRules.test.js"
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+// leaderboard/{uid} as clients wrote it before results were signed: no
+// lastDate, no result
+const BASELINE_ENTRY = { uid: "ada", name: "Ada", score: 80, updatedAt: new Date(0) };
+
+const RESULT = {
+  uid: "ada", date: TODAY, type: "sequence", difficulty: "hard", generatorVersion: 3,
+  score: 90, timeTaken: 10, misses: 0, attempts: 1, finishedAt: 0,
+};
+
+describe.skipIf(!process.env.FIRESTORE_EMULATOR_HOST)("firestore.rules", () => {
+  let env;
+  const as = (uid) => (uid ? env.authenticatedContext(uid) : env.unauthenticatedContext()).firestore();
+
+  beforeAll(async () => {
+    env = await initializeTestEnvironment({
+      projectId: "demo-logic-looper",
+      firestore: { rules: readFileSync(new URL("../firestore.rules", import.meta.url), "utf8") },
+    });
+  });
+  afterAll(() => env?.cleanup());
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled((ctx) => setDoc(doc(ctx.firestore(), "leaderboard/ada"), BASELINE_ENTRY));
+  });
+
+  it("lets anyone read a baseline leaderboard entry", async () => {
+    await assertSucceeds(getDoc(doc(as(null), "leaderboard/ada")));
+    await assertSucceeds(getDoc(doc(as("grace"), "leaderboard/ada")));
+  });
+
+  it("refuses every client write to a baseline entry, its owner's included", async () => {
+    const entry = doc(as("ada"), "leaderboard/ada");
+    await assertFails(setDoc(entry, { lastDate: TODAY, lastResult: RESULT, lastSignature: "sig" }, { merge: true }));
+    await assertFails(setDoc(entry, { ...BASELINE_ENTRY, score: 100 }));
+    await assertFails(deleteDoc(entry));
+  });
+
+  it("refuses client writes to period boards and the rejection log", async () => {
+    const db = as("ada");
+    await assertFails(setDoc(doc(db, `leaderboards/day-${TODAY}/entries/ada`), { uid: "ada", score: 90 }));
+    await assertFails(setDoc(doc(db, "scoreRejections/x"), { uid: "ada", reasons: [] }));
+    await assertSucceeds(getDoc(doc(db, `leaderboards/day-${TODAY}/entries/ada`)));
+  });
+
+  it("keeps activity documents private to their owner", async () => {
+    await assertSucceeds(setDoc(doc(as("ada"), `activities/ada/days/${TODAY}`), { date: TODAY }));
+    await assertFails(getDoc(doc(as("grace"), `activities/ada/days/${TODAY}`)));
+  });
+});
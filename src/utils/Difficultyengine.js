@@ -30,6 +30,11 @@
  *   at sequence puzzles (score ≥ 50 with at least 3 days of history).
  *   This prevents new users from being thrown into a matrix puzzle
  *   with no context.
+ *   Latin squares and nonograms unlock at the same gate and rotate with
+ *   matrix by date (a seeded pick from the puzzle date), so the type a day
+ *   gets does not shift when history is synced, imported or replayed.
+ *   KenKen cages join the rotation once the player is at hard difficulty
+ *   with a performance score ≥ 75 — the deepest daily challenge.
  *
  * ─── Expected Solve Times (seconds) ─────────────────────────────────────────
  *   easy    → 60s   (generous — new user learning the system)
@@ -37,11 +42,13 @@
  *   hard    → 30s   (requires focus and pattern recognition)
  *
  * ─── Determinism guarantee ───────────────────────────────────────────────────
- * Given the same Dexie history, this function always returns the same result.
- * No randomness. No time-of-day dependency. Pure function over data.
+ * Given the same Dexie history and date, this function always returns the
+ * same result. No randomness. No time-of-day dependency. Pure function over data.
  */
 
+import dayjs from "dayjs";
 import { getAllActivities } from "../db";
+import { sr } from "./puzzleGenerator";
 
 /* ─── Constants ─────────────────────────────────────────────────────────── */
 
@@ -54,6 +61,9 @@ export const DIFFICULTY = {
 export const PUZZLE_TYPE = {
   SEQUENCE: "sequence",
   MATRIX:   "matrix",
+  LATIN:    "latin",
+  KENKEN:   "kenken",
+  NONOGRAM: "nonogram",
 };
 
 // Expected solve time in seconds per difficulty level
@@ -90,15 +100,16 @@ const DIFFICULTY_DOWN = {
  * Analyse recent activity and return the recommended puzzle configuration
  * for today's puzzle.
  *
+ * @param   {string} [date] — puzzle date "YYYY-MM-DD", default = today
  * @returns {Promise<{
- *   puzzleType:  "sequence" | "matrix",
+ *   puzzleType:  "sequence" | "matrix" | "latin" | "kenken" | "nonogram",
  *   difficulty:  "easy" | "medium" | "hard",
  *   performanceScore: number,       // 0–100 for debugging / display
  *   trend:       "improving" | "stable" | "declining",
  *   reason:      string             // human-readable explanation
  * }>}
  */
-export async function getAdaptiveDifficulty() {
+export async function getAdaptiveDifficulty(date = dayjs().format("YYYY-MM-DD")) {
   const allActivities = await getAllActivities(); // newest-first
 
   // Slice to the last LOOKBACK_DAYS days that have ANY activity record
@@ -173,6 +184,7 @@ export async function getAdaptiveDifficulty() {
   // ── Puzzle type decision ────────────────────────────────────────────────
   const puzzleType = decidePuzzleType({
     totalDays:    recentWindow.length,
+    date,
     solved,
     performanceScore,
     currentDifficulty: newDifficulty,
@@ -274,13 +286,14 @@ function computeTrend(solved) {
 /* ─── Helper: puzzle type gating ────────────────────────────────────────── */
 
 /**
- * Matrix puzzles are harder to learn from scratch.
- * Gate them behind demonstrated sequence competence.
+ * Matrix and Latin-square puzzles are harder to learn from scratch.
+ * Gate them behind demonstrated sequence competence, then alternate
+ * between the two so neither grid family goes stale.
  *
- * @param {{ totalDays, solved, performanceScore, currentDifficulty }} params
- * @returns {"sequence"|"matrix"}
+ * @param {{ totalDays, date, solved, performanceScore, currentDifficulty }} params
+ * @returns {"sequence"|"matrix"|"latin"|"kenken"|"nonogram"}
  */
-function decidePuzzleType({ totalDays, solved, performanceScore, currentDifficulty }) {
+function decidePuzzleType({ totalDays, date, solved, performanceScore, currentDifficulty }) {
   // Must have at least 3 days of history to unlock matrix
   if (totalDays < 3) return PUZZLE_TYPE.SEQUENCE;
 
@@ -289,7 +302,12 @@ function decidePuzzleType({ totalDays, solved, performanceScore, currentDifficul
 
   // Performance must be respectable and difficulty must be medium or hard
   if (performanceScore >= 50 && currentDifficulty !== DIFFICULTY.EASY) {
-    return PUZZLE_TYPE.MATRIX;
+    const rotation = currentDifficulty === DIFFICULTY.HARD && performanceScore >= THRESHOLD_INCREASE
+      ? [PUZZLE_TYPE.MATRIX, PUZZLE_TYPE.LATIN, PUZZLE_TYPE.NONOGRAM, PUZZLE_TYPE.KENKEN]
+      : [PUZZLE_TYPE.MATRIX, PUZZLE_TYPE.LATIN, PUZZLE_TYPE.NONOGRAM];
+    // Seeded from the date, never the history length, so syncing or
+    // importing records can't change which type a date gets
+    return rotation[sr(date + "type") % rotation.length];
   }
 
   return PUZZLE_TYPE.SEQUENCE;
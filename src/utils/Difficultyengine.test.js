@@ -0,0 +1,50 @@
+import "fake-indexeddb/auto";
+import { describe, it, expect, beforeEach } from "vitest";
+import { localDB, saveDailyActivity } from "../db.js";
+import { getAdaptiveDifficulty, PUZZLE_TYPE } from "./Difficultyengine.js";
+
+// A week of fast, clean medium solves: enough to unlock the grid rotation
+async function seedStrongWeek() {
+  for (let day = 1; day <= 7; day++) {
+    await saveDailyActivity({
+      date:       `2025-03-0${day}`,
+      solved:     true,
+      score:      90,
+      timeTaken:  10,
+      difficulty: "medium",
+      attempts:   1,
+    });
+  }
+}
+
+beforeEach(async () => {
+  await localDB.activities.clear();
+});
+
+describe("getAdaptiveDifficulty puzzle type", () => {
+  it("starts new players on sequences", async () => {
+    expect((await getAdaptiveDifficulty("2025-03-08")).puzzleType).toBe(PUZZLE_TYPE.SEQUENCE);
+  });
+
+  it("rotates grid types by date", async () => {
+    await seedStrongWeek();
+    const dates = ["2025-03-08", "2025-03-09", "2025-03-10", "2025-03-11", "2025-03-12", "2025-03-13"];
+    const types = [];
+    for (const date of dates) types.push((await getAdaptiveDifficulty(date)).puzzleType);
+
+    expect(types).not.toContain(PUZZLE_TYPE.SEQUENCE);
+    expect(new Set(types).size).toBeGreaterThan(1);
+  });
+
+  it("does not depend on how many records are stored", async () => {
+    await seedStrongWeek();
+    const before = await getAdaptiveDifficulty("2025-03-08");
+
+    // Older than the lookback window: adds history without changing recent form
+    await saveDailyActivity({ date: "2024-12-01", solved: false, difficulty: "easy" });
+    const after = await getAdaptiveDifficulty("2025-03-08");
+
+    expect(after.performanceScore).toBe(before.performanceScore);
+    expect(after.puzzleType).toBe(before.puzzleType);
+  });
+});
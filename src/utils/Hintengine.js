@@ -2,24 +2,25 @@
  * hintEngine.js
  * src/utils/hintEngine.js
  *
- * Hint budget allocation + sequential hint text generation.
- * Persists hint usage in Dexie (hintUsage table added in db v5 upgrade).
- * Falls back gracefully if hintUsage table doesn't exist yet.
+ * Hint budget allocation and hint usage. The hint text itself comes from
+ * hintText.js, which the server also uses for live-daily hints.
+ * Persists hint usage in Dexie (hintUsage table, db v8): one record per
+ * hint key with the total and a { level, usedAt } entry per hint taken.
+ * Solved activities also carry the total as `hintsUsed` (DailyPuzzle).
+ * Live-daily usage is synced to activities/{uid}/hints/{date} through the
+ * outbox (outbox.js) and pulled back by sync.js. Both depend on that table
+ * existing — there is deliberately no fallback, so a schema without it
+ * fails loudly instead of syncing nothing.
  *
  * Budget rules:
  *   easy=3, medium=2, hard=1 (base)
  *   +1 if 7-day accuracy < 50%   (struggling bonus)
  *   +1 if current streak >= 7    (loyalty bonus)
  *   max 4 hints total
- *
- * Hint levels (sequential unlock):
- *   1 — CONCEPT   : category of pattern (never reveals patternKey raw string)
- *   2 — DIRECTION : direction of change
- *   3 — PROXIMITY : warm/cold relative to user's current answer
- *   4 — BRACKET   : numeric range  [answer-15, answer+15]
  */
 
 import { getRecentSolvedActivities, localDB } from "../db";
+import { mergeHintUsage } from "./activityMerge";
 
 /* ─── Budget ────────────────────────────────────────────────────────────── */
 
@@ -43,73 +44,48 @@ export async function computeHintBudget(difficulty) {
 
 /* ─── Hint usage persistence ────────────────────────────────────────────── */
 
-export async function useHint(date, difficulty, budget) {
-  try {
-    const existing = await localDB.hintUsage?.get(String(date));
-    const current  = existing?.hintsUsed ?? 0;
-    await localDB.hintUsage?.put({
+export async function useHint(date, difficulty, budget, level) {
+  await localDB.transaction("rw", localDB.hintUsage, async () => {
+    const existing = await localDB.hintUsage.get(String(date));
+    const levels   = existing?.levels ?? [];
+    await localDB.hintUsage.put({
       date:       String(date),
       difficulty,
-      hintsUsed:  current + 1,
+      hintsUsed:  (existing?.hintsUsed ?? 0) + 1,
       budget,
+      levels:     [...levels, { level: level ?? levels.length + 1, usedAt: Date.now() }],
     });
-  } catch (_) {
-    // hintUsage table may not exist in older DB versions — silently skip
-  }
+  });
 }
 
 export async function getHintsUsedToday(date) {
-  try {
-    const record = await localDB.hintUsage?.get(String(date));
-    return record?.hintsUsed ?? 0;
-  } catch (_) {
-    return 0;
-  }
+  const record = await localDB.hintUsage.get(String(date));
+  return record?.hintsUsed ?? 0;
 }
 
-/* ─── Hint text generation ──────────────────────────────────────────────── */
+export async function getHintUsage(date) {
+  return (await localDB.hintUsage.get(String(date))) ?? null;
+}
+
+// Cloud copies from getAllHintUsageFromFirestore(); returns how many changed
+export async function mergeRemoteHintUsage(remotes) {
+  let changed = 0;
 
-const CONCEPT_MAP = {
-  arithmetic:     "The numbers change by a fixed amount each step.",
-  geometric:      "Each term is multiplied by a constant ratio.",
-  squares:        "The terms are perfect squares of consecutive integers.",
-  fibonacci:      "Each term is the sum of the two terms before it.",
-  alternating:    "The signs alternate while the magnitude grows.",
-  polynomial:     "The differences between terms themselves change — it's quadratic.",
-  multiplication: "Each cell is the product of its row and column factors.",
-};
+  await localDB.transaction("rw", localDB.hintUsage, async () => {
+    for (const remote of remotes) {
+      if (!remote?.date) continue;
+      const local  = await localDB.hintUsage.get(String(remote.date));
+      const merged = mergeHintUsage(local, remote);
+      if (
+        local?.hintsUsed === merged.hintsUsed &&
+        local?.budget === merged.budget &&
+        JSON.stringify(local?.levels ?? []) === JSON.stringify(merged.levels)
+      ) continue;
 
-export function getHintText({ level, puzzleType, patternKey, userAnswer, answer, correctCount, blankCount }) {
-  if (puzzleType === "matrix") {
-    return [
-      "Each row and column follows a consistent arithmetic rule.",
-      "Look at two adjacent visible cells in any row or column to find the step.",
-      correctCount > 0
-        ? `Good progress — ${correctCount} of ${blankCount} cells are correct so far.`
-        : "None of your filled cells match yet — try checking the first row.",
-      "Focus on the cell with the most visible neighbours for the clearest pattern.",
-    ][level - 1] ?? "Keep going!";
-  }
+      await localDB.hintUsage.put({ ...local, ...merged });
+      changed += 1;
+    }
+  });
 
-  // Sequence hints
-  if (level === 1) {
-    return CONCEPT_MAP[patternKey] ?? "Look for a pattern in how the numbers change.";
-  }
-  if (level === 2) {
-    const diff = answer - (userAnswer ?? 0);
-    if (patternKey === "alternating") return "The next term has the opposite sign from the previous one.";
-    return diff > 0 ? "The next term is larger than your current answer." : "The next term is smaller than your current answer.";
-  }
-  if (level === 3) {
-    if (userAnswer === null) return "Enter your best guess first to get a proximity hint.";
-    const delta = Math.abs((userAnswer ?? 0) - answer);
-    if (delta === 0) return "Your answer is exactly right — hit submit!";
-    if (delta <= 5)  return `Very warm — you're within 5 of the correct value.`;
-    if (delta <= 20) return `Warm — you're within 20 of the correct value.`;
-    return `Cold — your answer is more than 20 away.`;
-  }
-  if (level === 4) {
-    return `The answer falls between ${answer - 15} and ${answer + 15}.`;
-  }
-  return "Keep going!";
-}
\ No newline at end of file
+  return changed;
+}
@@ -0,0 +1,40 @@
+import "fake-indexeddb/auto";
+import { describe, it, expect, beforeEach } from "vitest";
+import { localDB } from "../db.js";
+import { useHint, getHintsUsedToday, getHintUsage, mergeRemoteHintUsage } from "./Hintengine.js";
+
+const DATE = "2025-03-01";
+
+beforeEach(async () => {
+  await localDB.hintUsage.clear();
+});
+
+describe("hint usage", () => {
+  it("is stored in the hintUsage table the sync depends on", async () => {
+    expect(localDB.tables.map((t) => t.name)).toContain("hintUsage");
+
+    await useHint(DATE, "hard", 2, 1);
+    await useHint(DATE, "hard", 2, 2);
+
+    expect(await getHintsUsedToday(DATE)).toBe(2);
+    expect(await getHintUsage(DATE)).toMatchObject({
+      date: DATE, difficulty: "hard", hintsUsed: 2, budget: 2,
+      levels: [{ level: 1 }, { level: 2 }],
+    });
+  });
+
+  it("merges cloud copies into Dexie and reports what changed", async () => {
+    await useHint(DATE, "hard", 2, 1);
+    const remote = [
+      { date: DATE, difficulty: "hard", hintsUsed: 2, budget: 2, levels: [{ level: 1, usedAt: 1 }, { level: 2, usedAt: 2 }] },
+      { date: "2025-02-28", difficulty: "easy", hintsUsed: 1, budget: 3, levels: [{ level: 1, usedAt: 5 }] },
+    ];
+
+    expect(await mergeRemoteHintUsage(remote)).toBe(2);
+    expect(await getHintUsage(DATE)).toMatchObject({ hintsUsed: 2, levels: [{ level: 1, usedAt: 1 }, { level: 2, usedAt: 2 }] });
+    expect(await getHintsUsedToday("2025-02-28")).toBe(1);
+
+    // Pulling the same copies again changes nothing
+    expect(await mergeRemoteHintUsage(remote)).toBe(0);
+  });
+});
@@ -2,29 +2,74 @@
  * neonSync.js
  * src/utils/neonSync.js
  *
- * Neon DB (Postgres) leaderboard sync.
- * Falls back gracefully — App.jsx calls these non-blocking (.catch(() => {})).
- * Set VITE_NEON_CONNECTION_STRING in your .env to enable.
+ * Neon DB (Postgres) leaderboard sync, through the Express server
+ * (server/index.js) so no connection string ever reaches the browser:
+ *   POST /leaderboard/scores  → store a server-signed result
+ *   GET  /leaderboard         → one period board + the caller's rank
+ *
+ * Falls back gracefully — App.jsx calls these non-blocking (.catch(() => {}))
+ * and reads Firestore when the Neon board comes back empty.
+ * Set VITE_API_URL in your .env to enable.
  * Without it, both functions are no-ops that return empty data.
  */
 
-const NEON_URL = import.meta.env?.VITE_NEON_CONNECTION_STRING ?? null;
+import { authHeaders, postSignedScore } from "./puzzleApi";
+
+const API_URL = import.meta.env?.VITE_API_URL ?? null;
+
+const EMPTY_BOARD = { entries: [], you: null };
+
+/* ─── Leaderboard ───────────────────────────────────────────────────────── */
 
 /**
- * Update leaderboard for a user.
- * Only records highest score.
+ * Submit a score to the Postgres leaderboard. Takes the server-signed
+ * result from puzzleApi.js ({ result, signature }) — unsigned scores are
+ * not accepted. The server re-checks the signature, scoreRules.js, one
+ * submission per day and that the date is not older than the last ranked.
+ *
+ * @param {string} uid          - Firebase Auth UID
+ * @param {string} displayName  - User's display name
+ * @param {{ result: object, signature: string }} signed - Verified result
+ * @returns {Promise<object|undefined>} the stored score row
  */
-export async function updateNeonLeaderboard(uid, displayName, score) {
-  if (!NEON_URL) return; // no-op when not configured
-  // Implementation requires @neondatabase/serverless on Vercel edge functions.
-  // Stub: silently skip.
+export async function updateNeonLeaderboard(uid, displayName, signed) {
+  if (!API_URL || !uid) return; // no-op when not configured
+  if (!signed?.signature) {
+    throw new Error("updateNeonLeaderboard: a server-signed result is required.");
+  }
+
+  return postSignedScore("/leaderboard/scores", uid, displayName, signed);
 }
 
 /**
- * Fetch top N leaderboard entries from Neon.
- * Returns [] if unconfigured or on error (App falls back to Firestore).
+ * Fetch one period board (day/week/month/all) from Neon, optionally for one
+ * difficulty bracket, plus the caller's own rank. Same shape as
+ * firestoreSync.fetchLeaderboard(): { entries, you }.
+ * Returns an empty board if unconfigured or on error (App falls back to Firestore).
+ *
+ * @param {object} options
+ * @param {"day"|"week"|"month"|"all"} [options.period] - Default "all"
+ * @param {string} [options.date]        - Puzzle date inside the period
+ * @param {"easy"|"medium"|"hard"} [options.difficulty] - Bracket, default all
+ * @param {string} [options.uid]         - Caller, for the `you` row
+ * @param {number} [options.topN]        - Number of entries to fetch (default: 10)
+ * @returns {Promise<{ entries: object[], you: object|null }>}
  */
-export async function fetchNeonLeaderboard(topN = 10) {
-  if (!NEON_URL) return [];
-  return [];
-}
\ No newline at end of file
+export async function fetchNeonLeaderboard({ period = "all", date, difficulty = null, uid, topN = 10 } = {}) {
+  if (!API_URL || !navigator.onLine) return EMPTY_BOARD;
+
+  // The server fills `you` from the ID token; uid is only cross-checked
+  const params = new URLSearchParams({ period, limit: String(topN) });
+  if (date)       params.set("date", date);
+  if (difficulty) params.set("difficulty", difficulty);
+  if (uid)        params.set("uid", uid);
+
+  try {
+    const res = await fetch(`${API_URL}/leaderboard?${params}`, { headers: await authHeaders() });
+    if (!res.ok) return EMPTY_BOARD;
+    const { entries, you } = await res.json();
+    return { entries: entries ?? [], you: you ?? null };
+  } catch {
+    return EMPTY_BOARD;
+  }
+}
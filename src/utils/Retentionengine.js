@@ -42,11 +42,10 @@
 
 import dayjs from "dayjs";
 import { getAllActivities } from "../db";
+import { DIFFICULTY_WEIGHT } from "./scoreRules";
 
 /* ─── Intensity calculation ─────────────────────────────────────────────── */
 
-const DIFFICULTY_WEIGHT = { easy: 1, medium: 2, hard: 3 };
-
 /**
  * Return an intensity level 0–4 for a heatmap cell.
  * Encodes both difficulty and score, not just score alone.
@@ -14,6 +14,7 @@
  *   - Gap of one day: streak resets to 0
  *   - Empty history: both return 0
  *   - Out-of-order records: sorted before processing
+ *   - Archive replays live in localDB.archive and never count toward streaks
  */
 
 import dayjs from "dayjs";
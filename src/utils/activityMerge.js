@@ -0,0 +1,148 @@
+/**
+ * activityMerge.js
+ * src/utils/activityMerge.js
+ *
+ * Conflict rules for two copies of the same record — the local Dexie one
+ * and the cloud one under activities/{uid}/. Pure and deterministic, so
+ * every device settles on the same record.
+ *
+ * Activities (days/{date}):
+ *   solved      — solved beats unsolved
+ *   result      — score / timeTaken / difficulty / puzzleType / puzzleSeed /
+ *                 generatorVersion / hintsUsed come from the solved copy; when both
+ *                 (or neither) are solved, from the one created first; then from
+ *                 the one with the larger value in the first of those fields
+ *                 that differs
+ *   attempts    — the larger count
+ *   createdAt   — the earliest
+ *
+ * Hint usage (hints/{date}):   hintsUsed and budget — the larger; levels —
+ *                              the union, each at its earliest usedAt
+ * Achievements (achievements/{id}): unlockedAt — the earliest
+ */
+
+const RESULT_FIELDS = [
+  "score",
+  "timeTaken",
+  "difficulty",
+  "puzzleType",
+  "puzzleSeed",
+  "generatorVersion",
+  "hintsUsed",
+];
+
+// Only fields both sides actually track are compared or copied
+export const SYNCED_FIELDS = ["date", "uid", "solved", "attempts", "createdAt", ...RESULT_FIELDS];
+
+function earliest(a, b) {
+  if (!Number.isFinite(a)) return Number.isFinite(b) ? b : null;
+  if (!Number.isFinite(b)) return a;
+  return Math.min(a, b);
+}
+
+// Same order on every device; missing values sort first
+function compareValues(x, y) {
+  if ((x ?? null) === (y ?? null)) return 0;
+  if (x === null || x === undefined) return -1;
+  if (y === null || y === undefined) return 1;
+  if (typeof x === "number" && typeof y === "number") return x - y;
+  return String(x) < String(y) ? -1 : String(x) > String(y) ? 1 : 0;
+}
+
+// Which copy supplies the result fields: the solved one, else the older,
+// else field by field the larger value (score first). Never anything
+// timing-dependent, and never which side is local, so both devices agree.
+function resultSource(a, b) {
+  if (Boolean(a.solved) !== Boolean(b.solved)) return a.solved ? a : b;
+  const aCreated = a.createdAt ?? Infinity;
+  const bCreated = b.createdAt ?? Infinity;
+  if (aCreated !== bCreated) return bCreated < aCreated ? b : a;
+
+  for (const field of RESULT_FIELDS) {
+    const order = compareValues(a[field], b[field]);
+    if (order !== 0) return order > 0 ? a : b;
+  }
+  return a; // identical results, so either copy gives the same fields
+}
+
+/**
+ * Merge two copies of one day's activity.
+ *
+ * @param   {object|null} local   — Dexie record
+ * @param   {object|null} remote  — cloud record
+ * @returns {object|null} merged record (synced fields only; no `synced` flag)
+ */
+export function mergeActivity(local, remote) {
+  if (!local || !remote) {
+    const only = local ?? remote;
+    return only ? pickSynced(only) : null;
+  }
+
+  const source = resultSource(local, remote);
+  const merged = {
+    date:      String(local.date),
+    uid:       remote.uid || local.uid || "",
+    solved:    Boolean(local.solved || remote.solved),
+    attempts:  Math.max(local.attempts ?? 1, remote.attempts ?? 1),
+    createdAt: earliest(local.createdAt, remote.createdAt),
+  };
+  RESULT_FIELDS.forEach((field) => {
+    merged[field] = source[field] ?? (source === local ? remote : local)[field] ?? null;
+  });
+
+  return merged;
+}
+
+/**
+ * True when `a` and `b` agree on every synced field.
+ *
+ * @param   {object} a
+ * @param   {object} b
+ * @returns {boolean}
+ */
+export function sameActivity(a, b) {
+  return SYNCED_FIELDS.every((field) => (a?.[field] ?? null) === (b?.[field] ?? null));
+}
+
+/**
+ * Merge two copies of one day's hint usage.
+ *
+ * @param   {object|null} local
+ * @param   {object|null} remote
+ * @returns {object|null} { date, difficulty, hintsUsed, budget, levels }
+ */
+export function mergeHintUsage(local, remote) {
+  if (!local && !remote) return null;
+
+  const levels = {};
+  [...(local?.levels ?? []), ...(remote?.levels ?? [])].forEach(({ level, usedAt }) => {
+    levels[level] = { level, usedAt: earliest(levels[level]?.usedAt, usedAt) };
+  });
+
+  return {
+    date:       String((local ?? remote).date),
+    difficulty: local?.difficulty ?? remote?.difficulty ?? null,
+    hintsUsed:  Math.max(local?.hintsUsed ?? 0, remote?.hintsUsed ?? 0),
+    budget:     Math.max(local?.budget ?? 0, remote?.budget ?? 0),
+    levels:     Object.values(levels).sort((a, b) => a.level - b.level),
+  };
+}
+
+/**
+ * Merge two copies of one unlocked achievement.
+ *
+ * @param   {object|null} local
+ * @param   {object|null} remote
+ * @returns {object|null} { id, unlockedAt }
+ */
+export function mergeAchievement(local, remote) {
+  if (!local && !remote) return null;
+  return {
+    id:         String((local ?? remote).id),
+    unlockedAt: earliest(local?.unlockedAt, remote?.unlockedAt),
+  };
+}
+
+function pickSynced(record) {
+  return Object.fromEntries(SYNCED_FIELDS.map((field) => [field, record[field] ?? null]));
+}
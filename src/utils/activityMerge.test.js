@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { mergeActivity, sameActivity, mergeHintUsage, mergeAchievement } from "./activityMerge.js";
+
+const day = {
+  date: "2025-03-01",
+  uid: "ada",
+  solved: true,
+  score: 80,
+  timeTaken: 20,
+  difficulty: "medium",
+  puzzleType: "sequence",
+  puzzleSeed: "2025-03-01",
+  generatorVersion: 2,
+  hintsUsed: 0,
+  attempts: 1,
+  createdAt: 1000,
+};
+
+// Both directions, as the two devices would run it
+function mergeBothWays(a, b) {
+  const merged = mergeActivity(a, b);
+  expect(mergeActivity(b, a)).toEqual(merged);
+  return merged;
+}
+
+describe("mergeActivity", () => {
+  it("takes the result from the solved copy", () => {
+    const unsolved = { ...day, solved: false, score: 0, timeTaken: 0, createdAt: 500 };
+    const merged = mergeBothWays(day, unsolved);
+
+    expect(merged).toMatchObject({ solved: true, score: 80, timeTaken: 20, createdAt: 500 });
+  });
+
+  it("takes the result from the older copy when both are solved", () => {
+    const later = { ...day, score: 95, timeTaken: 5, createdAt: 2000 };
+    expect(mergeBothWays(day, later).score).toBe(80);
+  });
+
+  it("keeps the larger attempt count and the earliest createdAt", () => {
+    const other = { ...day, attempts: 3, createdAt: 900 };
+    expect(mergeBothWays(day, other)).toMatchObject({ attempts: 3, createdAt: 900 });
+  });
+
+  it("breaks a full tie on the result fields, whichever side is local", () => {
+    expect(mergeBothWays(day, { ...day, score: 85, timeTaken: 15 }).score).toBe(85);
+    expect(mergeBothWays(day, { ...day, timeTaken: 21 }).timeTaken).toBe(21);
+    expect(mergeBothWays(day, { ...day, puzzleType: "matrix" }).puzzleType).toBe("sequence");
+    expect(mergeBothWays(day, { ...day, hintsUsed: 2 }).hintsUsed).toBe(2);
+  });
+
+  it("breaks a tie between copies without createdAt the same way", () => {
+    const a = { ...day, createdAt: undefined, puzzleSeed: "a" };
+    const b = { ...day, createdAt: undefined, puzzleSeed: "b" };
+    expect(mergeBothWays(a, b).puzzleSeed).toBe("b");
+  });
+
+  it("fills result fields the winning copy lacks from the other", () => {
+    const old = { ...day, createdAt: 500, generatorVersion: undefined };
+    expect(mergeBothWays(day, old)).toMatchObject({ createdAt: 500, generatorVersion: 2 });
+  });
+
+  it("returns the single copy when only one exists", () => {
+    expect(mergeActivity(null, day)).toEqual(mergeActivity(day, null));
+    expect(sameActivity(mergeActivity(day, null), day)).toBe(true);
+    expect(mergeActivity(null, null)).toBeNull();
+  });
+});
+
+describe("mergeHintUsage", () => {
+  it("keeps the larger counts and each level at its earliest use", () => {
+    const local  = { date: "2025-03-01", difficulty: "hard", hintsUsed: 1, budget: 3, levels: [{ level: 1, usedAt: 50 }] };
+    const remote = { date: "2025-03-01", difficulty: "hard", hintsUsed: 2, budget: 3, levels: [{ level: 1, usedAt: 40 }, { level: 2, usedAt: 60 }] };
+
+    expect(mergeHintUsage(local, remote)).toEqual({
+      date: "2025-03-01",
+      difficulty: "hard",
+      hintsUsed: 2,
+      budget: 3,
+      levels: [{ level: 1, usedAt: 40 }, { level: 2, usedAt: 60 }],
+    });
+  });
+});
+
+describe("mergeAchievement", () => {
+  it("keeps the earliest unlock", () => {
+    expect(mergeAchievement({ id: "streak_7", unlockedAt: 200 }, { id: "streak_7", unlockedAt: 100 }))
+      .toEqual({ id: "streak_7", unlockedAt: 100 });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * dbMigrations.js
+ * src/utils/dbMigrations.js
+ *
+ * Non-destructive Dexie upgrades. A version that reshapes existing records
+ * declares a migration — { tables, transform } — and passes it through
+ * migrateInPlace(), which:
+ *   1. snapshots every table the transform writes into `migrationBackups`
+ *   2. runs the transform inside the upgrade transaction
+ *   3. if the transform throws, puts the snapshots back, marks them
+ *      "rolledBack" and lets the upgrade finish — the app opens on the
+ *      pre-migration records instead of refusing to open the database
+ *
+ * A rolled-back migration is not forgotten: resumeMigrations(), run each
+ * time the database opens, retries it in a normal transaction until it
+ * applies. Transforms must therefore be safe to run again, including over
+ * records written since the failed upgrade. If IndexedDB itself aborts the
+ * upgrade (quota, closed tab) nothing is committed and the database stays
+ * on its old version untouched, so the next open simply upgrades again.
+ *
+ * Backup record:
+ * {
+ *   id:      string   — "<version>:<table>"
+ *   version: number
+ *   table:   string
+ *   records: object[] — the table exactly as it was before the transform
+ *   status:  "pending" | "applied" | "rolledBack"
+ *   error:   string|null — why the last attempt failed
+ *   takenAt: number   — Unix ms
+ * }
+ *
+ * Applied snapshots are kept for BACKUP_RETENTION_MS for manual recovery,
+ * then pruned; rolled-back ones stay until their retry succeeds.
+ *
+ * Every schema version from v4 on declares the backup table, since an
+ * upgrade can only write to tables in its own version's schema.
+ */
+
+export const BACKUP_TABLE = "migrationBackups";
+
+export const BACKUP_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+const backupId = (version, table) => `${version}:${table}`;
+
+/**
+ * Build a Dexie `.upgrade()` callback that transforms records in place,
+ * with a backup taken first and a rollback on failure.
+ *
+ * @param   {number} version — the schema version being upgraded to
+ * @param   {{ tables: string[], transform: (tx: object) => Promise|void }} migration
+ *          tables — every table `transform` writes
+ * @returns {(tx: object) => Promise<void>}
+ */
+export function migrateInPlace(version, { tables, transform }) {
+  return async (tx) => {
+    const backups   = tx.table(BACKUP_TABLE);
+    const snapshots = {};
+
+    for (const name of tables) {
+      snapshots[name] = await tx.table(name).toArray();
+      await backups.put({
+        id:      backupId(version, name),
+        version,
+        table:   name,
+        records: snapshots[name],
+        status:  "pending",
+        error:   null,
+        takenAt: Date.now(),
+      });
+    }
+
+    try {
+      await transform(tx);
+    } catch (err) {
+      for (const name of tables) {
+        await tx.table(name).clear();
+        await tx.table(name).bulkPut(snapshots[name]);
+        await backups.update(backupId(version, name), { status: "rolledBack", error: err.message });
+      }
+      return;
+    }
+
+    for (const name of tables) {
+      await backups.update(backupId(version, name), { status: "applied" });
+    }
+  };
+}
+
+/**
+ * Retry every rolled-back migration, oldest version first, then prune
+ * expired snapshots. A retry that throws changes nothing (its transaction
+ * aborts) and leaves the error on the backup for the next open.
+ *
+ * @param   {object} db — the Dexie database
+ * @param   {{ [version: number]: { tables: string[], transform: Function } }} migrations
+ * @param   {number} [now]
+ * @returns {Promise<number[]>} versions that applied this time
+ */
+export async function resumeMigrations(db, migrations, now = Date.now()) {
+  const backups    = db.table(BACKUP_TABLE);
+  const rolledBack = await backups.filter((b) => b.status === "rolledBack").toArray();
+  const versions   = [...new Set(rolledBack.map((b) => b.version))].sort((a, b) => a - b);
+  const applied    = [];
+
+  for (const version of versions) {
+    const migration = migrations[version];
+    if (!migration) continue;
+
+    const ids = migration.tables.map((name) => backupId(version, name));
+    try {
+      await db.transaction("rw", [...migration.tables, BACKUP_TABLE], async (tx) => {
+        await migration.transform(tx);
+        for (const id of ids) {
+          await tx.table(BACKUP_TABLE).update(id, { status: "applied", error: null });
+        }
+      });
+      applied.push(version);
+    } catch (err) {
+      await backups.where("id").anyOf(ids).modify({ error: err.message });
+    }
+  }
+
+  await pruneBackups(db, now);
+  return applied;
+}
+
+/**
+ * Delete applied snapshots older than BACKUP_RETENTION_MS.
+ *
+ * @param   {object} db
+ * @param   {number} [now]
+ * @returns {Promise<number>} how many were deleted
+ */
+export function pruneBackups(db, now = Date.now()) {
+  return db.table(BACKUP_TABLE)
+    .filter((b) => b.status === "applied" && b.takenAt < now - BACKUP_RETENTION_MS)
+    .delete();
+}
+
+/**
+ * Rewrite every record of one table with `fn`, which mutates the record
+ * it is given (Dexie's Collection.modify).
+ *
+ * @param   {object} tx
+ * @param   {string} table
+ * @param   {(record: object) => void} fn
+ * @returns {Promise<number>} how many records were rewritten
+ */
+export function modifyAll(tx, table, fn) {
+  return tx.table(table).toCollection().modify(fn);
+}
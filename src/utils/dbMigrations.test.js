@@ -0,0 +1,141 @@
+import "fake-indexeddb/auto";
+import { describe, it, expect, beforeEach } from "vitest";
+import Dexie from "dexie";
+import { localDB } from "../db.js";
+import {
+  BACKUP_TABLE,
+  BACKUP_RETENTION_MS,
+  migrateInPlace,
+  resumeMigrations,
+  pruneBackups,
+  modifyAll,
+} from "./dbMigrations.js";
+
+// Write `records` into a DailyPuzzleDB at an old schema version, the way an
+// older release of the app left it, then let localDB upgrade it
+async function openFrom(version, stores, records) {
+  localDB.close();
+  await Dexie.delete("DailyPuzzleDB");
+
+  const old = new Dexie("DailyPuzzleDB");
+  old.version(version).stores(stores);
+  await old.table("activities").bulkPut(records);
+  old.close();
+
+  await localDB.open();
+}
+
+describe("v4 — boolean synced to 0/1", () => {
+  it("rewrites each record in place and fills in the v3 fields", async () => {
+    await openFrom(3, { activities: "date, uid, synced" }, [
+      { date: "2024-01-01", score: 80, solved: true, synced: true },
+      { date: "2024-01-02", score: 70, solved: true, synced: false, uid: "ada", attempts: 2, createdAt: 5 },
+    ]);
+
+    const [first, second] = await localDB.activities.orderBy("date").toArray();
+    expect(first).toMatchObject({ score: 80, synced: 1, uid: "", attempts: 1 });
+    expect(first.createdAt).toEqual(expect.any(Number));
+    expect(second).toMatchObject({ score: 70, synced: 0, uid: "ada", attempts: 2, createdAt: 5 });
+
+    // The index query the boolean broke now finds the unsynced record
+    expect(await localDB.activities.where("synced").equals(0).primaryKeys()).toEqual(["2024-01-02"]);
+    expect(await localDB.table(BACKUP_TABLE).get("4:activities")).toMatchObject({
+      status:  "applied",
+      records: [{ date: "2024-01-01", synced: true }, { date: "2024-01-02", synced: false }],
+    });
+  });
+});
+
+describe("v8 — hintsUsed backfill", () => {
+  it("sets hintsUsed to 0 where missing and keeps recorded counts", async () => {
+    await openFrom(7, {
+      activities:     "date, uid, synced",
+      archive:        "date",
+      outbox:         "++id, [kind+key], uid",
+      achievements:   "id, synced",
+      [BACKUP_TABLE]: "id",
+    }, [
+      { date: "2024-02-01", uid: "ada", synced: 1, attempts: 1, createdAt: 1 },
+      { date: "2024-02-02", uid: "ada", synced: 0, attempts: 1, createdAt: 2, hintsUsed: 2 },
+    ]);
+
+    const activities = await localDB.activities.orderBy("date").toArray();
+    expect(activities.map((a) => a.hintsUsed)).toEqual([0, 2]);
+    expect((await localDB.table(BACKUP_TABLE).get("8:activities")).status).toBe("applied");
+  });
+});
+
+describe("rollback", () => {
+  let failing;
+  const migrations = {
+    2: {
+      tables: ["items"],
+      transform: (tx) => modifyAll(tx, "items", (item) => {
+        item.value *= 10;
+        if (failing) throw new Error("transform broke");
+      }),
+    },
+  };
+
+  function openTestDb() {
+    const db = new Dexie("MigrationRollbackTest");
+    db.version(1).stores({ items: "id" });
+    db.version(2).stores({ items: "id", [BACKUP_TABLE]: "id" }).upgrade(migrateInPlace(2, migrations[2]));
+    db.on("ready", () => resumeMigrations(db, migrations));
+    return db;
+  }
+
+  beforeEach(async () => {
+    await Dexie.delete("MigrationRollbackTest");
+    const v1 = new Dexie("MigrationRollbackTest");
+    v1.version(1).stores({ items: "id" });
+    await v1.table("items").bulkPut([{ id: 1, value: 1 }, { id: 2, value: 2 }]);
+    v1.close();
+  });
+
+  it("restores the snapshot when the transform throws and retries on the next open", async () => {
+    failing = true;
+    const db = openTestDb();
+    await db.open();
+
+    expect(await db.table("items").toArray()).toEqual([{ id: 1, value: 1 }, { id: 2, value: 2 }]);
+    expect(db.verno).toBe(2);
+    expect(await db.table(BACKUP_TABLE).get("2:items")).toMatchObject({
+      status: "rolledBack",
+      error:  "transform broke",
+    });
+    db.close();
+
+    // Still failing: nothing changes, the error is kept
+    const again = openTestDb();
+    await again.open();
+    expect(await again.table("items").toArray()).toEqual([{ id: 1, value: 1 }, { id: 2, value: 2 }]);
+    expect((await again.table(BACKUP_TABLE).get("2:items")).status).toBe("rolledBack");
+    again.close();
+
+    // Fixed: the next open applies it
+    failing = false;
+    const fixed = openTestDb();
+    await fixed.open();
+    expect(await fixed.table("items").toArray()).toEqual([{ id: 1, value: 10 }, { id: 2, value: 20 }]);
+    expect(await fixed.table(BACKUP_TABLE).get("2:items")).toMatchObject({ status: "applied", error: null });
+    fixed.close();
+  });
+});
+
+describe("pruneBackups", () => {
+  it("drops applied snapshots past the retention period only", async () => {
+    await localDB.open();
+    const backups = localDB.table(BACKUP_TABLE);
+    const now = Date.now();
+    await backups.clear();
+    await backups.bulkPut([
+      { id: "1:old",     status: "applied",    takenAt: now - BACKUP_RETENTION_MS - 1 },
+      { id: "2:recent",  status: "applied",    takenAt: now - 1000 },
+      { id: "3:stalled", status: "rolledBack", takenAt: now - BACKUP_RETENTION_MS - 1 },
+    ]);
+
+    expect(await pruneBackups(localDB, now)).toBe(1);
+    expect(await backups.toCollection().primaryKeys()).toEqual(["2:recent", "3:stalled"]);
+  });
+});
@@ -6,7 +6,19 @@
  *
  * Collections:
  *   - activities/{uid}/days/{date}   — per-user daily activity
- *   - leaderboard/{uid}              — aggregated score per user
+ *   - activities/{uid}/hints/{date}  — hints used on that day's puzzle
+ *   - activities/{uid}/achievements/{id}
+ *                                    — unlocked achievements + unlock time
+ *   - leaderboard/{uid}              — best score per user (+ lastDate and
+ *                                      the last accepted result)
+ *   - leaderboards/{boardKey}/entries/{uid}
+ *                                    — day/week/month/all-time totals, overall
+ *                                      and per difficulty bracket, mirroring
+ *                                      GET /leaderboard
+ *
+ * Access is enforced by firestore.rules in the repo root. The two
+ * leaderboard collections are read-only here: the server writes them
+ * (server/firestore.js), since only it can verify a result's signature.
  */
 
 import {
@@ -18,9 +30,15 @@ import {
   query,
   orderBy,
   limit,
+  where,
+  getCountFromServer,
   serverTimestamp,
 } from "firebase/firestore";
 import { db as firestore } from "../firebase"; // Firestore instance
+import { boardKey } from "./leaderboardPeriods";
+import { postSignedScore } from "./puzzleApi";
+
+const API_URL = import.meta.env?.VITE_API_URL ?? null;
 
 /**
  * Sync a single activity to Firestore.
@@ -47,6 +65,11 @@ export const syncActivityToFirestore = async (uid, activity) => {
       solved: activity.solved ?? false,
       attempts: activity.attempts ?? 1,
       puzzleSeed: activity.puzzleSeed || "",
+      puzzleType: activity.puzzleType ?? null,
+      generatorVersion: activity.generatorVersion ?? null,
+      hintsUsed: activity.hintsUsed ?? 0,
+      // Earliest createdAt wins when devices merge (activityMerge.js)
+      createdAt: activity.createdAt ?? null,
       updatedAt: serverTimestamp(),
     },
     { merge: true } // safe upsert — won't overwrite unrelated fields
@@ -66,6 +89,96 @@ export const getActivityFromFirestore = async (uid, date) => {
   return snap.exists() ? snap.data() : null;
 };
 
+/**
+ * Read a whole per-user subcollection, dropping Firestore-only fields
+ * (updatedAt) and putting the document id in `idField`.
+ */
+const getAllFromUserCollection = async (uid, name, idField) => {
+  if (!uid) return [];
+
+  const snap = await getDocs(collection(firestore, "activities", uid, name));
+  return snap.docs.map((d) => {
+    const data = d.data();
+    delete data.updatedAt;
+    return { ...data, [idField]: d.id };
+  });
+};
+
+/**
+ * Fetch every day a user has in Firestore, for pulling history onto a
+ * new device.
+ *
+ * @param   {string} uid - Firebase Auth UID
+ * @returns {object[]}   - activity objects matching our schema
+ */
+export const getAllActivitiesFromFirestore = (uid) =>
+  getAllFromUserCollection(uid, "days", "date");
+
+/**
+ * Sync one day's hint usage to Firestore.
+ *
+ * @param {string} uid   - Firebase Auth UID
+ * @param {object} usage - { date, difficulty, hintsUsed, budget, levels }
+ */
+export const syncHintUsageToFirestore = async (uid, usage) => {
+  if (!uid || !usage?.date) {
+    throw new Error("syncHintUsageToFirestore: uid and usage.date are required.");
+  }
+
+  await setDoc(
+    doc(firestore, "activities", uid, "hints", usage.date),
+    {
+      date: usage.date,
+      difficulty: usage.difficulty ?? null,
+      hintsUsed: usage.hintsUsed ?? 0,
+      budget: usage.budget ?? 0,
+      levels: usage.levels ?? [],
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+};
+
+/**
+ * Fetch every day's hint usage for a user.
+ *
+ * @param   {string} uid - Firebase Auth UID
+ * @returns {object[]}
+ */
+export const getAllHintUsageFromFirestore = (uid) =>
+  getAllFromUserCollection(uid, "hints", "date");
+
+/**
+ * Sync one unlocked achievement to Firestore.
+ *
+ * @param {string} uid         - Firebase Auth UID
+ * @param {object} achievement - { id, unlockedAt }
+ */
+export const syncAchievementToFirestore = async (uid, achievement) => {
+  if (!uid || !achievement?.id) {
+    throw new Error("syncAchievementToFirestore: uid and achievement.id are required.");
+  }
+
+  await setDoc(
+    doc(firestore, "activities", uid, "achievements", achievement.id),
+    {
+      id: achievement.id,
+      unlockedAt: achievement.unlockedAt,
+      updatedAt: serverTimestamp(),
+    },
+    { merge: true }
+  );
+};
+
+/**
+ * Fetch every achievement a user has unlocked.
+ *
+ * @param   {string} uid - Firebase Auth UID
+ * @returns {object[]}
+ */
+export const getAllAchievementsFromFirestore = (uid) =>
+  getAllFromUserCollection(uid, "achievements", "id");
+
 /**
  * Sync multiple unsynced activities to Firestore in parallel.
  * Returns array of successfully synced dates.
@@ -97,45 +210,64 @@ export const bulkSyncToFirestore = async (uid, activities) => {
 };
 
 /**
- * Update the leaderboard entry for a user.
- * Only updates if the new score is higher than the existing one.
+ * Submit a score to the Firestore leaderboards: leaderboard/{uid} and every
+ * period board the puzzle date falls in, overall and for its difficulty
+ * bracket.
+ *
+ * firestore.rules let clients only read those collections, so the server
+ * writes them with the Admin SDK (POST /leaderboard/firestore) once it has
+ * checked the result's signature, scoreRules.js and that the puzzle date is
+ * after the last one ranked. A refusal — e.g. `duplicate_submission` for a
+ * repeat or `stale_submission` for an older date — throws with
+ * code "score_rejected" and the reasons, and is logged server-side.
+ * A no-op without VITE_API_URL.
  *
  * @param {string} uid          - Firebase Auth UID
  * @param {string} displayName  - User's display name
- * @param {number} score        - Score to potentially record
+ * @param {{ result: object, signature: string }} signed - Verified result
  */
-export const updateLeaderboard = async (uid, displayName, score) => {
-  if (!uid) return;
-
-  const ref = doc(firestore, "leaderboard", uid);
-  const snap = await getDoc(ref);
-
-  const existing = snap.exists() ? snap.data() : null;
-
-  // Only update if this is a new high score
-  if (!existing || score > (existing.score ?? 0)) {
-    await setDoc(ref, {
-      uid,
-      name: displayName || "Anonymous",
-      score,
-      updatedAt: serverTimestamp(),
-    });
+export const updateLeaderboard = async (uid, displayName, signed) => {
+  if (!API_URL || !uid) return;
+  if (!signed?.signature || signed.result?.uid !== uid) {
+    throw new Error("updateLeaderboard: a server-signed result for this user is required.");
   }
+
+  await postSignedScore("/leaderboard/firestore", uid, displayName, signed);
 };
 
 /**
- * Fetch top leaderboard entries.
+ * Fetch one period board plus the caller's own rank, ranked by rating.
+ * Same shape as GET /leaderboard on the server.
  *
- * @param {number} topN - Number of entries to fetch (default: 10)
- * @returns {object[]}  - Sorted leaderboard array
+ * @param {object} options
+ * @param {"day"|"week"|"month"|"all"} [options.period] - Default "all"
+ * @param {string} [options.date]        - Puzzle date inside the period
+ * @param {"easy"|"medium"|"hard"} [options.difficulty] - Bracket, default all
+ * @param {string} [options.uid]         - Caller, for the `you` row
+ * @param {number} [options.topN]        - Number of entries to fetch (default: 10)
+ * @returns {{ entries: object[], you: object|null }}
  */
-export const fetchLeaderboard = async (topN = 10) => {
-  const q = query(
-    collection(firestore, "leaderboard"),
-    orderBy("score", "desc"),
-    limit(topN)
-  );
+export const fetchLeaderboard = async ({ period = "all", date, difficulty = null, uid, topN = 10 } = {}) => {
+  const entriesRef = collection(firestore, "leaderboards", boardKey(period, date, difficulty), "entries");
+
+  const snap = await getDocs(query(entriesRef, orderBy("rating", "desc"), limit(topN)));
+
+  // Ties share a rank, like RANK() on the server
+  let rank = 0;
+  const entries = snap.docs.map((d, i, all) => {
+    const entry = d.data();
+    if (i === 0 || entry.rating !== all[i - 1].data().rating) rank = i + 1;
+    return { ...entry, rank };
+  });
+
+  let you = entries.find((e) => e.uid === uid) ?? null;
+  if (uid && !you) {
+    const mine = await getDoc(doc(entriesRef, uid));
+    if (mine.exists()) {
+      const ahead = await getCountFromServer(query(entriesRef, where("rating", ">", mine.data().rating)));
+      you = { ...mine.data(), rank: ahead.data().count + 1 };
+    }
+  }
 
-  const snap = await getDocs(q);
-  return snap.docs.map((d) => d.data());
+  return { entries, you };
 };
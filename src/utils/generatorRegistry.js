@@ -0,0 +1,100 @@
+/**
+ * generatorRegistry.js
+ * src/utils/generatorRegistry.js
+ *
+ * Frozen, versioned puzzle generators.
+ *
+ * Every saved activity records the `generatorVersion` (and `puzzleType`)
+ * that produced it, so history can be regenerated exactly even after the
+ * generator changes. A registered version must never change its output.
+ *
+ * Versions:
+ *   0 — generators/v0.js: the generator that shipped before versioning
+ *       (sequence and matrix only). Records without a generatorVersion.
+ *   1 — generators/v1.js: rated sequence registry, missing-terms
+ *       sequences, matrix/Latin/KenKen/nonogram types.
+ *   2 — generators/v2.js: interleaved sequences show seven terms, so the
+ *       geometric half has three visible values.
+ *   3 — puzzleGenerator.js (live): KenKen's uniqueness search runs on a
+ *       node budget, so slow-to-prove layouts get extra givens instead of
+ *       stalling generation.
+ *
+ * Every version's output is pinned by golden snapshots
+ * (generatorRegistry.test.js); a snapshot diff means a frozen generator
+ * changed, or the live one changed without a version bump.
+ *
+ * Releasing a new version:
+ *   1. Copy puzzleGenerator.js to generators/v<N>.js, N = the current
+ *      GENERATOR_VERSION, and point entry N here at that copy so its
+ *      output stays frozen.
+ *   2. Make the change in puzzleGenerator.js and bump GENERATOR_VERSION.
+ *   3. Register the new version below and add its snapshots.
+ */
+
+import * as v0 from "./generators/v0.js";
+import * as v1 from "./generators/v1.js";
+import * as v2 from "./generators/v2.js";
+import * as live from "./puzzleGenerator.js";
+
+/* ─── Registry ──────────────────────────────────────────────────────────── */
+
+const entry = (module) => Object.freeze({
+  version:        module.GENERATOR_VERSION,
+  generatePuzzle: module.generatePuzzle,
+  patternKeys:    module.PATTERN_KEYS,
+});
+
+const REGISTRY = Object.freeze({
+  0: entry(v0),
+  1: entry(v1),
+  2: entry(v2),
+  [live.GENERATOR_VERSION]: entry(live),
+});
+
+export const CURRENT_GENERATOR_VERSION = live.GENERATOR_VERSION;
+
+// Records saved before versioning existed were built by the baseline generator
+const LEGACY_GENERATOR_VERSION = 0;
+
+/* ─── Lookup ────────────────────────────────────────────────────────────── */
+
+/**
+ * Registered generator for a version, or null if unknown.
+ *
+ * @param   {number} version
+ * @returns {{ version: number, generatePuzzle: Function, patternKeys: object } | null}
+ */
+export function getGenerator(version) {
+  return REGISTRY[version] ?? null;
+}
+
+/**
+ * The generator version a saved record was played on.
+ *
+ * @param   {object} record — activity or archive record
+ * @returns {number}
+ */
+export function generatorVersionOf(record) {
+  return record?.generatorVersion ?? LEGACY_GENERATOR_VERSION;
+}
+
+/**
+ * Regenerate the puzzle a saved record was played on.
+ * Returns null when the record lacks the type/difficulty needed to pin the
+ * puzzle down, or names a version or type this build cannot replay.
+ *
+ * @param   {object} record  — activity or archive record
+ * @returns {object|null}
+ */
+export function regeneratePuzzle(record) {
+  if (!record?.date || !record.puzzleType || !record.difficulty) return null;
+
+  const version   = generatorVersionOf(record);
+  const generator = getGenerator(version);
+  if (!generator?.patternKeys[record.puzzleType]) {
+    console.warn(`[GeneratorRegistry] Generator v${version} cannot replay ${record.puzzleType} for ${record.date}`);
+    return null;
+  }
+
+  return generator.generatePuzzle(record.date, record.puzzleType, record.difficulty);
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from "vitest";
+import {
+  CURRENT_GENERATOR_VERSION,
+  getGenerator,
+  regeneratePuzzle,
+} from "./generatorRegistry.js";
+import { generatePuzzle } from "./puzzleGenerator.js";
+import { DIFFICULTY } from "./Difficultyengine.js";
+
+// Spread across years, months and weekdays so every seeded branch is hit
+const DATES        = ["2024-01-01", "2025-02-28", "2025-07-15", "2026-10-19"];
+const DIFFICULTIES = Object.values(DIFFICULTY);
+
+// Golden output: a diff here means a frozen generator changed, or the live
+// one changed without bumping GENERATOR_VERSION
+for (let version = 0; version <= CURRENT_GENERATOR_VERSION; version++) {
+  describe(`generator v${version}`, () => {
+    const generator = getGenerator(version);
+
+    for (const type of Object.keys(generator.patternKeys)) {
+      for (const difficulty of DIFFICULTIES) {
+        it(`${type} / ${difficulty}`, () => {
+          const puzzles = DATES.map((date) => generator.generatePuzzle(date, type, difficulty));
+          expect(puzzles).toMatchSnapshot();
+        });
+      }
+    }
+
+    it("throws for a type it does not generate", () => {
+      expect(() => generator.generatePuzzle("2025-01-01", "crossword", "easy")).toThrow(/crossword/);
+    });
+  });
+}
+
+describe("live generator", () => {
+  it("matches the registered current version", () => {
+    const current = getGenerator(CURRENT_GENERATOR_VERSION);
+    for (const type of Object.keys(current.patternKeys)) {
+      for (const date of DATES) {
+        expect(generatePuzzle(date, type, "medium")).toEqual(current.generatePuzzle(date, type, "medium"));
+      }
+    }
+  });
+
+  it("throws for an unknown type", () => {
+    expect(() => generatePuzzle("2025-01-01", "crossword", "easy")).toThrow(/crossword/);
+  });
+});
+
+describe("regeneratePuzzle", () => {
+  it("replays records without a generatorVersion on the baseline generator", () => {
+    const record = { date: "2025-02-28", puzzleType: "sequence", difficulty: "hard" };
+    expect(regeneratePuzzle(record)).toEqual(getGenerator(0).generatePuzzle("2025-02-28", "sequence", "hard"));
+  });
+
+  it("returns null for versions or types it cannot replay", () => {
+    expect(regeneratePuzzle({ date: "2025-02-28", puzzleType: "sequence", difficulty: "easy", generatorVersion: 99 })).toBeNull();
+    expect(regeneratePuzzle({ date: "2025-02-28", puzzleType: "latin", difficulty: "easy" })).toBeNull();
+    expect(regeneratePuzzle({ date: "2025-02-28", difficulty: "easy" })).toBeNull();
+  });
+});
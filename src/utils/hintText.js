@@ -0,0 +1,216 @@
+/**
+ * hintText.js
+ * src/utils/hintText.js
+ *
+ * Sequential hint text for every puzzle type. Pure — no Dexie, no DOM — so
+ * the server can give live-daily hints from its own copy of the puzzle
+ * (POST /puzzle/:date/hint) while archive and challenge play, which hold
+ * the full puzzle, build the same text on-device.
+ *
+ * Hint levels (sequential unlock):
+ *   1 — CONCEPT   : category of pattern (never reveals patternKey raw string)
+ *   2 — DIRECTION : direction of change
+ *   3 — PROXIMITY : warm/cold relative to user's current answer
+ *   4 — BRACKET   : numeric range  [answer-15, answer+15]
+ *
+ * Missing-terms sequences pass arrays for userAnswer/answer; levels 2–4
+ * are then given once per blank.
+ */
+
+/* ─── Hint text ─────────────────────────────────────────────────────────── */
+
+const CONCEPT_MAP = {
+  arithmetic:     "The numbers change by a fixed amount each step.",
+  geometric:      "Each term is multiplied by a constant ratio.",
+  squares:        "The terms are perfect squares of consecutive integers.",
+  fibonacci:      "Each term is the sum of the two terms before it.",
+  alternating:    "The signs alternate while the magnitude grows.",
+  polynomial:     "The differences between terms themselves change — it's quadratic.",
+  triangular:     "The gaps between terms grow by one each step — think of stacking dots into triangles.",
+  cubes:          "The terms are perfect cubes of consecutive integers.",
+  primes:         "Subtract the same number from every term — what's left is a run of primes.",
+  interleaved:    "Two different sequences take turns — look at every other term.",
+  digitsum:       "Each step adds the sum of the previous term's digits.",
+  recurrence:     "Each term is built from the previous two, each scaled by its own multiplier.",
+  factorial:      "Each term is multiplied by a number that grows by one every step.",
+  multiplication: "Each cell is the product of its row and column factors.",
+};
+
+/**
+ * Find the row or column of a square matrix puzzle with the most given cells.
+ * Works for any size — `size` falls back to √(cell count).
+ *
+ * @param   {(number|null)[]} grid — row-major, null = blank
+ * @param   {number}          [size]
+ * @returns {string|null}          — e.g. "row 2", or null if nothing is blank
+ */
+function mostVisibleLine(grid, size) {
+  if (!grid?.length) return null;
+  const n = size ?? Math.round(Math.sqrt(grid.length));
+
+  let best = null;
+  for (let k = 0; k < n; k++) {
+    const row = grid.slice(k * n, k * n + n);
+    const col = Array.from({ length: n }, (_, r) => grid[r * n + k]);
+    for (const [label, cells] of [[`row ${k + 1}`, row], [`column ${k + 1}`, col]]) {
+      const given = cells.filter((c) => c !== null).length;
+      // Only useful if the line still has a blank to fill
+      if (given < n && (!best || given > best.given)) best = { label, given };
+    }
+  }
+  return best?.label ?? null;
+}
+
+export function getHintText({ level, puzzleType, patternKey, userAnswer, answer, correctCount, blankCount, grid, size }) {
+  if (puzzleType === "nonogram") {
+    return [
+      "Each clue lists the runs of shaded cells in that line, in order, with at least one gap between runs.",
+      "Start with lines whose runs plus gaps nearly fill the whole line — the overlap must be shaded.",
+      correctCount > 0
+        ? `Good progress — ${correctCount} of ${blankCount} shaded cells found so far.`
+        : "None of your shaded cells are right yet — begin with the longest clue.",
+      "Cross out cells no run can reach; every mark narrows the lines that cross it.",
+    ][level - 1] ?? "Keep going!";
+  }
+
+  if (puzzleType === "kenken") {
+    return [
+      `Every row and column holds each number from 1 to ${size ?? 4} exactly once.`,
+      "Single-cell cages are free numbers — fill those first, then the two-cell ÷ and − cages.",
+      correctCount > 0
+        ? `Good progress — ${correctCount} of ${blankCount} cells are correct so far.`
+        : "None of your filled cells match yet — check which number pairs can make each cage's target.",
+      "For a × cage, list the factor combinations of the target — usually only one fits the row and column.",
+    ][level - 1] ?? "Keep going!";
+  }
+
+  if (puzzleType === "latin") {
+    const line = mostVisibleLine(grid, size);
+    return [
+      `Every row, column and box holds each number from 1 to ${size ?? 4} exactly once.`,
+      "Look for a row, column or box with only one or two empty cells.",
+      correctCount > 0
+        ? `Good progress — ${correctCount} of ${blankCount} cells are correct so far.`
+        : "None of your filled cells match yet — cross-check each number against its box.",
+      line
+        ? `Start with ${line} — it has the most givens, so the fewest options remain.`
+        : "Pick the empty cell whose row, column and box rule out the most numbers.",
+    ][level - 1] ?? "Keep going!";
+  }
+
+  if (puzzleType === "matrix") {
+    const line = mostVisibleLine(grid, size);
+    return [
+      "Each row and column follows a consistent arithmetic rule.",
+      "Look at two adjacent visible cells in any row or column to find the step.",
+      correctCount > 0
+        ? `Good progress — ${correctCount} of ${blankCount} cells are correct so far.`
+        : "None of your filled cells match yet — try checking the first row.",
+      line
+        ? `Start with ${line} — it has the most visible cells, so its pattern is clearest.`
+        : "Focus on the cell with the most visible neighbours for the clearest pattern.",
+    ][level - 1] ?? "Keep going!";
+  }
+
+  // Missing-terms sequences: levels 2–4 answer for every blank separately
+  if (Array.isArray(answer)) {
+    if (level === 1) {
+      return CONCEPT_MAP[patternKey] ?? "Look for a pattern in how the numbers change.";
+    }
+    return answer
+      .map((ans, k) => `Blank ${k + 1}: ${sequenceHint(level, patternKey, userAnswer?.[k] ?? null, ans, "missing term")}`)
+      .join(" · ");
+  }
+
+  // Sequence hints
+  if (level === 1) {
+    return CONCEPT_MAP[patternKey] ?? "Look for a pattern in how the numbers change.";
+  }
+  return sequenceHint(level, patternKey, userAnswer, answer, "next term");
+}
+
+/**
+ * Levels 2–4 of a sequence hint for one unknown term.
+ *
+ * @param   {number}      level
+ * @param   {string}      patternKey
+ * @param   {number|null} userAnswer
+ * @param   {number}      answer
+ * @param   {string}      term        — how to name the unknown, e.g. "next term"
+ * @returns {string}
+ */
+function sequenceHint(level, patternKey, userAnswer, answer, term) {
+  if (level === 2) {
+    const diff = answer - (userAnswer ?? 0);
+    if (patternKey === "alternating") {
+      return term === "next term"
+        ? "The next term has the opposite sign from the previous one."
+        : "The missing term has the opposite sign from its neighbours.";
+    }
+    return diff > 0 ? `The ${term} is larger than your current answer.` : `The ${term} is smaller than your current answer.`;
+  }
+  if (level === 3) {
+    if (userAnswer === null) return "Enter your best guess first to get a proximity hint.";
+    const delta = Math.abs((userAnswer ?? 0) - answer);
+    if (delta === 0) return term === "next term" ? "Your answer is exactly right — hit submit!" : "Exactly right.";
+    if (delta <= 5)  return `Very warm — you're within 5 of the correct value.`;
+    if (delta <= 20) return `Warm — you're within 20 of the correct value.`;
+    return `Cold — your answer is more than 20 away.`;
+  }
+  if (level === 4) {
+    return `The answer falls between ${answer - 15} and ${answer + 15}.`;
+  }
+  return "Keep going!";
+}
+
+
+/* ─── From a puzzle ─────────────────────────────────────────────────────── */
+
+// Entries arrive as numbers, numeric strings or null (blank / NaN over JSON)
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Hint text for a full (answer-bearing) puzzle and the player's current
+ * entries.
+ *
+ * @param   {object} puzzle
+ * @param   {number} level
+ * @param   {object} [submission] — { answer } | { answers } | { grid }, as
+ *                                  puzzleApi.buildSubmission() shapes it
+ * @returns {string}
+ */
+export function puzzleHint(puzzle, level, submission = {}) {
+  const base = { level, puzzleType: puzzle.type, patternKey: puzzle.patternKey };
+
+  if (puzzle.type === "sequence") {
+    return puzzle.variant === "gaps"
+      ? getHintText({
+          ...base,
+          userAnswer: puzzle.answers.map((_, k) => toNumber(submission.answers?.[k])),
+          answer:     puzzle.answers,
+        })
+      : getHintText({ ...base, userAnswer: toNumber(submission.answer), answer: puzzle.answer });
+  }
+
+  const given = Array.isArray(submission.grid) ? submission.grid : [];
+
+  // Nonogram progress counts shaded cells only — crosses are just notes
+  const toFind = puzzle.type === "nonogram"
+    ? puzzle.solution.map((v, i) => v === 1 && puzzle.grid[i] === null)
+    : puzzle.grid.map((cell) => cell === null);
+  const found = (i) => (puzzle.type === "nonogram"
+    ? toNumber(given[i]) === 1
+    : toNumber(given[i]) === puzzle.solution[i]);
+
+  return getHintText({
+    ...base,
+    correctCount: toFind.filter((open, i) => open && found(i)).length,
+    blankCount:   toFind.filter(Boolean).length,
+    grid:         puzzle.grid,
+    size:         puzzle.size,
+  });
+}
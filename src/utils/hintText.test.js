@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { puzzleHint, getHintText } from "./hintText.js";
+import { generatePuzzle } from "./puzzleGenerator.js";
+
+describe("puzzleHint", () => {
+  it("gives the concept first, whatever the entries", () => {
+    const puzzle = generatePuzzle("2025-01-01", "sequence", "hard");
+    expect(puzzleHint(puzzle, 1, {})).toBe(getHintText({ level: 1, puzzleType: "sequence", patternKey: puzzle.patternKey }));
+  });
+
+  it("rates the current next-term answer", () => {
+    const puzzle = generatePuzzle("2025-01-01", "sequence", "hard");
+    expect(puzzleHint(puzzle, 3, { answer: puzzle.answer })).toMatch(/exactly right/);
+    expect(puzzleHint(puzzle, 3, { answer: null })).toMatch(/best guess/);
+    expect(puzzleHint(puzzle, 4, {})).toContain(String(puzzle.answer - 15));
+  });
+
+  it("hints every blank of a missing-terms puzzle", () => {
+    const puzzle = generatePuzzle("2025-01-22", "sequence", "hard");
+    const text   = puzzleHint(puzzle, 3, { answers: puzzle.answers });
+    expect(text.split(" · ")).toHaveLength(puzzle.answers.length);
+    expect(text).toMatch(/Blank 1: Exactly right/);
+  });
+
+  it("counts correct grid cells from the submission", () => {
+    const puzzle = generatePuzzle("2025-03-01", "latin", "medium");
+    const blanks = puzzle.grid.filter((cell) => cell === null).length;
+    expect(puzzleHint(puzzle, 3, { grid: puzzle.solution })).toContain(`${blanks} of ${blanks}`);
+    expect(puzzleHint(puzzle, 3, { grid: puzzle.grid })).toMatch(/None of your filled cells/);
+  });
+
+  it("counts shaded nonogram cells only", () => {
+    const puzzle = generatePuzzle("2025-03-01", "nonogram", "easy");
+    const toFind = puzzle.solution.filter((v, i) => v === 1 && puzzle.grid[i] === null).length;
+    expect(puzzleHint(puzzle, 3, { grid: puzzle.solution })).toContain(`${toFind} of ${toFind}`);
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * leaderboardPeriods.js
+ * src/utils/leaderboardPeriods.js
+ *
+ * Leaderboard periods, keyed on the puzzle date (not the submit time), so a
+ * score always lands on the board for the day its puzzle belongs to.
+ * Shared by the Express /leaderboard route and the Firestore mirror.
+ *
+ *   day    — that puzzle date only
+ *   week   — Monday–Sunday week containing the date (ISO weeks)
+ *   month  — calendar month containing the date
+ *   all    — every date
+ *
+ * A player's period score is the sum of their daily scores in range, so
+ * weekly and monthly boards reward showing up as well as speed. Boards
+ * rank by the summed difficulty-normalised rating (scoreRules.js), and
+ * each can be narrowed to one difficulty bracket.
+ */
+
+import dayjs from "dayjs";
+
+export const PERIODS = ["day", "week", "month", "all"];
+
+export const BRACKETS = ["easy", "medium", "hard"];
+
+/**
+ * Inclusive date range a period covers.
+ *
+ * @param   {"day"|"week"|"month"|"all"} period
+ * @param   {string} date — "YYYY-MM-DD"
+ * @returns {{ from: string|null, to: string|null }} — nulls for "all"
+ */
+export function periodRange(period, date) {
+  const d = dayjs(date);
+
+  if (period === "day") {
+    return { from: d.format("YYYY-MM-DD"), to: d.format("YYYY-MM-DD") };
+  }
+  if (period === "week") {
+    const monday = d.subtract((d.day() + 6) % 7, "day");
+    return { from: monday.format("YYYY-MM-DD"), to: monday.add(6, "day").format("YYYY-MM-DD") };
+  }
+  if (period === "month") {
+    return { from: d.startOf("month").format("YYYY-MM-DD"), to: d.endOf("month").format("YYYY-MM-DD") };
+  }
+  return { from: null, to: null };
+}
+
+/**
+ * Stable id for one board, e.g. "day-2026-10-19", "week-2026-10-19"
+ * (its Monday), "month-2026-10" or "all". Used as the Firestore document id.
+ *
+ * @param   {"day"|"week"|"month"|"all"} period
+ * @param   {string} date
+ * @returns {string}
+ */
+export function periodKey(period, date) {
+  if (period === "all") return "all";
+  const { from } = periodRange(period, date);
+  return period === "month" ? `month-${from.slice(0, 7)}` : `${period}-${from}`;
+}
+
+/**
+ * Board id for a period, optionally narrowed to one difficulty bracket,
+ * e.g. "week-2026-10-19_hard". Without a bracket it equals periodKey().
+ *
+ * @param   {"day"|"week"|"month"|"all"} period
+ * @param   {string} date
+ * @param   {"easy"|"medium"|"hard"|null} [difficulty]
+ * @returns {string}
+ */
+export function boardKey(period, date, difficulty = null) {
+  const key = periodKey(period, date);
+  return difficulty ? `${key}_${difficulty}` : key;
+}
@@ -0,0 +1,346 @@
+/**
+ * localBackup.js
+ * src/utils/localBackup.js
+ *
+ * Account-free backup of everything in DailyPuzzleDB: export a versioned
+ * JSON bundle (plus a CSV of activities for spreadsheets) and import a
+ * bundle back on any device, merged with the same conflict rules as cloud
+ * sync (activityMerge.js).
+ *
+ * Import is two steps so the player sees what will change first:
+ *   planImport(text)    — parse, validate and diff against Dexie; writes nothing
+ *   applyImport(bundle) — re-diff and write inside one transaction
+ *
+ * Bundle:
+ * {
+ *   format:       "daily-puzzle-export"
+ *   version:      number   — EXPORT_VERSION; bumped when the shape changes
+ *   exportedAt:   number   — Unix ms
+ *   activities:   object[] — db.js activity schema, without `synced`
+ *   archive:      object[] — archive replays, same schema without uid
+ *   hintUsage:    object[] — Hintengine.js records
+ *   achievements: object[] — { id, unlockedAt }
+ *   settings:     object   — reserved; the app keeps no persisted settings yet
+ * }
+ */
+
+import dayjs from "dayjs";
+import { localDB } from "../db";
+import {
+  SYNCED_FIELDS,
+  mergeActivity,
+  mergeHintUsage,
+  mergeAchievement,
+} from "./activityMerge";
+import { DIFFICULTY, PUZZLE_TYPE } from "./Difficultyengine";
+import { enqueueOutbox, flushOutbox } from "./outbox";
+import { bustAnalyticsCache } from "./Advancedanalytics";
+
+export const EXPORT_FORMAT  = "daily-puzzle-export";
+export const EXPORT_VERSION = 1;
+
+export const BACKUP_TABLES = ["activities", "archive", "hintUsage", "achievements"];
+
+const CSV_COLUMNS = [
+  "date",
+  "solved",
+  "score",
+  "timeTaken",
+  "difficulty",
+  "attempts",
+  "hintsUsed",
+  "puzzleType",
+  "puzzleSeed",
+  "generatorVersion",
+  "createdAt",
+];
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ─── Export ────────────────────────────────────────────────────────────── */
+
+// `synced` describes this device's upload state, not the player's data
+function withoutSynced(record) {
+  const copy = { ...record };
+  delete copy.synced;
+  return copy;
+}
+
+/**
+ * Collect every local table into one export bundle.
+ *
+ * @returns {object} bundle (see header)
+ */
+export async function buildExport() {
+  const [activities, archive, hintUsage, achievements] = await Promise.all([
+    localDB.activities.orderBy("date").toArray(),
+    localDB.archive.orderBy("date").toArray(),
+    localDB.hintUsage.toArray(),
+    localDB.achievements.toArray(),
+  ]);
+
+  return {
+    format:       EXPORT_FORMAT,
+    version:      EXPORT_VERSION,
+    exportedAt:   Date.now(),
+    activities:   activities.map(withoutSynced),
+    archive,
+    hintUsage,
+    achievements: achievements.map(withoutSynced),
+    settings:     {},
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per activity, oldest first.
+ *
+ * @param   {object[]} activities
+ * @returns {string}
+ */
+export function activitiesToCsv(activities) {
+  const rows = [...activities]
+    .sort((a, b) => (a.date > b.date ? 1 : -1))
+    .map((a) => CSV_COLUMNS.map((column) => csvCell(a[column])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+function download(filename, type, text) {
+  const url  = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href     = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Build the bundle and save it as daily-puzzle-<date>.json plus
+ * daily-puzzle-<date>.csv.
+ *
+ * @returns {object} counts per table
+ */
+export async function downloadExport() {
+  const bundle = await buildExport();
+  const stamp  = dayjs(bundle.exportedAt).format("YYYY-MM-DD");
+
+  download(`daily-puzzle-${stamp}.json`, "application/json", JSON.stringify(bundle, null, 2));
+  download(`daily-puzzle-${stamp}.csv`, "text/csv", activitiesToCsv(bundle.activities));
+
+  return Object.fromEntries(BACKUP_TABLES.map((table) => [table, bundle[table].length]));
+}
+
+/* ─── Validation ────────────────────────────────────────────────────────── */
+
+const optional = (check) => (v) => v === undefined || v === null || check(v);
+const isCount  = (v) => Number.isInteger(v) && v >= 0;
+const isTime   = (v) => Number.isFinite(v) && v >= 0;
+const isString = (v) => typeof v === "string";
+
+// Mirrors the canonical activity schema in db.js / saveDailyActivity
+const ACTIVITY_RULES = {
+  date:             (v) => isString(v) && DATE_RE.test(v),
+  uid:              optional(isString),
+  score:            optional(isTime),
+  timeTaken:        optional(isTime),
+  difficulty:       optional((v) => Object.values(DIFFICULTY).includes(v)),
+  solved:           optional((v) => typeof v === "boolean"),
+  attempts:         optional((v) => Number.isInteger(v) && v >= 1),
+  puzzleSeed:       optional(isString),
+  puzzleType:       optional((v) => Object.values(PUZZLE_TYPE).includes(v)),
+  generatorVersion: optional(Number.isInteger),
+  hintsUsed:        optional(isCount),
+  createdAt:        optional(isTime),
+};
+
+const HINT_USAGE_RULES = {
+  date:       (v) => isString(v) && v.length > 0,
+  difficulty: optional((v) => Object.values(DIFFICULTY).includes(v)),
+  hintsUsed:  isCount,
+  budget:     optional(isCount),
+  levels:     optional((v) => Array.isArray(v) && v.every((l) => isCount(l?.level) && isTime(l?.usedAt))),
+};
+
+const ACHIEVEMENT_RULES = {
+  id:         (v) => isString(v) && v.length > 0,
+  unlockedAt: isTime,
+};
+
+const TABLE_RULES = {
+  activities:   { rules: ACTIVITY_RULES,    key: "date" },
+  archive:      { rules: ACTIVITY_RULES,    key: "date" },
+  hintUsage:    { rules: HINT_USAGE_RULES,  key: "date" },
+  achievements: { rules: ACHIEVEMENT_RULES, key: "id" },
+};
+
+function badFields(rules, record) {
+  if (!record || typeof record !== "object") return ["record"];
+  return Object.entries(rules)
+    .filter(([field, check]) => !check(record[field]))
+    .map(([field]) => field);
+}
+
+/**
+ * Parse an export file. Throws when the file as a whole is unusable;
+ * individual bad records are returned in `rejected` and skipped.
+ *
+ * @param   {string} text
+ * @returns {{ bundle: object, rejected: object[] }}
+ *          rejected: [{ table, key, fields }] — fields that failed validation
+ */
+export function parseExport(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't valid JSON.");
+  }
+  if (raw?.format !== EXPORT_FORMAT) {
+    throw new Error("This file isn't a Daily Puzzle export.");
+  }
+  if (!Number.isInteger(raw.version) || raw.version > EXPORT_VERSION) {
+    throw new Error("This export was made by a newer version of the app.");
+  }
+
+  const bundle   = { exportedAt: raw.exportedAt ?? null, settings: raw.settings ?? {} };
+  const rejected = [];
+
+  BACKUP_TABLES.forEach((table) => {
+    const { rules, key } = TABLE_RULES[table];
+    const records = Array.isArray(raw[table]) ? raw[table] : [];
+    bundle[table] = records.filter((record) => {
+      const fields = badFields(rules, record);
+      if (fields.length) rejected.push({ table, key: record?.[key] ?? null, fields });
+      return fields.length === 0;
+    });
+  });
+
+  return { bundle, rejected };
+}
+
+/* ─── Diff ──────────────────────────────────────────────────────────────── */
+
+const DIFF_FIELDS = {
+  activities:   SYNCED_FIELDS,
+  archive:      SYNCED_FIELDS.filter((field) => field !== "uid"),
+  hintUsage:    ["difficulty", "hintsUsed", "budget", "levels"],
+  achievements: ["unlockedAt"],
+};
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Activity / archive record as Dexie stores it, with saveDailyActivity's defaults
+function mergedActivity(local, incoming) {
+  const merged = mergeActivity(local, incoming);
+  return {
+    ...local,
+    ...merged,
+    uid:        local?.uid || merged.uid || "",
+    score:      merged.score      ?? 0,
+    timeTaken:  merged.timeTaken  ?? 0,
+    difficulty: merged.difficulty ?? "easy",
+    attempts:   merged.attempts   ?? 1,
+    puzzleSeed: merged.puzzleSeed ?? "",
+    hintsUsed:  merged.hintsUsed  ?? 0,
+    createdAt:  merged.createdAt  ?? Date.now(),
+  };
+}
+
+const MERGERS = {
+  activities: (local, incoming) => ({ ...mergedActivity(local, incoming), synced: 0 }),
+  archive: (local, incoming) => {
+    const record = mergedActivity(local, incoming);
+    delete record.uid;
+    return record;
+  },
+  hintUsage:    (local, incoming) => ({ ...local, ...mergeHintUsage(local, incoming) }),
+  achievements: (local, incoming) => ({ ...mergeAchievement(local, incoming), synced: 0 }),
+};
+
+// Must run inside a transaction over BACKUP_TABLES, or outside any
+async function diffBundle(bundle) {
+  const changes   = Object.fromEntries(BACKUP_TABLES.map((table) => [table, []]));
+  const unchanged = Object.fromEntries(BACKUP_TABLES.map((table) => [table, 0]));
+
+  for (const table of BACKUP_TABLES) {
+    const { key } = TABLE_RULES[table];
+    for (const incoming of bundle[table]) {
+      const local  = await localDB[table].get(incoming[key]);
+      const after  = MERGERS[table](local, incoming);
+      // Compare against the local record as the merge would normalise it
+      const base   = local ? MERGERS[table](local, local) : {};
+      const fields = DIFF_FIELDS[table].filter((field) => !sameValue(base[field], after[field]));
+
+      if (local && fields.length === 0) {
+        unchanged[table] += 1;
+        continue;
+      }
+      changes[table].push({
+        key:    incoming[key],
+        kind:   local ? "update" : "add",
+        fields: local ? fields : [],
+        before: local ?? null,
+        after,
+      });
+    }
+  }
+
+  return { changes, unchanged };
+}
+
+/* ─── Import ────────────────────────────────────────────────────────────── */
+
+/**
+ * Dry run: parse and validate an export file and list what importing it
+ * would add or change. Nothing is written.
+ *
+ * @param   {string} text — contents of an export .json file
+ * @returns {{ bundle, rejected, changes, unchanged, total }}
+ *          changes:   { [table]: [{ key, kind: "add"|"update", fields, before, after }] }
+ *          unchanged: { [table]: number }
+ *          total:     number of records that would be written
+ */
+export async function planImport(text) {
+  const { bundle, rejected } = parseExport(text);
+  const { changes, unchanged } = await diffBundle(bundle);
+  const total = BACKUP_TABLES.reduce((sum, table) => sum + changes[table].length, 0);
+  return { bundle, rejected, changes, unchanged, total };
+}
+
+/**
+ * Write a validated bundle (from planImport) into Dexie. The diff is
+ * recomputed inside the transaction, so anything saved since the dry run
+ * is merged rather than overwritten. Imported activities and achievements
+ * are left unsynced so the next sync uploads them.
+ *
+ * @param   {object} bundle — planImport(...).bundle
+ * @returns {number} how many records were written
+ */
+export async function applyImport(bundle) {
+  const tables = BACKUP_TABLES.map((table) => localDB[table]);
+
+  const changes = await localDB.transaction("rw", tables, async () => {
+    const diff = await diffBundle(bundle);
+    for (const table of BACKUP_TABLES) {
+      await localDB[table].bulkPut(diff.changes[table].map((change) => change.after));
+    }
+    return diff.changes;
+  });
+
+  bustAnalyticsCache();
+
+  // Live-daily hint counts follow the player like DailyPuzzle's own writes
+  const hintDates = changes.hintUsage.map((c) => c.key).filter((key) => DATE_RE.test(key));
+  await Promise.all(hintDates.map((date) => enqueueOutbox("hintUsage", date)));
+  if (hintDates.length) flushOutbox();
+
+  return BACKUP_TABLES.reduce((sum, table) => sum + changes[table].length, 0);
+}
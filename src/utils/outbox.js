@@ -0,0 +1,267 @@
+/**
+ * outbox.js
+ * src/utils/outbox.js
+ *
+ * Durable queue for every cloud write, kept in the Dexie `outbox` table so
+ * pending writes survive reloads and offline stretches.
+ *
+ * Entry:
+ * {
+ *   id:            number  — auto-increment
+ *   kind:          string  — key of HANDLERS below
+ *   key:           string  — one pending entry per kind+key (e.g. the date);
+ *                            enqueueing again replaces the payload
+ *   uid:           string  — user the write belongs to; only flushed while
+ *                            that user is signed in
+ *   payload:       any
+ *   rev:           number  — bumped on every replace, so a write that
+ *                            finishes after a newer enqueue isn't dropped
+ *   attempts:      number
+ *   nextAttemptAt: number  — Unix ms; exponential backoff after failures
+ *   failed:        0 | 1   — gave up after MAX_ATTEMPTS (or a permanent
+ *                            rejection); kept for the status line
+ *   lastError:     string|null
+ *   createdAt:     number
+ * }
+ *
+ * Status (subscribeOutbox): { pending, failed, lastError, lastSuccessAt, flushing }
+ * Failures are reported only through the status (OnlineBanner shows it),
+ * not the console.
+ */
+
+import {
+  localDB,
+  getActivityByDate,
+  markActivitiesSynced,
+  getAchievement,
+  markAchievementsSynced,
+} from "../db";
+import { auth } from "../firebase";
+import {
+  syncActivityToFirestore,
+  syncHintUsageToFirestore,
+  syncAchievementToFirestore,
+  updateLeaderboard,
+} from "./firestoreSync";
+import { updateNeonLeaderboard } from "./Neonsync";
+import { getHintUsage } from "./Hintengine";
+
+export const MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 5 * 1000;
+const MAX_DELAY_MS  = 30 * 60 * 1000;
+
+// Error codes that will never succeed on retry
+const PERMANENT_CODES = ["score_rejected", "validation_failed", "forbidden", "invalid_signature"];
+
+/* ─── Handlers ──────────────────────────────────────────────────────────── */
+
+// A leaderboard retry after a lost response is refused as a duplicate of
+// the submission that did land, so that refusal alone counts as sent
+async function submitScore(submit) {
+  try {
+    await submit();
+  } catch (err) {
+    const reasons = err.reasons ?? [];
+    if (err.code === "score_rejected" && reasons.length === 1 && reasons[0] === "duplicate_submission") return;
+    throw err;
+  }
+}
+
+// (uid, payload, key) → Promise; throw to retry later.
+// Local-record kinds read the record at send time, so the newest state is
+// uploaded however many times it changed while queued.
+const HANDLERS = {
+  activity: async (uid, _payload, date) => {
+    const activity = await getActivityByDate(date);
+    if (activity) await syncActivityToFirestore(uid, { ...activity, uid });
+  },
+  hintUsage: async (uid, _payload, date) => {
+    const usage = await getHintUsage(date);
+    if (usage) await syncHintUsageToFirestore(uid, usage);
+  },
+  achievement: async (uid, _payload, id) => {
+    const achievement = await getAchievement(id);
+    if (achievement) await syncAchievementToFirestore(uid, achievement);
+  },
+  leaderboard:     (uid, { displayName, signed }) =>
+    submitScore(() => updateLeaderboard(uid, displayName, signed)),
+  neonLeaderboard: (uid, { displayName, signed }) =>
+    submitScore(() => updateNeonLeaderboard(uid, displayName, signed)),
+};
+
+const ON_SENT = {
+  activity:    (date) => markActivitiesSynced([date]),
+  achievement: (id) => markAchievementsSynced([id]),
+};
+
+/* ─── Status ────────────────────────────────────────────────────────────── */
+
+let status = { pending: 0, failed: 0, lastError: null, lastSuccessAt: null, flushing: false };
+const listeners = new Set();
+
+function setStatus(patch) {
+  status = { ...status, ...patch };
+  listeners.forEach((listener) => listener(status));
+}
+
+async function refreshCounts() {
+  const entries = await localDB.outbox.toArray();
+  const failed  = entries.filter((e) => e.failed).length;
+  setStatus({ pending: entries.length - failed, failed });
+}
+
+/**
+ * Subscribe to outbox status. The listener is called immediately and on
+ * every change.
+ *
+ * @param   {(status: object) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribeOutbox(listener) {
+  listeners.add(listener);
+  listener(status);
+  refreshCounts().catch(() => {});
+  return () => listeners.delete(listener);
+}
+
+/* ─── Queue ─────────────────────────────────────────────────────────────── */
+
+/**
+ * Queue a cloud write for the signed-in user.
+ *
+ * @param {string} kind          — "activity" | "hintUsage" | "achievement" |
+ *                                 "leaderboard" | "neonLeaderboard"
+ * @param {string} key           — dedupe key: the puzzle date, or the
+ *                                 achievement id
+ * @param {any}    [payload]
+ * @param {object} [options]
+ * @param {boolean} [options.replace] — false leaves an existing entry (and
+ *                                      its backoff) untouched
+ */
+export async function enqueueOutbox(kind, key, payload = null, { replace = true } = {}) {
+  if (!HANDLERS[kind]) throw new Error(`enqueueOutbox: unknown kind "${kind}".`);
+  const uid = auth.currentUser?.uid;
+  if (!uid) return;
+
+  await localDB.transaction("rw", localDB.outbox, async () => {
+    const existing = await localDB.outbox.where("[kind+key]").equals([kind, String(key)]).first();
+    if (existing && !replace) return;
+
+    await localDB.outbox.put({
+      ...existing,
+      kind,
+      key:           String(key),
+      uid,
+      payload,
+      rev:           (existing?.rev ?? 0) + 1,
+      attempts:      0,
+      nextAttemptAt: Date.now(),
+      failed:        0,
+      lastError:     null,
+      createdAt:     existing?.createdAt ?? Date.now(),
+    });
+  });
+  await refreshCounts();
+}
+
+/**
+ * Put every given-up entry back in the queue.
+ */
+export async function retryFailedOutbox() {
+  await localDB.outbox
+    .filter((e) => e.failed === 1)
+    .modify({ failed: 0, attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+  await refreshCounts();
+  return flushOutbox();
+}
+
+/* ─── Flush ─────────────────────────────────────────────────────────────── */
+
+function backoff(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+}
+
+let flushing   = null;
+let retryTimer = null;
+
+async function send(entry) {
+  try {
+    await HANDLERS[entry.kind](entry.uid, entry.payload, entry.key);
+  } catch (err) {
+    const attempts = entry.attempts + 1;
+    const giveUp   = attempts >= MAX_ATTEMPTS || PERMANENT_CODES.includes(err.code);
+    // Only record the failure if no newer enqueue replaced the entry meanwhile
+    await localDB.outbox
+      .where("id").equals(entry.id)
+      .and((e) => e.rev === entry.rev)
+      .modify({
+        attempts,
+        nextAttemptAt: Date.now() + backoff(attempts),
+        failed:        giveUp ? 1 : 0,
+        lastError:     err.message,
+      });
+    setStatus({ lastError: { kind: entry.kind, key: entry.key, message: err.message, at: Date.now() } });
+    return false;
+  }
+
+  const removed = await localDB.outbox
+    .where("id").equals(entry.id)
+    .and((e) => e.rev === entry.rev)
+    .delete();
+  if (removed) await ON_SENT[entry.kind]?.(entry.key);
+  setStatus({ lastSuccessAt: Date.now() });
+  return true;
+}
+
+async function runFlush() {
+  const uid = auth.currentUser?.uid;
+  const result = { sent: 0, failed: 0 };
+  if (!uid || !navigator.onLine) return result;
+
+  setStatus({ flushing: true });
+  try {
+    const now = Date.now();
+    const due = await localDB.outbox
+      .where("uid").equals(uid)
+      .filter((e) => !e.failed && e.nextAttemptAt <= now)
+      .sortBy("id");
+
+    for (const entry of due) {
+      if (await send(entry)) result.sent += 1;
+      else result.failed += 1;
+    }
+
+    // Come back for the next entry still waiting out its backoff
+    const waiting = await localDB.outbox
+      .where("uid").equals(uid)
+      .filter((e) => !e.failed)
+      .toArray();
+    const next = Math.min(...waiting.map((e) => e.nextAttemptAt));
+    clearTimeout(retryTimer);
+    if (Number.isFinite(next)) {
+      retryTimer = setTimeout(() => flushOutbox(), Math.max(next - Date.now(), 1000));
+    }
+  } finally {
+    await refreshCounts();
+    setStatus({ flushing: false });
+  }
+  return result;
+}
+
+/**
+ * Send every due entry for the signed-in user, oldest first. Never throws;
+ * concurrent calls share one run.
+ *
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export function flushOutbox() {
+  if (!flushing) {
+    flushing = runFlush()
+      .catch((err) => {
+        setStatus({ lastError: { kind: "flush", key: null, message: err.message, at: Date.now() } });
+        return { sent: 0, failed: 0 };
+      })
+      .finally(() => { flushing = null; });
+  }
+  return flushing;
+}
@@ -0,0 +1,75 @@
+import "fake-indexeddb/auto";
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { localDB } from "../db.js";
+import { enqueueOutbox, flushOutbox } from "./outbox.js";
+import { updateLeaderboard, syncHintUsageToFirestore } from "./firestoreSync";
+import { useHint } from "./Hintengine.js";
+import { updateNeonLeaderboard } from "./Neonsync";
+
+vi.mock("../firebase", () => ({ auth: { currentUser: { uid: "ada" } }, db: {} }));
+vi.mock("./firestoreSync", () => ({
+  syncActivityToFirestore:    vi.fn(),
+  syncHintUsageToFirestore:   vi.fn(),
+  syncAchievementToFirestore: vi.fn(),
+  updateLeaderboard:          vi.fn(),
+}));
+vi.mock("./Neonsync", () => ({ updateNeonLeaderboard: vi.fn() }));
+
+vi.stubGlobal("navigator", { onLine: true });
+
+const ENTRY = { displayName: "Ada", signed: { result: { uid: "ada", date: "2025-03-01" }, signature: "sig" } };
+
+function rejection(reasons) {
+  const err = new Error(`score refused (${reasons.join(", ")})`);
+  err.code = "score_rejected";
+  err.reasons = reasons;
+  return err;
+}
+
+beforeEach(async () => {
+  await localDB.outbox.clear();
+  vi.mocked(updateLeaderboard).mockReset();
+  vi.mocked(updateNeonLeaderboard).mockReset();
+  vi.mocked(syncHintUsageToFirestore).mockReset();
+});
+
+describe("hintUsage entries", () => {
+  it("push the stored hint usage for the date", async () => {
+    await useHint("2025-03-01", "medium", 2, 1);
+    await enqueueOutbox("hintUsage", "2025-03-01");
+
+    expect(await flushOutbox()).toEqual({ sent: 1, failed: 0 });
+    expect(syncHintUsageToFirestore).toHaveBeenCalledWith(
+      "ada",
+      expect.objectContaining({ date: "2025-03-01", hintsUsed: 1, budget: 2 })
+    );
+  });
+});
+
+describe("leaderboard entries", () => {
+  it("count a duplicate of the same date as sent", async () => {
+    vi.mocked(updateLeaderboard).mockRejectedValue(rejection(["duplicate_submission"]));
+    vi.mocked(updateNeonLeaderboard).mockRejectedValue(rejection(["duplicate_submission"]));
+    await enqueueOutbox("leaderboard", "2025-03-01", ENTRY);
+    await enqueueOutbox("neonLeaderboard", "2025-03-01", ENTRY);
+
+    expect(await flushOutbox()).toEqual({ sent: 2, failed: 0 });
+    expect(await localDB.outbox.count()).toBe(0);
+  });
+
+  it("give up on any other rejection", async () => {
+    vi.mocked(updateLeaderboard).mockRejectedValue(rejection(["score_mismatch", "duplicate_submission"]));
+    await enqueueOutbox("leaderboard", "2025-03-01", ENTRY);
+
+    expect(await flushOutbox()).toEqual({ sent: 0, failed: 1 });
+    expect(await localDB.outbox.toArray()).toMatchObject([{ kind: "leaderboard", failed: 1 }]);
+  });
+
+  it("retry network failures", async () => {
+    vi.mocked(updateLeaderboard).mockRejectedValue(new Error("Failed to fetch"));
+    await enqueueOutbox("leaderboard", "2025-03-01", ENTRY);
+
+    expect(await flushOutbox()).toEqual({ sent: 0, failed: 1 });
+    expect(await localDB.outbox.toArray()).toMatchObject([{ failed: 0, attempts: 1 }]);
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * puzzleApi.js
+ * src/utils/puzzleApi.js
+ *
+ * Client for the Express puzzle routes (server/index.js):
+ *   GET  /puzzle/:date          → answer-free puzzle + signed ticket (start time)
+ *   POST /puzzle/:date/submit   → server-checked answer → signed result
+ *   POST /puzzle/:date/hint     → hint text built from the server's puzzle
+ *
+ * The live daily is played from the answer-free puzzle, so only the server
+ * can say whether an answer is right; its signed result is what
+ * leaderboards accept. Set VITE_API_URL in your .env to enable. Without it,
+ * or offline, every call resolves to null and DailyPuzzle falls back to an
+ * unranked local copy of the puzzle. Callers surface failures themselves.
+ *
+ * The server identifies the player from their Firebase ID token, so calls
+ * made while signed out are refused (and resolve to null here).
+ *
+ * authHeaders() and postSignedScore() are shared with the leaderboard
+ * clients (Neonsync.js, firestoreSync.js).
+ */
+
+import { auth } from "../firebase";
+
+const API_URL = import.meta.env?.VITE_API_URL ?? null;
+
+/* ─── Helpers ───────────────────────────────────────────────────────────── */
+
+/**
+ * Request headers carrying the signed-in player's Firebase ID token, which
+ * every server route except the health check requires.
+ *
+ * @returns {Promise<object>}
+ */
+export async function authHeaders() {
+  const token = await auth.currentUser?.getIdToken();
+  return {
+    "Content-Type": "application/json",
+    ...(token && { Authorization: `Bearer ${token}` }),
+  };
+}
+
+async function request(path, options) {
+  if (!API_URL || !navigator.onLine) return null;
+
+  try {
+    const res = await fetch(`${API_URL}${path}`, {
+      headers: await authHeaders(),
+      ...options,
+    });
+    return res.ok ? await res.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Submit a server-signed result ({ result, signature } from
+ * submitServerPuzzle) to one of the server's leaderboard routes. A refusal
+ * throws with the server's error `code` and `reasons`, which the outbox
+ * uses to tell permanent refusals from failures worth retrying. Callers
+ * check that VITE_API_URL is set.
+ *
+ * @param   {string} path         — e.g. "/leaderboard/scores"
+ * @param   {string} uid
+ * @param   {string} displayName
+ * @param   {{ result: object, signature: string }} signed
+ * @returns {Promise<object>} the route's response body
+ */
+export async function postSignedScore(path, uid, displayName, signed) {
+  const res = await fetch(`${API_URL}${path}`, {
+    method:  "POST",
+    headers: await authHeaders(),
+    body:    JSON.stringify({
+      uid,
+      name:      displayName || "Anonymous",
+      result:    signed.result,
+      signature: signed.signature,
+    }),
+  });
+
+  // Server errors come as { error: { code, message, reasons?, details? } }
+  if (!res.ok) {
+    const { error } = await res.json().catch(() => ({}));
+    const detail = error?.reasons?.join(", ") ?? error?.code ?? res.status;
+    const err = new Error(`${path}: score refused (${detail}).`);
+    err.code = error?.code ?? null;
+    err.reasons = error?.reasons ?? [];
+    throw err;
+  }
+  return res.json();
+}
+
+/**
+ * Shape the player's answer the way the server's checkAnswer() expects.
+ *
+ * @param   {object}   puzzle
+ * @param   {string}   input     — sequence next-term input
+ * @param   {string[]} userGrid  — grid cells, or one entry per blank for gaps
+ * @returns {object}
+ */
+export function buildSubmission(puzzle, input, userGrid) {
+  if (puzzle.variant === "gaps") return { answers: userGrid.map((v) => parseInt(v, 10)) };
+  if (puzzle.type === "sequence") return { answer: parseInt(input, 10) };
+  if (puzzle.type === "nonogram") return { grid: userGrid.map((v) => (v === "1" ? 1 : 0)) };
+  return { grid: userGrid.map((v) => parseInt(v, 10)) };
+}
+
+/* ─── Routes ────────────────────────────────────────────────────────────── */
+
+/**
+ * Fetch a puzzle without its answers and start the server-side clock. The
+ * server keeps one session per player and date: fetching again returns the
+ * first puzzle served, with its clock, attempts and misses, whatever `pick`
+ * says.
+ *
+ * @param   {string} date
+ * @param   {{ type: string, difficulty: string, version: number }} pick
+ * @returns {Promise<{ puzzle: object, ticket: string } | null>}
+ */
+export async function fetchServerPuzzle(date, { type, difficulty, version }) {
+  const params = new URLSearchParams({ type, difficulty, version: String(version) });
+  const data = await request(`/puzzle/${date}?${params}`);
+  return data?.puzzle && data.ticket ? data : null;
+}
+
+/**
+ * Submit an answer for server verification. Wrong answers come back with
+ * a fresh ticket that has the attempt and any missed blanks counted, so
+ * every live-daily attempt goes through here, not just the last one.
+ *
+ * @param   {string} date
+ * @param   {string} ticket
+ * @param   {object} submission — from buildSubmission()
+ * @returns {Promise<{ correct: false, ticket: string, blanks: boolean[]|null }
+ *                  | { correct: true, result: object, signature: string, puzzle: object }
+ *                  | null>}
+ *          — blanks: per-blank results on missing-terms puzzles
+ *          — puzzle: the full puzzle, answers included
+ *          — null when unverified (no server, no ticket, bad ticket, or a
+ *            ticket a later one has replaced)
+ */
+export async function submitServerPuzzle(date, ticket, submission) {
+  if (!ticket) return null;
+
+  return request(`/puzzle/${date}/submit`, {
+    method: "POST",
+    body:   JSON.stringify({ ticket, submission }),
+  });
+}
+
+/**
+ * Ask the server for a hint on the live daily.
+ *
+ * @param   {string} date
+ * @param   {string} ticket
+ * @param   {number} level
+ * @param   {object} submission — from buildSubmission(); the current entries
+ * @returns {Promise<string|null>}
+ */
+export async function requestServerHint(date, ticket, level, submission) {
+  if (!ticket) return null;
+
+  const data = await request(`/puzzle/${date}/hint`, {
+    method: "POST",
+    body:   JSON.stringify({ ticket, level, submission }),
+  });
+  return data?.hint ?? null;
+}
@@ -8,22 +8,44 @@
  * Difficulty decisions are owned by difficultyEngine.js.
  * This file only generates puzzles.
  *
+ * The Express server imports this file too (via generatorRegistry.js), so
+ * its imports carry explicit extensions and difficultyEngine — which needs
+ * Dexie — is only loaded lazily by generateDailyPuzzle().
+ *
  * ─── Sequence Puzzle Types ───────────────────────────────────────────────────
+ *  Data-driven: SEQUENCE_REGISTRY rates each family 1–5 and each difficulty
+ *  tier draws from a rating range (SEQUENCE_TIERS).
  *
- *  EASY
+ *  EASY (rating 1–2)
  *    seq-arithmetic    2, 5, 8, 11, 14, ?       (a + n*d)
  *    seq-geometric     3, 6, 12, 24, 48, ?       (a * r^n)
+ *    seq-triangular    3, 6, 10, 15, 21, ?       (n(n+1)/2)
  *
- *  MEDIUM
+ *  MEDIUM (rating 3)
  *    seq-squares       1, 4, 9, 16, 25, ?        (n²)
  *    seq-fibonacci     2, 3, 5, 8, 13, ?         (a(n) = a(n-1) + a(n-2))
+ *    seq-cubes         8, 27, 64, 125, 216, ?    (n³)
+ *    seq-primes        7, 8, 10, 12, 16, ?       (p(n) + k)
  *
- *  HARD
+ *  HARD (rating 4–5)
  *    seq-alternating   1, -2, 4, -8, 16, ?       (alternating geometric)
  *    seq-polynomial    1, 5, 14, 30, 55, ?        (a + b*n + c*n²)
+ *    seq-interleaved   3, 2, 8, 6, 13, 18, 18, ? (+d and ×r, alternating positions)
+ *    seq-digitsum      23, 28, 38, 49, 62, ?     (a(n) = a(n-1) + digitSum(a(n-1)))
+ *    seq-recurrence    1, 3, 7, 17, 41, ?        (a(n) = p·a(n-1) + q·a(n-2))
+ *    seq-factorial     2, 4, 12, 48, 240, ?      (×2, ×3, ×4, …)
+ *
+ *  MISSING TERMS (any tier, one day in three)
+ *    Same families, but one or two middle terms are hidden instead of the
+ *    next one:  3, ?, 12, ?, 48, 96.  Blank count is capped per family by
+ *    the registry's maxBlanks so the row stays uniquely determined.
  *
  * ─── Matrix Puzzle Types ─────────────────────────────────────────────────────
  *
+ *  Grids are square, size × size, with size scaling by difficulty:
+ *    easy 3×3 or 4×4 · medium 4×4 or 5×5 · hard 5×5 or 6×6
+ *  Cells are stored row-major; `size` travels on the puzzle object.
+ *
  *  EASY
  *    mat-arithmetic    Each row: arithmetic sequence. Each column: arithmetic sequence.
  *                      Rule: cell(r,c) = base + r*rowStep + c*colStep
@@ -36,19 +58,43 @@
  *    mat-polynomial    Row and column interact quadratically.
  *                      Rule: cell(r,c) = base + r*rowStep + c*colStep + r*c*mixStep
  *
+ * ─── Latin Square Puzzle Types ───────────────────────────────────────────────
+ *
+ *  EASY      4×4 mini-Sudoku (2×2 boxes)
+ *  MEDIUM    6×6 mini-Sudoku (2×3 boxes)
+ *  HARD      6×6 mini-Sudoku (2×3 boxes), fewer givens
+ *            Rule: every row, column and box contains 1..size exactly once.
+ *            Givens are removed only while solveLatin() proves uniqueness.
+ *
+ * ─── KenKen (Cage Arithmetic) Puzzle Types ───────────────────────────────────
+ *
+ *  EASY 4×4 · MEDIUM 5×5 · HARD 6×6 (larger cages)
+ *            Rule: 1..size once per row and column; each cage's values
+ *            combine with its operation (+, −, ×, ÷) to hit the target.
+ *            solveKenken() proves every published cage layout is unique.
+ *
+ * ─── Nonogram (Picross) Puzzle Types ─────────────────────────────────────────
+ *
+ *  EASY 5×5 · MEDIUM 8×8 · HARD 10×10 (sparser pictures)
+ *            Rule: shade cells so each row/column's runs match its clue.
+ *            solveNonogram() proves each grid is solvable line by line,
+ *            without guessing.
+ *
  * ─── Determinism ─────────────────────────────────────────────────────────────
  * Every parameter (base, step, pattern type selection) is derived from
  * SHA256(date + salt) → integer. Same date → same puzzle, always.
  *
  * ─── Blank cell selection (matrix puzzles) ───────────────────────────────────
- * Cells are removed using a validity check: a cell is only blanked if the
- * remaining visible cells still uniquely determine the pattern. This prevents
- * under-determined puzzles (multiple valid solutions) at all difficulty levels.
+ * Cells are removed using a constraint solver: solveMatrix() enumerates every
+ * arithmetic, multiplication and polynomial parameterisation that matches the
+ * visible cells, and a cell is only blanked if exactly one completed grid
+ * survives. This prevents under-determined puzzles (multiple valid solutions)
+ * at all difficulty levels, including the four-unknown polynomial family.
  */
 
 import dayjs from "dayjs";
-import SHA256 from "crypto-js/sha256";
-import { getAdaptiveDifficulty } from "./Difficultyengine";
+import SHA256 from "crypto-js/sha256.js";
+import { cageMatches } from "./validator.js";
 
 /* ─── updateUserStats shim ──────────────────────────────────────────────── */
 // Kept as no-op so DailyPuzzle.jsx call sites don't need to change.
@@ -64,7 +110,7 @@ export function updateUserStats(_solved, _timeTaken) {}
  * @param   {string} seedString
  * @returns {number}
  */
-function sr(seedString) {
+export function sr(seedString) {
   const hash = SHA256(seedString).toString();
   return parseInt(hash.substring(0, 8), 16);
 }
@@ -87,20 +133,17 @@ function srRange(seed, min, max) {
 
 /**
  * Select which sequence pattern to use for a given date + difficulty.
- * Returns a string key that maps to a generator function.
+ * Picks uniformly from the registry entries whose rating falls in the
+ * difficulty's tier (see SEQUENCE_TIERS). Returns a registry key.
  *
  * @param   {string} date
  * @param   {"easy"|"medium"|"hard"} difficulty
  * @returns {string}
  */
 function pickSequencePattern(date, difficulty) {
-  const pick = sr(date + "seqpattern") % 2; // 0 or 1
-  const patterns = {
-    easy:   ["arithmetic", "geometric"],
-    medium: ["squares",    "fibonacci"],
-    hard:   ["alternating","polynomial"],
-  };
-  return patterns[difficulty]?.[pick] ?? "arithmetic";
+  const [min, max] = SEQUENCE_TIERS[difficulty] ?? SEQUENCE_TIERS.easy;
+  const pool = SEQUENCE_REGISTRY.filter((e) => e.rating >= min && e.rating <= max);
+  return pool[sr(date + "seqpattern") % pool.length]?.key ?? "arithmetic";
 }
 
 /* ── Arithmetic: a, a+d, a+2d, a+3d … ─────────────────────────────────── */
@@ -199,28 +242,205 @@ function genPolynomial(date) {
   };
 }
 
+/* ── Triangular: n(n+1)/2, … ─────────────────────────────────────────────── */
+function genTriangular(date) {
+  const startN = srRange(date + "tri_start", 1, 6);
+  const tri    = (n) => (n * (n + 1)) / 2;
+  const terms  = Array.from({ length: 5 }, (_, i) => tri(startN + i));
+  return {
+    sequence: terms,
+    answer:   tri(startN + 5),
+    hint:     `Triangular numbers starting from T(${startN})`,
+  };
+}
+
+/* ── Cubes: n³, (n+1)³, … ──────────────────────────────────────────────── */
+function genCubes(date) {
+  const startN = srRange(date + "cube_start", 1, 5);
+  const terms  = Array.from({ length: 5 }, (_, i) => Math.pow(startN + i, 3));
+  return {
+    sequence: terms,
+    answer:   Math.pow(startN + 5, 3),
+    hint:     `Perfect cubes starting from ${startN}³`,
+  };
+}
+
+/* ── Primes with offset: p(n) + k ───────────────────────────────────────── */
+const PRIMES = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29, 31, 37, 41, 43, 47, 53];
+
+function genPrimes(date) {
+  const start  = srRange(date + "prime_start",  0, 8);
+  const offset = srRange(date + "prime_offset", 1, 10);
+  const terms  = PRIMES.slice(start, start + 5).map((p) => p + offset);
+  return {
+    sequence: terms,
+    answer:   PRIMES[start + 5] + offset,
+    hint:     `Consecutive primes plus ${offset}`,
+  };
+}
+
+/* ── Interleaved: arithmetic at even positions, geometric at odd ─────────── */
+function genInterleaved(date) {
+  const a     = srRange(date + "inter_a",     1, 9);
+  const step  = srRange(date + "inter_step",  2, 7);
+  const b     = srRange(date + "inter_b",     1, 4);
+  const ratio = srRange(date + "inter_ratio", 2, 3);
+
+  // Position i: even → a + (i/2)*step, odd → b * ratio^((i-1)/2).
+  // Seven terms so the geometric half shows three values before the answer;
+  // with only b and b·r visible, +d fits it as well as ×r.
+  const term  = (i) => (i % 2 === 0 ? a + (i / 2) * step : b * Math.pow(ratio, (i - 1) / 2));
+  const terms = Array.from({ length: 7 }, (_, i) => term(i));
+  return {
+    sequence: terms,
+    answer:   term(7),
+    hint:     `Two interleaved sequences: +${step} and ×${ratio}`,
+  };
+}
+
+/* ── Second-order recurrence: a(n) = p·a(n−1) + q·a(n−2) ───────────────── */
+function genRecurrence(date) {
+  const p  = srRange(date + "rec_p",  2, 3);
+  const q  = srRange(date + "rec_q",  1, 2); // p=1, q=1 would be Fibonacci — p starts at 2
+  const a0 = srRange(date + "rec_a0", 1, 3);
+  const a1 = srRange(date + "rec_a1", 2, 5);
+  const terms = [a0, a1];
+  for (let i = 2; i < 5; i++) terms.push(p * terms[i - 1] + q * terms[i - 2]);
+  return {
+    sequence: terms,
+    answer:   p * terms[4] + q * terms[3],
+    hint:     `Each term = ${p}×previous + ${q}×the one before`,
+  };
+}
+
+/* ── Factorial growth: multiply by 2, 3, 4, … ───────────────────────────── */
+function genFactorial(date) {
+  const c     = srRange(date + "fact_c",     1, 3);
+  const first = srRange(date + "fact_first", 1, 3); // first multiplier is first+1
+  const terms = [c];
+  for (let i = 1; i < 5; i++) terms.push(terms[i - 1] * (first + i));
+  return {
+    sequence: terms,
+    answer:   terms[4] * (first + 5),
+    hint:     `Multiply by ${first + 1}, ${first + 2}, ${first + 3}, … (factorial growth)`,
+  };
+}
+
+/* ── Digit-sum chain: a(n) = a(n−1) + digitSum(a(n−1)) ──────────────────── */
+function genDigitSum(date) {
+  const digitSum = (n) => String(n).split("").reduce((s, d) => s + Number(d), 0);
+  const terms = [srRange(date + "digit_start", 10, 49)];
+  for (let i = 1; i < 5; i++) terms.push(terms[i - 1] + digitSum(terms[i - 1]));
+  return {
+    sequence: terms,
+    answer:   terms[4] + digitSum(terms[4]),
+    hint:     `Each term = previous + the sum of its digits`,
+  };
+}
+
+/* ── Sequence registry ──────────────────────────────────────────────────── */
+
+/**
+ * Every sequence family the generator can produce.
+ *   key      — patternKey stored on the puzzle (and CONCEPT_MAP key in hintText.js)
+ *   rating   — 1 (trivial) … 5 (expert); decides which tier can draw it
+ *   generate — (date, difficulty) → { sequence, answer, hint }
+ *
+ * Order is part of the seeded pick, so any edit here — appending included —
+ * changes which family a date draws. Freeze the current version and bump
+ * GENERATOR_VERSION first (see generatorRegistry.js).
+ */
+const SEQUENCE_REGISTRY = [
+  { key: "arithmetic",  rating: 1, maxBlanks: 2, generate: genArithmetic  },
+  { key: "geometric",   rating: 2, maxBlanks: 2, generate: genGeometric   },
+  { key: "squares",     rating: 3, maxBlanks: 2, generate: genSquares     },
+  { key: "fibonacci",   rating: 3, maxBlanks: 2, generate: genFibonacci   },
+  { key: "alternating", rating: 4, maxBlanks: 2, generate: genAlternating },
+  { key: "polynomial",  rating: 4, maxBlanks: 2, generate: genPolynomial  },
+  { key: "triangular",  rating: 2, maxBlanks: 2, generate: genTriangular  },
+  { key: "cubes",       rating: 3, maxBlanks: 2, generate: genCubes       },
+  { key: "primes",      rating: 3, maxBlanks: 2, generate: genPrimes      },
+  { key: "interleaved", rating: 4, maxBlanks: 1, generate: genInterleaved },
+  { key: "digitsum",    rating: 4, maxBlanks: 1, generate: genDigitSum    },
+  { key: "recurrence",  rating: 5, maxBlanks: 1, generate: genRecurrence  },
+  { key: "factorial",   rating: 5, maxBlanks: 2, generate: genFactorial   },
+];
+
+// Inclusive rating range each difficulty tier draws from
+const SEQUENCE_TIERS = {
+  easy:   [1, 2],
+  medium: [3, 3],
+  hard:   [4, 5],
+};
+
+/* ── Missing-terms variant ──────────────────────────────────────────────── */
+
+// One sequence day in GAPS_VARIANT_EVERY hides middle terms instead of the next one
+const GAPS_VARIANT_EVERY = 3;
+
+// Blank count per tier, further capped by the registry entry's maxBlanks.
+// Two-parameter recurrences and interleaved patterns need every other
+// visible term to stay unique, so they only ever lose one.
+const GAPS_PER_TIER = { easy: 1, medium: 2, hard: 2 };
+
+// Candidate blank positions in the full row (shown terms plus the next one). The first and last terms
+// always stay visible and two blanks are never adjacent, so each missing
+// term is pinned by a visible neighbour on both sides.
+const GAP_LAYOUTS = {
+  1: [[1], [2], [3], [4]],
+  2: [[1, 3], [1, 4], [2, 4]],
+};
+
+/**
+ * Decide whether today's sequence is a missing-terms puzzle and, if so,
+ * which positions of the full row are blank.
+ *
+ * @param   {string} date
+ * @param   {"easy"|"medium"|"hard"} difficulty
+ * @param   {object} entry      — SEQUENCE_REGISTRY entry
+ * @returns {number[]|null}     — sorted blank indices, or null for next-term
+ */
+function pickSequenceGaps(date, difficulty, entry) {
+  if (sr(date + "seqvariant") % GAPS_VARIANT_EVERY !== 0) return null;
+
+  const count   = Math.min(GAPS_PER_TIER[difficulty] ?? 1, entry.maxBlanks ?? 1);
+  const layouts = GAP_LAYOUTS[count];
+  return layouts[sr(date + "seqgaps") % layouts.length];
+}
+
 /* ── Main sequence builder ──────────────────────────────────────────────── */
 
 /**
  * Generate a sequence puzzle for the given date and difficulty.
  * Pattern is chosen deterministically from the date.
  *
+ * Most days ask for the next term (`answer`). On missing-terms days the
+ * puzzle carries `variant: "gaps"`: `sequence` holds the full row with `null`
+ * at each index in `blanks`, and `answers[k]` is the value for `blanks[k]`.
+ *
  * @param   {string} date       — "YYYY-MM-DD"
  * @param   {"easy"|"medium"|"hard"} difficulty
  * @returns {object}            — puzzle object
  */
 export function generateSequencePuzzle(date, difficulty) {
   const pattern = pickSequencePattern(date, difficulty);
+  const entry   = SEQUENCE_REGISTRY.find((e) => e.key === pattern) ?? SEQUENCE_REGISTRY[0];
+  const result  = entry.generate(date, difficulty);
+  const blanks  = pickSequenceGaps(date, difficulty, entry);
 
-  let result;
-  switch (pattern) {
-    case "geometric":   result = genGeometric(date, difficulty);  break;
-    case "squares":     result = genSquares(date);                break;
-    case "fibonacci":   result = genFibonacci(date);              break;
-    case "alternating": result = genAlternating(date);            break;
-    case "polynomial":  result = genPolynomial(date);             break;
-    case "arithmetic":
-    default:            result = genArithmetic(date, difficulty); break;
+  if (blanks) {
+    const terms = [...result.sequence, result.answer];
+    return {
+      type:       "sequence",
+      variant:    "gaps",
+      sequence:   terms.map((v, i) => (blanks.includes(i) ? null : v)),
+      blanks,
+      answers:    blanks.map((i) => terms[i]),
+      hint:       result.hint,
+      patternKey: pattern,
+      difficulty,
+      date,
+    };
   }
 
   return {
@@ -256,15 +476,33 @@ function pickMatrixPattern(date, difficulty) {
   return opts[pick];
 }
 
+/**
+ * Pick the grid dimension (square, size × size) for a date + difficulty.
+ * Each tier has two seeded options so the grid size varies day to day.
+ *
+ * @param   {string} date
+ * @param   {"easy"|"medium"|"hard"} difficulty
+ * @returns {number} 3–6
+ */
+function pickMatrixSize(date, difficulty) {
+  const sizes = {
+    easy:   [3, 4],
+    medium: [4, 5],
+    hard:   [5, 6],
+  };
+  const opts = sizes[difficulty] ?? [4];
+  return opts[sr(date + "matsize") % opts.length];
+}
+
 /* ── Arithmetic matrix: cell(r,c) = base + r*rowStep + c*colStep ─────────── */
-function buildArithmeticGrid(date) {
+function buildArithmeticGrid(date, size) {
   const base    = srRange(date + "mat_base",    2,  10);
   const rowStep = srRange(date + "mat_rowstep", 2,  8);
   const colStep = srRange(date + "mat_colstep", 1,  6);
 
   const grid = [];
-  for (let r = 0; r < 4; r++) {
-    for (let c = 0; c < 4; c++) {
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
       grid.push(base + r * rowStep + c * colStep);
     }
   }
@@ -276,33 +514,33 @@ function buildArithmeticGrid(date) {
 }
 
 /* ── Multiplication matrix: cell(r,c) = (r+rBase) * (c+cBase) ───────────── */
-function buildMultiplicationGrid(date) {
+function buildMultiplicationGrid(date, size) {
   const rBase = srRange(date + "mul_rbase", 1, 5);
   const cBase = srRange(date + "mul_cbase", 1, 5);
 
   const grid = [];
-  for (let r = 0; r < 4; r++) {
-    for (let c = 0; c < 4; c++) {
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
       grid.push((r + rBase) * (c + cBase));
     }
   }
   return {
     grid,
-    hint: `Multiplication table: row factor ${rBase}–${rBase + 3}, column factor ${cBase}–${cBase + 3}`,
+    hint: `Multiplication table: row factor ${rBase}–${rBase + size - 1}, column factor ${cBase}–${cBase + size - 1}`,
     ruleKey: "multiplication",
   };
 }
 
 /* ── Polynomial matrix: cell(r,c) = base + r*rs + c*cs + r*c*ms ─────────── */
-function buildPolynomialGrid(date) {
+function buildPolynomialGrid(date, size) {
   const base    = srRange(date + "poly_base",  1,  5);
   const rowStep = srRange(date + "poly_rs",    2,  5);
   const colStep = srRange(date + "poly_cs",    1,  4);
   const mixStep = srRange(date + "poly_mix",   1,  3);
 
   const grid = [];
-  for (let r = 0; r < 4; r++) {
-    for (let c = 0; c < 4; c++) {
+  for (let r = 0; r < size; r++) {
+    for (let c = 0; c < size; c++) {
       grid.push(base + r * rowStep + c * colStep + r * c * mixStep);
     }
   }
@@ -313,58 +551,125 @@ function buildPolynomialGrid(date) {
   };
 }
 
+/* ── Uniqueness solver ───────────────────────────────────────────────────── */
+
+/**
+ * Parameter spaces the solver enumerates, per rule family.
+ * Deliberately wider than the generator ranges above — the player doesn't
+ * know those ranges (or even the family), so uniqueness must hold against
+ * any plausible rule, not just the ones we happen to generate.
+ *
+ * `base` is never enumerated: it is derived from the first visible cell.
+ */
+const SOLVER_SPACE = {
+  arithmetic:     { stepMin: -12, stepMax: 12 },
+  multiplication: { factorMin: 0, factorMax: 12 },
+  polynomial:     { stepMin: -12, stepMax: 12, mixMin: -6, mixMax: 6 },
+};
+
+/**
+ * Enumerate every (family, parameters) combination consistent with the
+ * visible cells and return the distinct full grids they produce.
+ *
+ * Two parameterisations that yield the same grid (e.g. a multiplication
+ * table is also a polynomial grid with mixStep 1) are the same answer,
+ * so results are de-duplicated by grid. Stops early once `cap` distinct
+ * grids are found — callers only need to know "one" vs "more than one".
+ *
+ * @param   {(number|null)[]} puzzle — row-major, null = blank
+ * @param   {number}          [cap]  — stop after this many distinct grids
+ * @returns {number[][]}             — distinct candidate solution grids
+ */
+export function solveMatrix(puzzle, cap = 2) {
+  const n       = Math.round(Math.sqrt(puzzle.length));
+  const visible = [];
+  puzzle.forEach((v, i) => {
+    if (v !== null) visible.push({ r: Math.floor(i / n), c: i % n, v });
+  });
+  if (visible.length === 0) return [];
+
+  const found = new Map();
+  const done  = () => found.size >= cap;
+
+  // Collect a candidate rule if it reproduces every visible cell
+  const tryRule = (cell) => {
+    if (!visible.every(({ r, c, v }) => cell(r, c) === v)) return;
+    const grid = Array.from({ length: n * n }, (_, i) => cell(Math.floor(i / n), i % n));
+    found.set(grid.join(","), grid);
+  };
+
+  const [first] = visible;
+
+  // Arithmetic — base + r*rs + c*cs
+  const A = SOLVER_SPACE.arithmetic;
+  for (let rs = A.stepMin; rs <= A.stepMax && !done(); rs++) {
+    for (let cs = A.stepMin; cs <= A.stepMax && !done(); cs++) {
+      const base = first.v - first.r * rs - first.c * cs;
+      tryRule((r, c) => base + r * rs + c * cs);
+    }
+  }
+
+  // Multiplication — (r + rBase) * (c + cBase)
+  const M = SOLVER_SPACE.multiplication;
+  for (let rb = M.factorMin; rb <= M.factorMax && !done(); rb++) {
+    for (let cb = M.factorMin; cb <= M.factorMax && !done(); cb++) {
+      tryRule((r, c) => (r + rb) * (c + cb));
+    }
+  }
+
+  // Polynomial — base + r*rs + c*cs + r*c*ms
+  const P = SOLVER_SPACE.polynomial;
+  for (let ms = P.mixMin; ms <= P.mixMax && !done(); ms++) {
+    if (ms === 0) continue; // already covered by the arithmetic family
+    for (let rs = P.stepMin; rs <= P.stepMax && !done(); rs++) {
+      for (let cs = P.stepMin; cs <= P.stepMax && !done(); cs++) {
+        const base = first.v - first.r * rs - first.c * cs - first.r * first.c * ms;
+        tryRule((r, c) => base + r * rs + c * cs + r * c * ms);
+      }
+    }
+  }
+
+  return [...found.values()];
+}
+
 /* ── Blank cell selection ────────────────────────────────────────────────── */
 
 /**
  * Remove cells from the grid, ensuring the puzzle remains uniquely solvable.
  *
  * Strategy:
- *   For arithmetic and multiplication grids, any 2 cells per row/column
- *   determine the pattern, so we can safely remove cells that are not
- *   the sole visible cell in their row AND column.
- *
- *   We use a greedy approach: try to blank a candidate cell; only blank it
- *   if at least 2 other cells remain visible in both its row and column.
- *   This is conservative but guarantees no ambiguity.
+ *   Walk the cells in a seeded order. Tentatively blank each one and ask
+ *   solveMatrix() how many distinct grids still fit the visible cells.
+ *   The blank is kept only if exactly one grid survives; otherwise the
+ *   cell is restored. Stops once `count` cells are blank or every
+ *   candidate has been tried — so a grid may end up with fewer blanks
+ *   than requested, but never with an ambiguous answer.
  *
- * @param   {number[]} flatGrid  — 16-element solution array (row-major)
+ * @param   {number[]} flatGrid  — size × size solution array (row-major)
  * @param   {number}   count     — how many cells to blank
  * @param   {string}   date      — for seeded candidate ordering
  * @returns {(number|null)[]}    — puzzle grid with nulls for blanks
  */
 function blankCells(flatGrid, count, date) {
-  const puzzle  = [...flatGrid];
-  const blanked = new Set();
+  const puzzle = [...flatGrid];
+  let blanked  = 0;
 
   // Generate a seeded candidate order (shuffle indices deterministically)
-  const indices   = Array.from({ length: 16 }, (_, i) => i);
-  const shuffled  = indices.sort(
+  const shuffled = Array.from({ length: flatGrid.length }, (_, i) => i).sort(
     (a, b) => sr(date + "blank" + a) - sr(date + "blank" + b)
   );
 
   for (const idx of shuffled) {
-    if (blanked.size >= count) break;
-
-    const row = Math.floor(idx / 4);
-    const col = idx % 4;
-
-    // Count visible cells in this row and column (excluding idx itself)
-    const visibleInRow = indices.filter(
-      (i) => Math.floor(i / 4) === row && i !== idx && !blanked.has(i)
-    ).length;
+    if (blanked >= count) break;
 
-    const visibleInCol = indices.filter(
-      (i) => i % 4 === col && i !== idx && !blanked.has(i)
-    ).length;
-
-    // Only blank if at least 2 others remain visible in both row and column
-    if (visibleInRow >= 2 && visibleInCol >= 2) {
-      blanked.add(idx);
+    puzzle[idx] = null;
+    if (solveMatrix(puzzle).length === 1) {
+      blanked++;
+    } else {
+      puzzle[idx] = flatGrid[idx];
     }
   }
 
-  // Apply blanks to puzzle grid
-  blanked.forEach((idx) => { puzzle[idx] = null; });
   return puzzle;
 }
 
@@ -379,22 +684,25 @@ function blankCells(flatGrid, count, date) {
  */
 export function generateMatrixPuzzle(date, difficulty) {
   const pattern = pickMatrixPattern(date, difficulty);
+  const size    = pickMatrixSize(date, difficulty);
 
   let built;
   switch (pattern) {
-    case "multiplication": built = buildMultiplicationGrid(date); break;
-    case "polynomial":     built = buildPolynomialGrid(date);     break;
+    case "multiplication": built = buildMultiplicationGrid(date, size); break;
+    case "polynomial":     built = buildPolynomialGrid(date, size);     break;
     case "arithmetic":
-    default:               built = buildArithmeticGrid(date);     break;
+    default:               built = buildArithmeticGrid(date, size);     break;
   }
 
-  // Blank count by difficulty — conservative to guarantee unique solutions
-  const blankCount = { easy: 3, medium: 5, hard: 7 }[difficulty] ?? 3;
+  // Blank share by difficulty — solveMatrix() keeps every blank unambiguous
+  const blankShare = { easy: 0.25, medium: 0.45, hard: 0.6 }[difficulty] ?? 0.25;
+  const blankCount = Math.round(size * size * blankShare);
 
   const puzzleGrid = blankCells(built.grid, blankCount, date);
 
   return {
     type:       "matrix",
+    size,
     grid:       puzzleGrid,
     solution:   built.grid,
     hint:       built.hint,
@@ -404,10 +712,629 @@ export function generateMatrixPuzzle(date, difficulty) {
   };
 }
 
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  LATIN SQUARE PUZZLES                                                       */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Grid shape per difficulty. Every row, column and box holds 1..size once.
+ *   size 4 → 2×2 boxes (mini-Sudoku)
+ *   size 6 → 2×3 boxes (2 rows tall, 3 columns wide)
+ * `removeCount` is a target — givens are only removed while the solver
+ * still proves a unique solution, so a grid may keep a few extra.
+ */
+const LATIN_SHAPE = {
+  easy:   { size: 4, boxRows: 2, boxCols: 2, removeCount: 9  },
+  medium: { size: 6, boxRows: 2, boxCols: 3, removeCount: 18 },
+  hard:   { size: 6, boxRows: 2, boxCols: 3, removeCount: 24 },
+};
+
+/**
+ * Deterministically shuffle an array using the seeded hash.
+ *
+ * @param   {any[]}  items
+ * @param   {string} seed
+ * @returns {any[]}  — new array
+ */
+function seededShuffle(items, seed) {
+  return items
+    .map((item, i) => ({ item, key: sr(seed + i) }))
+    .sort((a, b) => a.key - b.key)
+    .map(({ item }) => item);
+}
+
+/**
+ * Build a full, valid Latin square with boxes for the given date.
+ *
+ * Starts from the canonical banded pattern
+ *   cell(r,c) = (boxCols*(r % boxRows) + floor(r / boxRows) + c) % size + 1
+ * and then applies validity-preserving seeded shuffles: digit relabelling,
+ * rows within each band, bands, columns within each stack, and stacks.
+ *
+ * @param   {string} date
+ * @param   {{ size, boxRows, boxCols }} shape
+ * @returns {number[]} — row-major solution
+ */
+function buildLatinSquare(date, { size, boxRows, boxCols }) {
+  const bands  = size / boxRows;   // horizontal groups of rows
+  const stacks = size / boxCols;   // vertical groups of columns
+
+  const digits = seededShuffle(Array.from({ length: size }, (_, i) => i + 1), date + "latin_digits");
+
+  const rowOrder = seededShuffle([...Array(bands).keys()], date + "latin_bands")
+    .flatMap((band) =>
+      seededShuffle([...Array(boxRows).keys()], date + "latin_band" + band)
+        .map((r) => band * boxRows + r)
+    );
+  const colOrder = seededShuffle([...Array(stacks).keys()], date + "latin_stacks")
+    .flatMap((stack) =>
+      seededShuffle([...Array(boxCols).keys()], date + "latin_stack" + stack)
+        .map((c) => stack * boxCols + c)
+    );
+
+  const grid = [];
+  for (const r of rowOrder) {
+    for (const c of colOrder) {
+      const v = (boxCols * (r % boxRows) + Math.floor(r / boxRows) + c) % size;
+      grid.push(digits[v]);
+    }
+  }
+  return grid;
+}
+
+/**
+ * Count solutions of a partially filled Latin square with boxes
+ * (backtracking, most-constrained cell first). Returns the solutions found,
+ * stopping once `cap` have been reached.
+ *
+ * @param   {(number|null)[]} puzzle — row-major, null = empty
+ * @param   {{ size, boxRows, boxCols }} shape
+ * @param   {number} [cap]
+ * @returns {number[][]}
+ */
+export function solveLatin(puzzle, { size, boxRows, boxCols }, cap = 2) {
+  const cells     = [...puzzle];
+  const solutions = [];
+  const boxOf     = (i) => {
+    const r = Math.floor(i / size);
+    const c = i % size;
+    return Math.floor(r / boxRows) * (size / boxCols) + Math.floor(c / boxCols);
+  };
+
+  const candidates = (i) => {
+    const r    = Math.floor(i / size);
+    const c    = i % size;
+    const box  = boxOf(i);
+    const used = new Set();
+    cells.forEach((v, j) => {
+      if (v === null) return;
+      if (Math.floor(j / size) === r || j % size === c || boxOf(j) === box) used.add(v);
+    });
+    return Array.from({ length: size }, (_, k) => k + 1).filter((v) => !used.has(v));
+  };
+
+  const search = () => {
+    if (solutions.length >= cap) return;
+
+    // Most-constrained empty cell keeps the tree small
+    let target = -1;
+    let options = null;
+    for (let i = 0; i < cells.length; i++) {
+      if (cells[i] !== null) continue;
+      const opts = candidates(i);
+      if (!options || opts.length < options.length) {
+        target  = i;
+        options = opts;
+        if (opts.length <= 1) break;
+      }
+    }
+
+    if (target === -1) {
+      solutions.push([...cells]);
+      return;
+    }
+
+    for (const v of options) {
+      cells[target] = v;
+      search();
+      if (solutions.length >= cap) break;
+    }
+    cells[target] = null;
+  };
+
+  search();
+  return solutions;
+}
+
+/**
+ * Generate a Latin-square (mini-Sudoku) puzzle for the given date and difficulty.
+ *
+ * @param   {string} date
+ * @param   {"easy"|"medium"|"hard"} difficulty
+ * @returns {object}
+ */
+export function generateLatinPuzzle(date, difficulty) {
+  const shape    = LATIN_SHAPE[difficulty] ?? LATIN_SHAPE.easy;
+  const solution = buildLatinSquare(date, shape);
+
+  // Remove givens in seeded order, keeping only removals that stay unique
+  const grid  = [...solution];
+  let removed = 0;
+  const order = seededShuffle([...Array(solution.length).keys()], date + "latin_remove");
+  for (const idx of order) {
+    if (removed >= shape.removeCount) break;
+    grid[idx] = null;
+    if (solveLatin(grid, shape).length === 1) {
+      removed++;
+    } else {
+      grid[idx] = solution[idx];
+    }
+  }
+
+  return {
+    type:       "latin",
+    size:       shape.size,
+    boxRows:    shape.boxRows,
+    boxCols:    shape.boxCols,
+    grid,
+    solution,
+    hint:       `Fill 1–${shape.size} so no row, column or ${shape.boxRows}×${shape.boxCols} box repeats a number`,
+    patternKey: "latin",
+    difficulty,
+    date,
+  };
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  KENKEN (CAGE ARITHMETIC) PUZZLES                                           */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Grid size and cage-size pool per difficulty. Each new cage draws its
+ * target size from `cageSizes` (seeded), then grows into orthogonal
+ * neighbours — so bigger pools mean fewer, larger, harder cages.
+ */
+const KENKEN_SHAPE = {
+  easy:   { size: 4, cageSizes: [1, 2, 2, 3] },
+  medium: { size: 5, cageSizes: [2, 2, 3, 3] },
+  hard:   { size: 6, cageSizes: [2, 3, 3, 4] },
+};
+
+// Partitions to try before falling back to revealing givens
+const KENKEN_PARTITION_ATTEMPTS = 12;
+
+// Caps on solveKenken() search nodes, so generation time is bounded (about
+// PARTITION + size² × REVEAL nodes at worst). The partition attempts share
+// the first; each solve in the reveal fallback gets the second. A layout
+// that takes longer to prove unique just ends up with more givens.
+const KENKEN_PARTITION_BUDGET = 25000;
+const KENKEN_REVEAL_BUDGET    = 2000;
+
+/**
+ * Choose a cage operation (seeded) and compute its target from the solution.
+ *   1 cell  → ""  (the target is the cell value itself)
+ *   2 cells → ÷ when evenly divisible, otherwise −, occasionally + or ×
+ *   3+      → + or × (× only while the product stays readable)
+ *
+ * @param   {number[]} cells    — cage cell indices, ascending
+ * @param   {number[]} solution
+ * @param   {string}   seed
+ * @returns {{ cells: number[], op: string, target: number }}
+ */
+function assignCageOperation(cells, solution, seed) {
+  const values  = cells.map((i) => solution[i]);
+  const sum     = values.reduce((a, b) => a + b, 0);
+  const product = values.reduce((a, b) => a * b, 1);
+
+  if (values.length === 1) return { cells, op: "", target: values[0] };
+
+  let ops;
+  if (values.length === 2) {
+    const hi = Math.max(...values);
+    const lo = Math.min(...values);
+    ops = hi % lo === 0 ? ["÷", "÷", "−", "×"] : ["−", "−", "+", "×"];
+    const op = ops[sr(seed) % ops.length];
+    const target = { "÷": hi / lo, "−": hi - lo, "+": sum, "×": product }[op];
+    return { cells, op, target };
+  }
+
+  ops = product <= 240 ? ["+", "×"] : ["+"];
+  const op = ops[sr(seed) % ops.length];
+  return { cells, op, target: op === "+" ? sum : product };
+}
+
+/**
+ * Partition a size × size grid into connected cages (seeded flood growth).
+ *
+ * @param   {number[]} solution
+ * @param   {number}   size
+ * @param   {number[]} cageSizes
+ * @param   {string}   seed
+ * @returns {{ cells: number[], op: string, target: number }[]}
+ */
+function buildCages(solution, size, cageSizes, seed) {
+  const cageOf = new Array(size * size).fill(-1);
+  const cages  = [];
+
+  const neighbours = (i) => {
+    const r = Math.floor(i / size);
+    const c = i % size;
+    return [
+      r > 0        ? i - size : -1,
+      r < size - 1 ? i + size : -1,
+      c > 0        ? i - 1    : -1,
+      c < size - 1 ? i + 1    : -1,
+    ].filter((j) => j !== -1);
+  };
+
+  for (const start of seededShuffle([...Array(size * size).keys()], seed + "order")) {
+    if (cageOf[start] !== -1) continue;
+
+    const k       = cages.length;
+    const want    = cageSizes[sr(seed + "size" + k) % cageSizes.length];
+    const members = [start];
+    cageOf[start] = k;
+
+    while (members.length < want) {
+      const frontier = [...new Set(members.flatMap(neighbours))].filter((j) => cageOf[j] === -1);
+      if (frontier.length === 0) break;
+      const next = frontier[sr(seed + "grow" + k + "_" + members.length) % frontier.length];
+      members.push(next);
+      cageOf[next] = k;
+    }
+
+    cages.push(assignCageOperation(members.sort((a, b) => a - b), solution, seed + "op" + k));
+  }
+
+  return cages;
+}
+
+/**
+ * Count solutions of a KenKen puzzle (backtracking with cage pruning),
+ * stopping once `cap` have been found. Each search node spends one of
+ * `budget.nodes`, which callers can share across solves; when they run out
+ * first the count is unknown and the result is null.
+ *
+ * @param   {{ size: number, cages: object[], grid: (number|null)[] }} puzzle
+ * @param   {number} [cap]
+ * @param   {{ nodes: number }} [budget]
+ * @returns {number[][]|null}
+ */
+export function solveKenken({ size, cages, grid }, cap = 2, budget = { nodes: Infinity }) {
+  const cells     = [...grid];
+  const solutions = [];
+  const cageOf    = [];
+  let outOfBudget = false;
+  cages.forEach((cage, k) => cage.cells.forEach((i) => { cageOf[i] = k; }));
+
+  // Can the cage still reach its target given the cells filled so far?
+  const cageViable = (k) => {
+    const cage   = cages[k];
+    const filled = cage.cells.map((i) => cells[i]).filter((v) => v !== null);
+    const open   = cage.cells.length - filled.length;
+    if (open === 0) return cageMatches(cage.op, cage.target, filled);
+
+    if (cage.op === "+") {
+      const sum = filled.reduce((a, b) => a + b, 0);
+      return sum + open <= cage.target && sum + open * size >= cage.target;
+    }
+    if (cage.op === "×") {
+      const product = filled.reduce((a, b) => a * b, 1);
+      return cage.target % product === 0 && cage.target / product <= size ** open;
+    }
+    // Two-cell cages: the open cell needs a partner value inside 1..size
+    const [v] = filled;
+    if (cage.op === "−") return v + cage.target <= size || v - cage.target >= 1;
+    if (cage.op === "÷") return v * cage.target <= size || v % cage.target === 0;
+    return true;
+  };
+
+  const candidates = (i) => {
+    const r    = Math.floor(i / size);
+    const c    = i % size;
+    const used = new Set();
+    for (let k = 0; k < size; k++) {
+      if (cells[r * size + k] !== null) used.add(cells[r * size + k]);
+      if (cells[k * size + c] !== null) used.add(cells[k * size + c]);
+    }
+    return Array.from({ length: size }, (_, k) => k + 1).filter((v) => !used.has(v));
+  };
+
+  const search = () => {
+    if (solutions.length >= cap || outOfBudget) return;
+    if (budget.nodes <= 0) {
+      outOfBudget = true;
+      return;
+    }
+    budget.nodes--;
+
+    let target  = -1;
+    let options = null;
+    for (let i = 0; i < cells.length; i++) {
+      if (cells[i] !== null) continue;
+      const opts = candidates(i);
+      if (!options || opts.length < options.length) {
+        target  = i;
+        options = opts;
+        if (opts.length <= 1) break;
+      }
+    }
+
+    if (target === -1) {
+      solutions.push([...cells]);
+      return;
+    }
+
+    for (const v of options) {
+      cells[target] = v;
+      if (cageViable(cageOf[target])) search();
+      if (solutions.length >= cap) break;
+    }
+    cells[target] = null;
+  };
+
+  search();
+  return outOfBudget ? null : solutions;
+}
+
+/**
+ * Generate a KenKen-style cage arithmetic puzzle for the given date and difficulty.
+ *
+ * Flow:
+ *   1. Build a seeded Latin square (rows/columns only — no boxes)
+ *   2. Partition it into cages and give each an operation + target
+ *   3. Keep the first partition solveKenken() proves unique; if none of
+ *      KENKEN_PARTITION_ATTEMPTS is within KENKEN_PARTITION_BUDGET, reveal
+ *      givens in the cells where competing solutions disagree (or, when a
+ *      solve runs out of budget, in any open cell) until the last one is
+ *
+ * @param   {string} date
+ * @param   {"easy"|"medium"|"hard"} difficulty
+ * @returns {object}
+ */
+export function generateKenkenPuzzle(date, difficulty) {
+  const { size, cageSizes } = KENKEN_SHAPE[difficulty] ?? KENKEN_SHAPE.easy;
+  const solution = buildLatinSquare(date + "kenken", { size, boxRows: 1, boxCols: size });
+  const grid     = new Array(size * size).fill(null);
+
+  const budget = { nodes: KENKEN_PARTITION_BUDGET };
+  let cages;
+  let competing;
+  for (let attempt = 0; attempt < KENKEN_PARTITION_ATTEMPTS; attempt++) {
+    cages     = buildCages(solution, size, cageSizes, date + "kenken_cages" + attempt);
+    competing = solveKenken({ size, cages, grid }, 2, budget);
+    if (!competing || competing.length === 1) break;
+  }
+
+  // Fallback: reveal a cell where two competing solutions disagree — or any
+  // open cell when the last solve gave up — until unique
+  for (let revealed = 0; competing?.length !== 1; revealed++) {
+    const choices = competing
+      ? competing[0].map((v, i) => (v !== competing[1][i] ? i : -1)).filter((i) => i !== -1)
+      : grid.map((v, i) => (v === null ? i : -1)).filter((i) => i !== -1);
+    const idx = choices[sr(date + "kenken_reveal" + revealed) % choices.length];
+    grid[idx] = solution[idx];
+    competing = solveKenken({ size, cages, grid }, 2, { nodes: KENKEN_REVEAL_BUDGET });
+  }
+
+  return {
+    type:       "kenken",
+    size,
+    cages,
+    grid,
+    solution,
+    hint:       `Fill 1–${size} with no repeats per row or column; each cage's numbers combine to its target`,
+    patternKey: "kenken",
+    difficulty,
+    date,
+  };
+}
+
+/* ═══════════════════════════════════════════════════════════════════════════ */
+/*  NONOGRAM (PICROSS) PUZZLES                                                 */
+/* ═══════════════════════════════════════════════════════════════════════════ */
+
+/**
+ * Grid size and fill density per difficulty. Denser pictures give longer
+ * runs, which give the line solver bigger overlaps to work with — so the
+ * sparser hard grids need more cross-line reasoning.
+ */
+const NONOGRAM_SHAPE = {
+  easy:   { size: 5,  density: 0.65 },
+  medium: { size: 8,  density: 0.58 },
+  hard:   { size: 10, density: 0.52 },
+};
+
+// Random pictures to try before falling back to revealing givens
+const NONOGRAM_ATTEMPTS = 8;
+
+/**
+ * Run-length clue for one line: lengths of consecutive filled runs.
+ * An empty line has the clue [].
+ *
+ * @param   {number[]} line — 0/1 cells
+ * @returns {number[]}
+ */
+function lineClue(line) {
+  const clue = [];
+  let run = 0;
+  for (const v of line) {
+    if (v === 1) run++;
+    else if (run > 0) { clue.push(run); run = 0; }
+  }
+  if (run > 0) clue.push(run);
+  return clue;
+}
+
+/**
+ * Solve one line as far as pure logic allows.
+ * Enumerates every placement of the clue's runs that agrees with the
+ * already-known cells, then fixes each cell all placements agree on.
+ *
+ * @param   {number[]}        clue
+ * @param   {(0|1|null)[]}    line — null = unknown
+ * @returns {(0|1|null)[]|null}     — refined line, or null if contradictory
+ */
+function solveNonogramLine(clue, line) {
+  const length = line.length;
+  let agreed   = null;
+
+  const place = (runIdx, pos, cells) => {
+    if (runIdx === clue.length) {
+      const full = [...cells, ...new Array(length - cells.length).fill(0)];
+      if (full.some((v, i) => line[i] !== null && line[i] !== v)) return;
+      agreed = agreed ? agreed.map((v, i) => (v === full[i] ? v : null)) : full;
+      return;
+    }
+    const run  = clue[runIdx];
+    const rest = clue.slice(runIdx + 1).reduce((a, b) => a + b + 1, 0);
+    for (let start = pos; start + run + rest <= length; start++) {
+      const next = [
+        ...cells,
+        ...new Array(start - pos).fill(0),
+        ...new Array(run).fill(1),
+      ];
+      if (runIdx < clue.length - 1) next.push(0);
+      // Prune as soon as the prefix contradicts a known cell
+      if (next.some((v, i) => line[i] !== null && line[i] !== v)) continue;
+      place(runIdx + 1, next.length, next);
+    }
+  };
+
+  place(0, 0, []);
+  return agreed;
+}
+
+/**
+ * Line-solve a nonogram: sweep rows and columns with solveNonogramLine()
+ * until nothing changes. No guessing — if the sweep stalls with unknown
+ * cells left, the puzzle is not solvable by logic alone.
+ *
+ * @param   {{ size: number, rowClues: number[][], colClues: number[][], grid: (0|1|null)[] }} puzzle
+ * @returns {{ solved: boolean, cells: (0|1|null)[] }}
+ */
+export function solveNonogram({ size, rowClues, colClues, grid }) {
+  const cells = [...grid];
+  let changed = true;
+
+  while (changed) {
+    changed = false;
+    for (let k = 0; k < size && cells; k++) {
+      const rowIdx = Array.from({ length: size }, (_, c) => k * size + c);
+      const colIdx = Array.from({ length: size }, (_, r) => r * size + k);
+      for (const [clue, idx] of [[rowClues[k], rowIdx], [colClues[k], colIdx]]) {
+        const refined = solveNonogramLine(clue, idx.map((i) => cells[i]));
+        if (!refined) return { solved: false, cells };
+        idx.forEach((i, j) => {
+          if (cells[i] === null && refined[j] !== null) {
+            cells[i] = refined[j];
+            changed  = true;
+          }
+        });
+      }
+    }
+  }
+
+  return { solved: cells.every((v) => v !== null), cells };
+}
+
+/**
+ * Generate a nonogram puzzle for the given date and difficulty.
+ *
+ * Flow:
+ *   1. Paint a seeded random picture at the difficulty's density
+ *   2. Derive row and column clues
+ *   3. Keep the first picture solveNonogram() can finish without guessing;
+ *      if none of NONOGRAM_ATTEMPTS can, reveal cells the line solver
+ *      got stuck on (as givens) until the last one can
+ *
+ * @param   {string} date
+ * @param   {"easy"|"medium"|"hard"} difficulty
+ * @returns {object}
+ */
+export function generateNonogramPuzzle(date, difficulty) {
+  const { size, density } = NONOGRAM_SHAPE[difficulty] ?? NONOGRAM_SHAPE.easy;
+  const threshold = Math.round(density * 1000);
+
+  let solution, rowClues, colClues;
+  const grid = new Array(size * size).fill(null);
+
+  for (let attempt = 0; attempt < NONOGRAM_ATTEMPTS; attempt++) {
+    solution = Array.from({ length: size * size }, (_, i) =>
+      sr(date + "nono" + attempt + "_" + i) % 1000 < threshold ? 1 : 0
+    );
+    rowClues = Array.from({ length: size }, (_, r) => lineClue(solution.slice(r * size, r * size + size)));
+    colClues = Array.from({ length: size }, (_, c) =>
+      lineClue(Array.from({ length: size }, (_, r) => solution[r * size + c]))
+    );
+    if (solveNonogram({ size, rowClues, colClues, grid }).solved) break;
+  }
+
+  // Fallback: reveal a cell the line solver could not decide, until it can
+  let progress = solveNonogram({ size, rowClues, colClues, grid });
+  for (let revealed = 0; !progress.solved; revealed++) {
+    const stuck = progress.cells.map((v, i) => (v === null ? i : -1)).filter((i) => i !== -1);
+    const idx   = stuck[sr(date + "nono_reveal" + revealed) % stuck.length];
+    grid[idx]   = solution[idx];
+    progress    = solveNonogram({ size, rowClues, colClues, grid });
+  }
+
+  return {
+    type:       "nonogram",
+    size,
+    rowClues,
+    colClues,
+    grid,
+    solution,
+    hint:       `Shade runs matching each row and column clue in order`,
+    patternKey: "nonogram",
+    difficulty,
+    date,
+  };
+}
+
 /* ═══════════════════════════════════════════════════════════════════════════ */
 /*  MAIN ENTRY                                                                 */
 /* ═══════════════════════════════════════════════════════════════════════════ */
 
+// Bumped whenever a change alters what any (date, type, difficulty) produces.
+// Share codes and saved activities carry it; older versions stay replayable
+// through the frozen copies in generators/ (see generatorRegistry.js).
+export const GENERATOR_VERSION = 3;
+
+// Every patternKey each puzzle type can report, in a stable append-only order
+export const PATTERN_KEYS = {
+  sequence: SEQUENCE_REGISTRY.map((e) => e.key),
+  matrix:   ["arithmetic", "multiplication", "polynomial"],
+  latin:    ["latin"],
+  kenken:   ["kenken"],
+  nonogram: ["nonogram"],
+};
+
+/**
+ * Generate a specific puzzle, bypassing the adaptive difficulty decision.
+ * Used by share-code challenges and anything else that must reproduce a
+ * puzzle exactly rather than adapt it to the current player. The result is
+ * stamped with the GENERATOR_VERSION that built it.
+ *
+ * @param   {string} date       — "YYYY-MM-DD"
+ * @param   {"sequence"|"matrix"|"latin"|"kenken"|"nonogram"} puzzleType
+ * @param   {"easy"|"medium"|"hard"} difficulty
+ * @returns {object}
+ */
+export function generatePuzzle(date, puzzleType, difficulty) {
+  const build = {
+    sequence: generateSequencePuzzle,
+    matrix:   generateMatrixPuzzle,
+    latin:    generateLatinPuzzle,
+    kenken:   generateKenkenPuzzle,
+    nonogram: generateNonogramPuzzle,
+  }[puzzleType];
+  if (!build) throw new Error(`generatePuzzle: unknown puzzle type "${puzzleType}".`);
+
+  return { ...build(date, difficulty), generatorVersion: GENERATOR_VERSION };
+}
+
 /**
  * Generate today's adaptive daily puzzle.
  *
@@ -415,17 +1342,31 @@ export function generateMatrixPuzzle(date, difficulty) {
  *   1. Ask difficultyEngine for today's recommended type + difficulty
  *   2. Generate the corresponding puzzle deterministically
  *
- * @param   {string} [date] — override date, default = today (for testing)
+ * @param   {string} [date] — override date, default = today (archive mode / testing)
  * @returns {Promise<object>}
  */
 export async function generateDailyPuzzle(date) {
   const today = date || dayjs().format("YYYY-MM-DD");
 
-  const { puzzleType, difficulty } = await getAdaptiveDifficulty();
+  const { getAdaptiveDifficulty }  = await import("./Difficultyengine.js");
+  const { puzzleType, difficulty } = await getAdaptiveDifficulty(today);
 
-  if (puzzleType === "sequence") {
-    return generateSequencePuzzle(today, difficulty);
-  }
+  return generatePuzzle(today, puzzleType, difficulty);
+}
 
-  return generateMatrixPuzzle(today, difficulty);
-}
\ No newline at end of file
+const ARCHIVE_DIFFICULTIES = ["easy", "medium", "hard"];
+
+/**
+ * Generate the puzzle an archive date shows when it was never played live.
+ * Type and difficulty come from the date alone, so every player (and every
+ * visit) gets the same archive puzzle whatever their current form.
+ *
+ * @param   {string} date — "YYYY-MM-DD"
+ * @returns {object}
+ */
+export function generateArchivePuzzle(date) {
+  const types      = Object.keys(PATTERN_KEYS);
+  const puzzleType = types[sr(date + "archive_type") % types.length];
+  const difficulty = ARCHIVE_DIFFICULTIES[sr(date + "archive_difficulty") % ARCHIVE_DIFFICULTIES.length];
+  return generatePuzzle(date, puzzleType, difficulty);
+}
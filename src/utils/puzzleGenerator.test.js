@@ -0,0 +1,53 @@
+import { describe, it, expect } from "vitest";
+import { generatePuzzle, generateArchivePuzzle, solveKenken } from "./puzzleGenerator.js";
+
+describe("interleaved sequences", () => {
+  // Both dates draw "interleaved" on hard: a next-term day and a missing-terms day
+  const puzzles = ["2025-01-01", "2025-01-22"].map((date) => generatePuzzle(date, "sequence", "hard"));
+
+  it("show at least three terms of the geometric half", () => {
+    for (const puzzle of puzzles) {
+      expect(puzzle.patternKey).toBe("interleaved");
+      const geometric = puzzle.sequence.filter((v, i) => i % 2 === 1 && v !== null);
+      expect(geometric.length).toBeGreaterThanOrEqual(3);
+    }
+  });
+
+  it("ask for the term that continues both halves", () => {
+    const [next, gaps] = puzzles;
+    expect(next.sequence).toEqual([4, 2, 9, 4, 14, 8, 19]);
+    expect(next.answer).toBe(16);
+    expect(gaps.variant).toBe("gaps");
+    expect(gaps.answers).toEqual([6]);
+  });
+});
+
+describe("KenKen search budget", () => {
+  // v2 spent over 200 000 solver nodes proving this date's layout unique
+  const puzzle = generatePuzzle("2025-03-21", "kenken", "hard");
+
+  it("gives up with null once the budget is spent", () => {
+    const open = { ...puzzle, grid: puzzle.grid.map(() => null) };
+    expect(solveKenken(open, 2, { nodes: 10 })).toBeNull();
+  });
+
+  it("still publishes a layout with exactly one solution", () => {
+    expect(solveKenken(puzzle)).toEqual([puzzle.solution]);
+    puzzle.grid.forEach((v, i) => v !== null && expect(v).toBe(puzzle.solution[i]));
+  });
+});
+
+describe("generateArchivePuzzle", () => {
+  it("derives type and difficulty from the date alone", () => {
+    const first = generateArchivePuzzle("2024-06-03");
+    expect(generateArchivePuzzle("2024-06-03")).toEqual(first);
+    expect(generatePuzzle("2024-06-03", first.type, first.difficulty)).toEqual(first);
+  });
+
+  it("spreads dates across types and difficulties", () => {
+    const dates   = Array.from({ length: 60 }, (_, i) => new Date(Date.UTC(2024, 0, i + 1)).toISOString().slice(0, 10));
+    const puzzles = dates.map(generateArchivePuzzle);
+    expect(new Set(puzzles.map((p) => p.type)).size).toBeGreaterThan(1);
+    expect(new Set(puzzles.map((p) => p.difficulty)).size).toBe(3);
+  });
+});
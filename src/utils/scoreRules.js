@@ -0,0 +1,101 @@
+/**
+ * scoreRules.js
+ * src/utils/scoreRules.js
+ *
+ * Plausibility checks for leaderboard submissions, run by the Express
+ * server for both the Postgres board (/save-score) and the Firestore ones
+ * (server/firestore.js). Pure — no Dexie, no Firebase — so Node can
+ * import it as-is.
+ *
+ * A submission is rejected when:
+ *   score_out_of_range  — outside MIN_SCORE..MAX_SCORE
+ *   score_mismatch      — not what computeScore(timeTaken, misses) gives
+ *   too_fast            — timeTaken under MIN_SOLVE_SECONDS[difficulty]
+ *   bad_date            — not a real "YYYY-MM-DD" date
+ *   future_date         — later than tomorrow (UTC); one day of slack
+ *                         covers players east of UTC
+ * Two rules need storage, so callers check them: one submission per puzzle
+ * date (`duplicate_submission`), and none for a date older than the last
+ * one ranked (`stale_submission`).
+ *
+ * Leaderboards rank by rating = score × DIFFICULTY_WEIGHT, so a fast hard
+ * solve outranks a fast easy one. Retentionengine.js imports the same
+ * weights for heatmap intensity.
+ */
+
+import dayjs from "dayjs";
+
+/* ─── Rules ─────────────────────────────────────────────────────────────── */
+
+// score = max(100 - t - misses × GAP_MISS_PENALTY, 10), used by both
+// DailyPuzzle.jsx and the server's signed results
+export const MAX_SCORE = 100;
+export const MIN_SCORE = 10;
+
+// Missing-terms puzzles: each wrong (non-empty) blank entry costs this much
+export const GAP_MISS_PENALTY = 5;
+
+// Fastest believable solve per difficulty, in seconds — reading the puzzle
+// and typing an answer takes at least this long
+export const MIN_SOLVE_SECONDS = {
+  easy:   3,
+  medium: 6,
+  hard:   10,
+};
+
+export const DIFFICULTY_WEIGHT = { easy: 1, medium: 2, hard: 3 };
+
+/* ─── Scoring ───────────────────────────────────────────────────────────── */
+
+/**
+ * @param   {number} timeTaken — seconds
+ * @param   {number} [misses]  — wrong blank entries on a missing-terms puzzle
+ * @returns {number}
+ */
+export function computeScore(timeTaken, misses = 0) {
+  return Math.max(MAX_SCORE - timeTaken - misses * GAP_MISS_PENALTY, MIN_SCORE);
+}
+
+/**
+ * Difficulty-normalised leaderboard rating.
+ *
+ * @param   {number} score
+ * @param   {string} difficulty
+ * @returns {number}
+ */
+export function computeRating(score, difficulty) {
+  return score * (DIFFICULTY_WEIGHT[difficulty] ?? 1);
+}
+
+/* ─── Checks ────────────────────────────────────────────────────────────── */
+
+/**
+ * List every rule a submission breaks.
+ *
+ * @param   {{ score: number, timeTaken: number, misses?: number, difficulty: string, date: string }} submission
+ * @param   {number} [now] — ms timestamp, injectable for replaying audits
+ * @returns {string[]}     — reason codes; empty means acceptable
+ */
+export function checkScoreSubmission({ score, timeTaken, misses = 0, difficulty, date }, now = Date.now()) {
+  const reasons = [];
+
+  if (!Number.isFinite(score) || score < MIN_SCORE || score > MAX_SCORE) {
+    reasons.push("score_out_of_range");
+  } else if (!Number.isFinite(timeTaken) || !Number.isInteger(misses) || misses < 0
+    || score !== computeScore(timeTaken, misses)) {
+    reasons.push("score_mismatch");
+  }
+
+  const floor = MIN_SOLVE_SECONDS[difficulty] ?? MIN_SOLVE_SECONDS.hard;
+  if (Number.isFinite(timeTaken) && timeTaken < floor) reasons.push("too_fast");
+
+  const day = dayjs(date);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date)) || !day.isValid() || day.format("YYYY-MM-DD") !== date) {
+    reasons.push("bad_date");
+  } else {
+    const latest = new Date(now + 86400000).toISOString().slice(0, 10);
+    if (date > latest) reasons.push("future_date");
+  }
+
+  return reasons;
+}
@@ -0,0 +1,33 @@
+import { describe, it, expect } from "vitest";
+import { computeScore, checkScoreSubmission, GAP_MISS_PENALTY, MIN_SCORE } from "./scoreRules.js";
+
+const NOW = Date.UTC(2025, 5, 10, 12);
+
+describe("computeScore", () => {
+  it("takes a point per second and GAP_MISS_PENALTY per missed blank", () => {
+    expect(computeScore(20)).toBe(80);
+    expect(computeScore(20, 2)).toBe(80 - 2 * GAP_MISS_PENALTY);
+  });
+
+  it("never drops below MIN_SCORE", () => {
+    expect(computeScore(95, 3)).toBe(MIN_SCORE);
+  });
+});
+
+describe("checkScoreSubmission", () => {
+  const base = { score: 70, timeTaken: 20, misses: 2, difficulty: "medium", date: "2025-06-10" };
+
+  it("accepts a score that includes the miss penalty", () => {
+    expect(checkScoreSubmission(base, NOW)).toEqual([]);
+  });
+
+  it("rejects a score that ignores the misses", () => {
+    expect(checkScoreSubmission({ ...base, score: 80 }, NOW)).toContain("score_mismatch");
+  });
+
+  it("treats a result without misses as having none", () => {
+    const result = { ...base, score: 80 };
+    delete result.misses;
+    expect(checkScoreSubmission(result, NOW)).toEqual([]);
+  });
+});
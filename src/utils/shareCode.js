@@ -0,0 +1,120 @@
+/**
+ * shareCode.js
+ * src/utils/shareCode.js
+ *
+ * Compact, URL-safe codes that pin down one exact puzzle, so a friend can
+ * play the same (date, type, difficulty) even when their own adaptive
+ * difficulty would have produced something else.
+ *
+ * Layout (all base-36, lowercase):
+ *   [version][type][difficulty][pattern][day…][check]
+ *     version     — generator version (generatorRegistry.js), 1 char
+ *     type        — TYPE_CODES index, 1 char
+ *     difficulty  — DIFFICULTY_CODES index, 1 char
+ *     pattern     — index into that version's patternKeys[type], 1 char
+ *     day         — days since CODE_EPOCH, variable length
+ *     check       — sum of the preceding char values mod 36, catches typos
+ *
+ *   e.g. 2026-10-19 medium primes sequence → "10181wz6"
+ *
+ * Opening /?p=<code> plays the puzzle in challenge mode (see App.jsx).
+ */
+
+import dayjs from "dayjs";
+import { CURRENT_GENERATOR_VERSION, getGenerator } from "./generatorRegistry";
+
+/* ─── Tables ────────────────────────────────────────────────────────────── */
+
+// Append-only: a code's meaning must never change once shared
+const TYPE_CODES       = ["sequence", "matrix", "latin", "kenken", "nonogram"];
+const DIFFICULTY_CODES = ["easy", "medium", "hard"];
+
+const CODE_EPOCH = "2020-01-01";
+
+/* ─── Helpers ───────────────────────────────────────────────────────────── */
+
+function checkChar(body) {
+  const sum = [...body].reduce((acc, ch) => acc + parseInt(ch, 36), 0);
+  return (sum % 36).toString(36);
+}
+
+/* ─── Encode / decode ───────────────────────────────────────────────────── */
+
+/**
+ * Build the share code for a generated puzzle.
+ *
+ * @param   {object} puzzle   — any puzzle object from puzzleGenerator
+ * @param   {number} [version]
+ * @returns {string|null}     — null if the puzzle cannot be encoded
+ */
+export function encodePuzzleCode(puzzle, version = puzzle?.generatorVersion ?? CURRENT_GENERATOR_VERSION) {
+  const typeIdx    = TYPE_CODES.indexOf(puzzle?.type);
+  const diffIdx    = DIFFICULTY_CODES.indexOf(puzzle?.difficulty);
+  const patternIdx = getGenerator(version)?.patternKeys[puzzle?.type]?.indexOf(puzzle.patternKey) ?? -1;
+  const day        = dayjs(puzzle?.date).diff(dayjs(CODE_EPOCH), "day");
+
+  if (typeIdx < 0 || diffIdx < 0 || patternIdx < 0 || patternIdx > 35) return null;
+  if (!Number.isFinite(day) || day < 0 || version < 0 || version > 35) return null;
+
+  const body = [version, typeIdx, diffIdx, patternIdx]
+    .map((n) => n.toString(36))
+    .join("") + day.toString(36);
+
+  return body + checkChar(body);
+}
+
+/**
+ * Parse a share code back into its fields.
+ *
+ * @param   {string} code
+ * @returns {{ version: number, date: string, type: string,
+ *             difficulty: string, patternKey: string } | null}
+ *          — null for malformed codes, a failed check character or a
+ *            generator version this build does not know
+ */
+export function decodePuzzleCode(code) {
+  const clean = String(code ?? "").trim().toLowerCase();
+  if (!/^[0-9a-z]{6,}$/.test(clean)) return null;
+
+  const body = clean.slice(0, -1);
+  if (checkChar(body) !== clean.slice(-1)) return null;
+
+  const [version, typeIdx, diffIdx, patternIdx] = [...body.slice(0, 4)].map((ch) => parseInt(ch, 36));
+  const type       = TYPE_CODES[typeIdx];
+  const difficulty = DIFFICULTY_CODES[diffIdx];
+  const patternKey = getGenerator(version)?.patternKeys[type]?.[patternIdx];
+  if (!type || !difficulty || !patternKey) return null;
+
+  const date = dayjs(CODE_EPOCH).add(parseInt(body.slice(4), 36), "day").format("YYYY-MM-DD");
+
+  return { version, date, type, difficulty, patternKey };
+}
+
+/**
+ * Regenerate the exact puzzle a share code points at, using the generator
+ * version the code was made with. Returns null when the code is invalid or
+ * the regenerated puzzle's pattern does not match — in either case the
+ * player would otherwise silently get a different puzzle.
+ *
+ * @param   {string} code
+ * @returns {object|null}
+ */
+export function loadChallengePuzzle(code) {
+  const info = decodePuzzleCode(code);
+  if (!info) return null;
+
+  const puzzle = getGenerator(info.version).generatePuzzle(info.date, info.type, info.difficulty);
+  if (puzzle.patternKey !== info.patternKey) return null;
+
+  return puzzle;
+}
+
+/**
+ * Absolute link that opens a share code in challenge mode.
+ *
+ * @param   {string} code
+ * @returns {string}
+ */
+export function buildChallengeUrl(code) {
+  return `${window.location.origin}${window.location.pathname}?p=${code}`;
+}
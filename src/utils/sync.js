@@ -5,57 +5,99 @@
  * Called on app load and whenever the browser comes back online.
  *
  * Strategy:
- *   1. Read all unsynced activities from Dexie (synced = 0).
- *   2. Get current Firebase Auth user.
- *   3. Push to Firestore via bulkSyncToFirestore().
- *   4. Mark successfully synced activities as synced = 1 in Dexie.
+ *   1. Get current Firebase Auth user.
+ *   2. Pull (once per user per session): download activities/{uid}/days,
+ *      /hints and /achievements and merge them into Dexie with the rules in
+ *      activityMerge.js, so a new device gets the player's whole profile
+ *      back — streaks, heatmap, hint counts and unlocks.
+ *   3. Read all unsynced activities and achievements from Dexie
+ *      (synced = 0) and make sure each has an outbox entry (outbox.js).
+ *      Hint usage is queued as it happens (DailyPuzzle).
+ *   4. Flush the outbox — it uploads, marks sent activities synced = 1 and
+ *      retries failures with backoff.
  */
 
 import { auth } from "../firebase";
-import { getUnsyncedActivities, markActivitiesSynced } from "../db";
-import { bulkSyncToFirestore } from "./firestoreSync";
+import {
+  getUnsyncedActivities,
+  getUnsyncedAchievements,
+  mergeRemoteActivities,
+  mergeRemoteAchievements,
+} from "../db";
+import {
+  getAllActivitiesFromFirestore,
+  getAllHintUsageFromFirestore,
+  getAllAchievementsFromFirestore,
+} from "./firestoreSync";
+import { mergeRemoteHintUsage } from "./Hintengine";
+import { enqueueOutbox, flushOutbox } from "./outbox";
+
+// Users whose cloud history has been pulled since the app loaded
+const pulledUids = new Set();
 
 /**
- * Sync all pending local activities to Firestore.
+ * Pull a user's cloud profile — activities, hint usage, achievements —
+ * into Dexie.
+ *
+ * @param   {string} uid
+ * @returns {number} how many local records were added or changed
+ */
+export const pullActivities = async (uid) => {
+  const [activities, hints, achievements] = await Promise.all([
+    getAllActivitiesFromFirestore(uid),
+    getAllHintUsageFromFirestore(uid),
+    getAllAchievementsFromFirestore(uid),
+  ]);
+
+  const changed =
+    (await mergeRemoteActivities(activities)) +
+    (await mergeRemoteHintUsage(hints)) +
+    (await mergeRemoteAchievements(achievements));
+
+  return changed;
+};
+
+/**
+ * Pull cloud history (first call per user), then push pending local
+ * activities and any other queued writes through the outbox.
  * Safe to call multiple times — idempotent due to setDoc merge:true.
+ *
+ * @returns {{ pulled: number, pushed: number }} — pulled > 0 means local
+ *          data changed and views reading Dexie should reload
  */
 export const syncActivities = async () => {
+  const outcome = { pulled: 0, pushed: 0 };
+
   try {
     const user = auth.currentUser;
 
     if (!user) {
       // Not logged in — nothing to sync, silently skip
-      return;
+      return outcome;
     }
 
-    const unsynced = await getUnsyncedActivities();
-
-    if (!unsynced.length) {
-      return;
+    if (!pulledUids.has(user.uid)) {
+      outcome.pulled = await pullActivities(user.uid);
+      pulledUids.add(user.uid);
     }
 
-    console.log(`[Sync] Found ${unsynced.length} unsynced activities. Uploading...`);
-
-    // Attach uid to each activity before syncing
-    const activitiesWithUID = unsynced.map((a) => ({
-      ...a,
-      uid: user.uid,
-    }));
-
-    const syncedDates = await bulkSyncToFirestore(user.uid, activitiesWithUID);
+    // Queued entries keep their backoff; only records without one are added
+    const [unsynced, unsyncedAchievements] = await Promise.all([
+      getUnsyncedActivities(),
+      getUnsyncedAchievements(),
+    ]);
+    await Promise.all([
+      ...unsynced.map((a) => enqueueOutbox("activity", a.date, null, { replace: false })),
+      ...unsyncedAchievements.map((a) => enqueueOutbox("achievement", a.id, null, { replace: false })),
+    ]);
 
-    if (syncedDates.length > 0) {
-      await markActivitiesSynced(syncedDates);
-      console.log(`[Sync] Successfully synced ${syncedDates.length} activities.`);
-    }
-
-    if (syncedDates.length < unsynced.length) {
-      console.warn(
-        `[Sync] ${unsynced.length - syncedDates.length} activities failed to sync. Will retry next time.`
-      );
-    }
+    // Failed writes stay queued and show in the outbox status
+    const { sent } = await flushOutbox();
+    outcome.pushed = sent;
   } catch (error) {
     // Non-fatal — local data is safe in Dexie, will retry on next load/online event
     console.warn("[Sync] Sync skipped:", error.message);
   }
+
+  return outcome;
 };
@@ -13,3 +13,101 @@ export const validateGrid = (userGrid, solutionGrid) => {
 
   return { isComplete, errors };
 };
+
+/**
+ * Find conflicting cells in a Latin-square / mini-Sudoku grid.
+ * A filled cell conflicts when the same value appears elsewhere in its
+ * row, column or box. Empty strings / nulls are ignored.
+ *
+ * @param   {(string|number|null)[]} cells — row-major
+ * @param   {{ size, boxRows, boxCols }} shape
+ * @returns {Set<number>} — indices of conflicting cells
+ */
+export const findLatinConflicts = (cells, { size, boxRows, boxCols }) => {
+  const conflicts = new Set();
+  const value = (i) => {
+    const v = parseInt(cells[i], 10);
+    return Number.isNaN(v) ? null : v;
+  };
+  const boxOf = (i) =>
+    Math.floor(Math.floor(i / size) / boxRows) * (size / boxCols) +
+    Math.floor((i % size) / boxCols);
+
+  for (let i = 0; i < cells.length; i++) {
+    const v = value(i);
+    if (v === null) continue;
+    for (let j = i + 1; j < cells.length; j++) {
+      if (value(j) !== v) continue;
+      const sameRow = Math.floor(i / size) === Math.floor(j / size);
+      const sameCol = i % size === j % size;
+      if (sameRow || sameCol || boxOf(i) === boxOf(j)) {
+        conflicts.add(i);
+        conflicts.add(j);
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Does a KenKen cage's set of values produce its target?
+ *   "+" sum · "×" product · "−" / "÷" two cells, either order · "" single given
+ *
+ * @param   {string}   op
+ * @param   {number}   target
+ * @param   {number[]} values — every cell in the cage, all filled
+ * @returns {boolean}
+ */
+export const cageMatches = (op, target, values) => {
+  switch (op) {
+    case "+": return values.reduce((a, b) => a + b, 0) === target;
+    case "×": return values.reduce((a, b) => a * b, 1) === target;
+    case "−": return Math.abs(values[0] - values[1]) === target;
+    case "÷": {
+      const [hi, lo] = values[0] >= values[1] ? values : [values[1], values[0]];
+      return hi === lo * target;
+    }
+    default:  return values[0] === target;
+  }
+};
+
+/**
+ * Find KenKen cages that are completely filled but miss their target.
+ *
+ * @param   {(string|number|null)[]} cells — row-major
+ * @param   {{ cells: number[], op: string, target: number }[]} cages
+ * @returns {Set<number>} — indices of every cell in a failing cage
+ */
+export const findCageErrors = (cells, cages) => {
+  const errors = new Set();
+  for (const cage of cages) {
+    const values = cage.cells.map((i) => parseInt(cells[i], 10));
+    if (values.some(Number.isNaN)) continue;
+    if (!cageMatches(cage.op, cage.target, values)) cage.cells.forEach((i) => errors.add(i));
+  }
+  return errors;
+};
+
+/**
+ * Validate a nonogram board against its solution.
+ * Only shading matters: a cell is right when it is filled ("1") exactly
+ * where the solution is 1. Cross-out marks ("x") and blanks both read as
+ * unshaded, so players never have to mark every empty cell.
+ *
+ * @param   {string[]}  cells    — row-major: "1" filled, "x" crossed, "" blank
+ * @param   {number[]}  solution — row-major 0/1
+ * @param   {number}    size
+ * @returns {{ isComplete: boolean, errors: { row: number, col: number }[] }}
+ */
+export const validateNonogram = (cells, solution, size) => {
+  const errors = [];
+
+  solution.forEach((v, i) => {
+    if ((cells[i] === "1") !== (v === 1)) {
+      errors.push({ row: Math.floor(i / size), col: i % size });
+    }
+  });
+
+  return { isComplete: errors.length === 0, errors };
+};
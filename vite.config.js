@@ -48,4 +48,9 @@ export default defineConfig({
     port: 5173,
     open: false,
   },
+
+  // Unit tests (npm test) — the server has its own runner
+  test: {
+    include: ["src/**/*.test.{js,jsx}"],
+  },
 });
\ No newline at end of file